@@ -0,0 +1,113 @@
+import { collectMaterialTextures, getGeometryMemory, getTextureMemory } from './vramAccounting.js';
+
+// === 模型 / 材质开销拆分 ===
+// 对 loadedModels 中的每个模型及其每个材质统计：网格数、Draw Calls、三角形数、
+// 贴图数量与最大分辨率、材质类型、显存估算。
+// Draw Calls 按 "几何体分组数 × (主渲染 + 每个投射阴影的光源一次)" 估算；
+// 多材质网格的几何体显存按各分组的三角形占比分摊到材质上。
+// 隐藏的网格 (例如当前未激活的 LOD 级别) 只计显存，不计 Draw Calls 与三角形。
+
+function triangleCount(geometry) {
+    return geometry.index ? geometry.index.count / 3 : geometry.attributes.position.count / 3;
+}
+
+function createRow(name, type) {
+    return {
+        name,
+        type,
+        meshes: 0,
+        drawCalls: 0,
+        triangles: 0,
+        textures: 0,
+        maxResolution: 0,      // 最大贴图边长
+        resolutionLabel: '-',  // 例如 2048x2048
+        geometryBytes: 0,
+        textureBytes: 0,
+        memoryBytes: 0
+    };
+}
+
+function applyTextures(row, textures) {
+    row.textures = textures.size;
+    row.textureBytes = 0;
+    textures.forEach(t => {
+        const mem = getTextureMemory(t);
+        row.textureBytes += mem.bytes;
+        const edge = Math.max(mem.width, mem.height);
+        if (edge > row.maxResolution) {
+            row.maxResolution = edge;
+            row.resolutionLabel = `${mem.width}x${mem.height}`;
+        }
+    });
+    row.memoryBytes = row.geometryBytes + row.textureBytes;
+}
+
+// shadowPasses: 投射阴影的光源数量 (每个会让投射阴影的网格多一次 Draw Call)
+export function computeCostBreakdown(models, { shadowPasses = 0 } = {}) {
+    return models.map((entry, index) => {
+        const modelRow = createRow(entry.name, 'Model');
+        modelRow.index = index;
+        const modelTextures = new Set();
+        const modelArrays = new Set();
+        const materialRows = new Map(); // material -> { row, textures, meshes }
+        const rendered = new Set();
+        entry.object.traverseVisible(obj => rendered.add(obj));
+
+        entry.object.traverse(obj => {
+            if (!obj.isMesh || !obj.userData.isModelMesh || !obj.geometry) return;
+
+            const geometry = obj.geometry;
+            const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+            const instances = rendered.has(obj) ? (obj.isInstancedMesh ? obj.count : 1) : 0;
+            const passes = rendered.has(obj) ? 1 + (obj.castShadow ? shadowPasses : 0) : 0;
+            const totalTris = triangleCount(geometry);
+            const indexCount = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+
+            // 几何体显存：模型内部按缓冲区去重，材质上按分组三角形占比分摊
+            const mem = getGeometryMemory(geometry, modelArrays);
+            const geometryBytes = mem.attributeBytes + mem.indexBytes;
+            modelRow.geometryBytes += geometryBytes;
+            modelRow.meshes++;
+
+            const groups = (Array.isArray(obj.material) && geometry.groups.length > 0)
+                ? geometry.groups
+                : [{ start: 0, count: indexCount, materialIndex: 0 }];
+
+            groups.forEach(group => {
+                const material = materials[group.materialIndex];
+                if (!material) return;
+
+                const tris = Math.max(0, Math.min(group.count, indexCount - group.start)) / 3;
+                let slot = materialRows.get(material);
+                if (!slot) {
+                    slot = {
+                        row: createRow(material.name || `(unnamed ${material.type})`, material.type),
+                        textures: collectMaterialTextures(material),
+                        meshes: new Set()
+                    };
+                    materialRows.set(material, slot);
+                    slot.textures.forEach(t => modelTextures.add(t));
+                }
+                slot.meshes.add(obj);
+                slot.row.drawCalls += passes;
+                slot.row.triangles += tris * instances;
+                slot.row.geometryBytes += totalTris > 0 ? geometryBytes * (tris / totalTris) : 0;
+
+                modelRow.drawCalls += passes;
+                modelRow.triangles += tris * instances;
+            });
+        });
+
+        const materials = [];
+        materialRows.forEach(slot => {
+            slot.row.meshes = slot.meshes.size;
+            applyTextures(slot.row, slot.textures);
+            materials.push(slot.row);
+        });
+
+        applyTextures(modelRow, modelTextures);
+        modelRow.type = `${materialRows.size} material(s)`;
+        modelRow.materials = materials;
+        return modelRow;
+    });
+}
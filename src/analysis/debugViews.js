@@ -0,0 +1,244 @@
+import * as THREE from 'three';
+import { MaterialOverrides, copyProps } from '../optimize/materialModes.js';
+
+// === 调试视图 ===
+// 解释 "为什么慢 / 简化后为什么不对"：把模型网格的材质临时替换为调试材质，关闭时放回原材质。
+//   - Overdraw         : 加性混合、关闭深度测试，同一像素被绘制越多越亮 (红 -> 黄 -> 白)，背景临时换成黑色
+//   - Normals          : 法线方向 (保留法线贴图)
+//   - UV Checker       : 棋盘格贴图，检查 UV 拉伸 / 接缝 / 翻转
+//   - Mip Level        : 按屏幕导数估算 baseColor 贴图采样的 mip 级别 (纹素密度)：
+//                        蓝 = 放大 (贴图精度不足)，绿 = 1:1，黄 / 橙 / 红 = 缩小 1 / 2 / 3+ 级 (贴图尺寸浪费)，灰 = 没有贴图
+//   - Material ID      : 每个材质一种颜色，检查材质拆分与合并结果
+//   - Triangle Density : 每个网格的三角形数 / 世界空间表面积 (对数色阶，蓝 = 稀疏，红 = 密集)
+//   - Lighting Only    : 去掉颜色贴图，只保留法线 / 粗糙度 / 金属度 / AO 的白模光照
+// 调试材质按原材质 (三角形密度按网格) 缓存；线框模式直接作用在调试材质上，可以叠加使用。
+
+export const DEBUG_VIEWS = ['None', 'Overdraw', 'Normals', 'UV Checker', 'Mip Level', 'Material ID', 'Triangle Density', 'Lighting Only'];
+
+// 原材质中与调试视图仍然相关的属性
+const BASE_PROPS = ['name', 'side', 'alphaTest', 'alphaMap', 'wireframe', 'visible'];
+const NORMAL_PROPS = [...BASE_PROPS, 'normalMap', 'normalMapType', 'normalScale', 'bumpMap', 'bumpScale', 'flatShading'];
+const LIGHTING_PROPS = [
+    ...NORMAL_PROPS, 'roughness', 'roughnessMap', 'metalness', 'metalnessMap', 'aoMap', 'aoMapIntensity', 'envMapIntensity'
+];
+
+const OVERDRAW_COLOR = new THREE.Color(0.2, 0.05, 0.01); // 叠加约 5 层红色饱和，约 20 层变黄，约 100 层变白
+const CHECKER_SIZE = 512;
+const CHECKER_CELLS = 8;
+
+// 顶点着色器不处理蒙皮 / 变形目标 (按绑定姿态显示)
+const MIP_VERTEX = /* glsl */ `
+varying vec2 vUv;
+void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}`;
+
+const MIP_FRAGMENT = /* glsl */ `
+uniform vec2 textureSize;
+uniform bool hasMap;
+varying vec2 vUv;
+void main() {
+    if (!hasMap) {
+        gl_FragColor = vec4(vec3(0.35), 1.0);
+        return;
+    }
+    vec2 texel = vUv * textureSize;
+    vec2 dx = dFdx(texel);
+    vec2 dy = dFdy(texel);
+    float level = 0.5 * log2(max(dot(dx, dx), dot(dy, dy)));
+    float t = clamp(level + 1.0, 0.0, 4.0);
+    vec3 color = mix(vec3(0.0, 0.2, 1.0), vec3(0.0, 1.0, 0.0), clamp(t, 0.0, 1.0));
+    color = mix(color, vec3(1.0, 1.0, 0.0), clamp(t - 1.0, 0.0, 1.0));
+    color = mix(color, vec3(1.0, 0.5, 0.0), clamp(t - 2.0, 0.0, 1.0));
+    color = mix(color, vec3(1.0, 0.0, 0.0), clamp(t - 3.0, 0.0, 1.0));
+    gl_FragColor = vec4(color, 1.0);
+}`;
+
+// 彩色棋盘格：每列色相不同、明暗交替，便于看出 UV 的方向与拉伸
+function createCheckerTexture() {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = CHECKER_SIZE;
+    const ctx = canvas.getContext('2d');
+    const cell = CHECKER_SIZE / CHECKER_CELLS;
+    for (let y = 0; y < CHECKER_CELLS; y++) {
+        for (let x = 0; x < CHECKER_CELLS; x++) {
+            const light = (x + y) % 2 === 0 ? 75 : 40;
+            ctx.fillStyle = `hsl(${(x / CHECKER_CELLS) * 300}, 70%, ${light}%)`;
+            ctx.fillRect(x * cell, y * cell, cell, cell);
+        }
+    }
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.name = 'UV Checker';
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    return texture;
+}
+
+function getImageSize(texture) {
+    const image = texture && texture.image;
+    if (!image) return null;
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    return width > 0 && height > 0 ? new THREE.Vector2(width, height) : null;
+}
+
+// 世界空间表面积 (三角形面积之和)
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _c = new THREE.Vector3();
+function computeSurfaceArea(mesh) {
+    const position = mesh.geometry.attributes.position;
+    if (!position) return 0;
+    const index = mesh.geometry.index;
+    const count = index ? index.count : position.count;
+    let area = 0;
+    for (let i = 0; i + 2 < count; i += 3) {
+        const ia = index ? index.getX(i) : i;
+        const ib = index ? index.getX(i + 1) : i + 1;
+        const ic = index ? index.getX(i + 2) : i + 2;
+        _a.fromBufferAttribute(position, ia).applyMatrix4(mesh.matrixWorld);
+        _b.fromBufferAttribute(position, ib).applyMatrix4(mesh.matrixWorld);
+        _c.fromBufferAttribute(position, ic).applyMatrix4(mesh.matrixWorld);
+        area += _b.sub(_a).cross(_c.sub(_a)).length() * 0.5;
+    }
+    return area;
+}
+
+// 对数色阶：蓝 (最稀疏) -> 绿 -> 红 (最密集)；range 为 log10 密度的最小 / 最大值
+function densityColor(density, { min, max }) {
+    const t = max > min ? (Math.log10(density) - min) / (max - min) : 0.5;
+    return new THREE.Color().setHSL((1 - t) * 0.66, 0.8, 0.5);
+}
+
+function countTriangles(geometry) {
+    const count = geometry.index ? geometry.index.count : (geometry.attributes.position ? geometry.attributes.position.count : 0);
+    return Math.floor(count / 3);
+}
+
+export class DebugViewManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.view = DEBUG_VIEWS[0];
+        this.overrides = new MaterialOverrides();
+        this.materials = new Map(); // 原材质 (三角形密度为网格) -> 调试材质
+        this.checker = null;
+        this.background = null;     // Overdraw 时替换掉的场景背景 { original, replacement }
+        this.materialIndex = new Map(); // Material ID：原材质 -> 序号
+    }
+
+    // models: [{ object }]；先还原再替换，返回 { meshes, materials, legend }
+    apply(view, models) {
+        this.revert();
+        this.view = view;
+        const stats = { meshes: 0, materials: 0, legend: null };
+        if (view === DEBUG_VIEWS[0]) return stats;
+
+        const meshes = [];
+        models.forEach(({ object }) => {
+            object.updateMatrixWorld(true);
+            object.traverse(child => {
+                if (child.isMesh && child.userData.isModelMesh && child.material) meshes.push(child);
+            });
+        });
+
+        let densities = null;
+        let range = null;
+        if (view === 'Triangle Density') {
+            densities = new Map();
+            meshes.forEach(mesh => {
+                const area = computeSurfaceArea(mesh);
+                if (area > 0) densities.set(mesh, countTriangles(mesh.geometry) / area);
+            });
+            if (densities.size > 0) {
+                range = { min: Infinity, max: -Infinity };
+                densities.forEach(d => {
+                    range.min = Math.min(range.min, Math.log10(d));
+                    range.max = Math.max(range.max, Math.log10(d));
+                });
+                stats.legend = `Triangle density ${(10 ** range.min).toExponential(2)} (blue) - ${(10 ** range.max).toExponential(2)} (red) tris / unit²`;
+            }
+        }
+        if (view === 'Overdraw') {
+            this.background = { original: this.scene.background, replacement: new THREE.Color(0x000000) };
+            this.scene.background = this.background.replacement;
+        }
+
+        meshes.forEach(mesh => {
+            const create = (material) => {
+                const key = view === 'Triangle Density' ? mesh : material;
+                if (!this.materials.has(key)) this.materials.set(key, this.createMaterial(view, material, densities && densities.get(mesh), range));
+                return this.materials.get(key);
+            };
+            this.overrides.replace(mesh, Array.isArray(mesh.material) ? mesh.material.map(create) : create(mesh.material));
+            stats.meshes++;
+        });
+        stats.materials = this.materials.size;
+        if (view === 'Material ID') stats.legend = `${this.materialIndex.size} materials`;
+        return stats;
+    }
+
+    createMaterial(view, material, density, range) {
+        switch (view) {
+            case 'Overdraw':
+                return copyProps(new THREE.MeshBasicMaterial({
+                    color: OVERDRAW_COLOR,
+                    blending: THREE.AdditiveBlending,
+                    transparent: true,
+                    depthTest: false,
+                    depthWrite: false,
+                    toneMapped: false
+                }), material, BASE_PROPS);
+            case 'Normals':
+                return copyProps(new THREE.MeshNormalMaterial(), material, NORMAL_PROPS);
+            case 'UV Checker': {
+                if (!this.checker) this.checker = createCheckerTexture();
+                return copyProps(new THREE.MeshLambertMaterial({ map: this.checker }), material, BASE_PROPS);
+            }
+            case 'Mip Level': {
+                const size = getImageSize(material.map);
+                const debug = new THREE.ShaderMaterial({
+                    uniforms: {
+                        textureSize: { value: size || new THREE.Vector2(1, 1) },
+                        hasMap: { value: !!size }
+                    },
+                    vertexShader: MIP_VERTEX,
+                    fragmentShader: MIP_FRAGMENT
+                });
+                debug.name = material.name;
+                debug.side = material.side;
+                debug.wireframe = material.wireframe;
+                return debug;
+            }
+            case 'Material ID': {
+                if (!this.materialIndex.has(material)) this.materialIndex.set(material, this.materialIndex.size);
+                const hue = (this.materialIndex.get(material) * 0.618034) % 1; // 黄金比例分布色相，相邻序号颜色差异大
+                return copyProps(new THREE.MeshLambertMaterial({ color: new THREE.Color().setHSL(hue, 0.65, 0.55) }), material, BASE_PROPS);
+            }
+            case 'Triangle Density': {
+                const color = density === undefined ? new THREE.Color(0x555555) : densityColor(density, range);
+                return copyProps(new THREE.MeshLambertMaterial({ color }), material, BASE_PROPS);
+            }
+            case 'Lighting Only':
+                return copyProps(new THREE.MeshStandardMaterial({ color: 0xffffff }), material, LIGHTING_PROPS);
+            default:
+                return material;
+        }
+    }
+
+    // 放回原材质并释放调试材质；视图保持不变，便于之后重新应用
+    revert() {
+        this.overrides.revert();
+        this.materials.forEach(material => material.dispose());
+        this.materials.clear();
+        this.materialIndex.clear();
+        // 期间加载了新的环境贴图时保留新背景
+        if (this.background && this.scene.background === this.background.replacement) this.scene.background = this.background.original;
+        this.background = null;
+    }
+
+    // 替换期间的原材质及其贴图、当前未使用的棋盘格贴图 (泄漏报告中视为有意保留)
+    getRetainedResources() {
+        return this.overrides.getRetainedResources(this.checker ? new Set([this.checker]) : new Set());
+    }
+}
@@ -0,0 +1,24 @@
+// === GPU 上传状态 ===
+// three.js 没有公开 "资源是否已上传到 GPU" 的接口，项目中只有这里读取渲染器的内部字段 (按 three r160 的实现)：
+//   - 几何体：WebGLGeometries 首次上传时在几何体上注册 dispose 监听器 (EventDispatcher 的 _listeners)
+//   - 贴图  : WebGLTextures 上传后在 renderer.properties 中写入 __webglInit 与 __cacheKey
+// 内部实现变化 (字段缺失) 时返回 null 表示无法判断，调用方应显示为未知，而不是当作未上传。
+
+// ownListener: 调用方自己注册在该几何体上的 dispose 监听器，用来确认 _listeners 仍是监听器表，并从判断中排除；
+// 其他代码注册的 dispose 监听器同样会被当作渲染器的 (项目中只有 ResourceTracker 注册几何体监听器)
+export function isGeometryUploaded(geometry, ownListener) {
+    const listeners = geometry._listeners && geometry._listeners.dispose;
+    if (!Array.isArray(listeners) || !listeners.includes(ownListener)) return null;
+    return listeners.some(listener => listener !== ownListener);
+}
+
+// 贴图对应的 GL 贴图：已上传时返回去重键 (同一图像源、同样采样参数的多个 Texture 共用一个 GL 贴图)，
+// 未上传返回 false，无法判断返回 null
+export function getTextureGPUKey(renderer, texture) {
+    if (!renderer.properties || typeof renderer.properties.get !== 'function') return null;
+    const properties = renderer.properties.get(texture);
+    if (!('__webglInit' in properties)) return properties.__webglTexture ? null : false;
+    if (!properties.__webglInit) return false;
+    // 缓存键缺失时按贴图本身计数 (不去重)
+    return properties.__cacheKey !== undefined ? `${texture.source.uuid}|${properties.__cacheKey}` : texture.uuid;
+}
@@ -0,0 +1,178 @@
+// === 图像空间质量指标 (PSNR / SSIM / 差异热力图) ===
+// 只处理普通像素缓冲 { width, height, data }，data 为 RGBA 8 位 (与 ImageData 相同)，
+// 不依赖渲染器，可以单独用构造的图像验证。Alpha 通道不参与计算。
+
+const SSIM_WINDOW = 8;                 // SSIM 滑动窗口边长 (方形均值窗口，步长 1)
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+const DIFF_THRESHOLD = 2;              // 通道差 (0-255) 超过该值的像素计为 "有变化"，过滤抗锯齿抖动
+
+function assertSameSize(a, b) {
+    if (a.width !== b.width || a.height !== b.height) {
+        throw new Error(`Image size mismatch: ${a.width}x${a.height} vs ${b.width}x${b.height}`);
+    }
+}
+
+// RGB 三个通道的均方误差；完全相同时 PSNR 为 Infinity
+export function computePSNR(a, b) {
+    assertSameSize(a, b);
+    const pixels = a.width * a.height;
+    let sum = 0;
+    for (let i = 0; i < pixels * 4; i += 4) {
+        const dr = a.data[i] - b.data[i];
+        const dg = a.data[i + 1] - b.data[i + 1];
+        const db = a.data[i + 2] - b.data[i + 2];
+        sum += dr * dr + dg * dg + db * db;
+    }
+    const mse = pixels > 0 ? sum / (pixels * 3) : 0;
+    return { mse, psnr: mse > 0 ? 10 * Math.log10(255 * 255 / mse) : Infinity };
+}
+
+// Rec. 601 亮度 (0-255)
+export function toLuminance(image) {
+    const pixels = image.width * image.height;
+    const out = new Float64Array(pixels);
+    for (let p = 0; p < pixels; p++) {
+        const i = p * 4;
+        out[p] = 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+    }
+    return out;
+}
+
+// (w+1) x (h+1) 的积分图，任意矩形区域求和 O(1)
+function integralImage(values, width, height) {
+    const stride = width + 1;
+    const out = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+            row += values[y * width + x];
+            out[(y + 1) * stride + x + 1] = out[y * stride + x + 1] + row;
+        }
+    }
+    return out;
+}
+
+function boxSum(integral, stride, x, y, size) {
+    const x1 = x + size, y1 = y + size;
+    return integral[y1 * stride + x1] - integral[y * stride + x1] - integral[y1 * stride + x] + integral[y * stride + x];
+}
+
+// 亮度通道上的 SSIM (Wang et al. 2004)，窗口内用均值 / 方差 / 协方差
+// 返回 { ssim (全图平均), map (每个窗口的 SSIM), mapWidth, mapHeight }
+export function computeSSIM(a, b, { windowSize = SSIM_WINDOW } = {}) {
+    assertSameSize(a, b);
+    const { width, height } = a;
+    const size = Math.min(windowSize, width, height);
+    if (size <= 0) return { ssim: 1, map: new Float32Array(0), mapWidth: 0, mapHeight: 0 };
+
+    const x = toLuminance(a);
+    const y = toLuminance(b);
+    const pixels = width * height;
+    const xx = new Float64Array(pixels);
+    const yy = new Float64Array(pixels);
+    const xy = new Float64Array(pixels);
+    for (let i = 0; i < pixels; i++) {
+        xx[i] = x[i] * x[i];
+        yy[i] = y[i] * y[i];
+        xy[i] = x[i] * y[i];
+    }
+    const stride = width + 1;
+    const [ix, iy, ixx, iyy, ixy] = [x, y, xx, yy, xy].map(v => integralImage(v, width, height));
+
+    const mapWidth = width - size + 1;
+    const mapHeight = height - size + 1;
+    const map = new Float32Array(mapWidth * mapHeight);
+    const n = size * size;
+    let total = 0;
+    for (let wy = 0; wy < mapHeight; wy++) {
+        for (let wx = 0; wx < mapWidth; wx++) {
+            const mx = boxSum(ix, stride, wx, wy, size) / n;
+            const my = boxSum(iy, stride, wx, wy, size) / n;
+            const vx = Math.max(0, boxSum(ixx, stride, wx, wy, size) / n - mx * mx);
+            const vy = Math.max(0, boxSum(iyy, stride, wx, wy, size) / n - my * my);
+            const cov = boxSum(ixy, stride, wx, wy, size) / n - mx * my;
+            const s = ((2 * mx * my + SSIM_C1) * (2 * cov + SSIM_C2)) /
+                ((mx * mx + my * my + SSIM_C1) * (vx + vy + SSIM_C2));
+            map[wy * mapWidth + wx] = s;
+            total += s;
+        }
+    }
+    return { ssim: total / map.length, map, mapWidth, mapHeight };
+}
+
+// 0-1 -> 蓝 / 青 / 绿 / 黄 / 红
+function heatColor(t) {
+    const stops = [[0, 0, 255], [0, 255, 255], [0, 255, 0], [255, 255, 0], [255, 0, 0]];
+    const f = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(f));
+    const k = f - i;
+    return stops[i].map((c, j) => Math.round(c + (stops[i + 1][j] - c) * k));
+}
+
+// 逐像素差异热力图：差值取 RGB 通道的最大绝对差，未变化的像素透明
+// gain 放大较小的差异 (差值 × gain 后再映射颜色)
+export function computeDiffHeatmap(a, b, { gain = 4 } = {}) {
+    assertSameSize(a, b);
+    const pixels = a.width * a.height;
+    const data = new Uint8ClampedArray(pixels * 4);
+    let maxDiff = 0;
+    let changed = 0;
+    for (let p = 0; p < pixels; p++) {
+        const i = p * 4;
+        const diff = Math.max(
+            Math.abs(a.data[i] - b.data[i]),
+            Math.abs(a.data[i + 1] - b.data[i + 1]),
+            Math.abs(a.data[i + 2] - b.data[i + 2])
+        );
+        if (diff > maxDiff) maxDiff = diff;
+        if (diff <= DIFF_THRESHOLD) continue;
+        changed++;
+        const [r, g, bl] = heatColor(diff * gain / 255);
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = bl;
+        data[i + 3] = 255;
+    }
+    return {
+        width: a.width,
+        height: a.height,
+        data,
+        maxDiff,
+        changedRatio: pixels > 0 ? changed / pixels : 0
+    };
+}
+
+// 叠加显示：底图转灰度并压暗，再按 opacity 混合热力图
+export function composeHeatmapOverlay(base, heatmap, { opacity = 0.85, dim = 0.5 } = {}) {
+    assertSameSize(base, heatmap);
+    const pixels = base.width * base.height;
+    const data = new Uint8ClampedArray(pixels * 4);
+    for (let p = 0; p < pixels; p++) {
+        const i = p * 4;
+        const gray = (0.299 * base.data[i] + 0.587 * base.data[i + 1] + 0.114 * base.data[i + 2]) * dim;
+        const alpha = heatmap.data[i + 3] / 255 * opacity;
+        data[i] = gray + (heatmap.data[i] - gray) * alpha;
+        data[i + 1] = gray + (heatmap.data[i + 1] - gray) * alpha;
+        data[i + 2] = gray + (heatmap.data[i + 2] - gray) * alpha;
+        data[i + 3] = 255;
+    }
+    return { width: base.width, height: base.height, data };
+}
+
+// 一次算完全部指标；heatmap 为像素缓冲 (不写入导出的 JSON)
+export function compareImages(before, after, options = {}) {
+    const { mse, psnr } = computePSNR(before, after);
+    const { ssim } = computeSSIM(before, after, options);
+    const heatmap = computeDiffHeatmap(before, after, options);
+    return {
+        width: before.width,
+        height: before.height,
+        mse,
+        psnr,
+        ssim,
+        maxDiff: heatmap.maxDiff,
+        changedRatio: heatmap.changedRatio,
+        heatmap
+    };
+}
@@ -0,0 +1,172 @@
+// === GPU 资源跟踪 ===
+// 记录加载、复制、简化、LOD 与线框叠加产生的几何体 / 材质 / 贴图，以及它们属于哪个模型 (owner = 模型根节点)。
+// 模型移除时 releaseOwner() 释放只属于该模型的资源；任何地方调用 dispose() 后资源自动从跟踪表中移除。
+//
+// 泄漏报告把 renderer.info.memory 与跟踪表对照：
+//   - in use : 仍被模型的场景子树引用
+//   - retained : 有意保留、当前不在场景中的资源 (如简化用的原始几何体备份)
+//   - stale  : 模型还在，但资源已不再被引用且没有 dispose (如被替换掉的几何体)
+//   - orphan : 所属模型已不在场景中，资源却没有被释放
+// stale / orphan 即泄漏；renderer 计数中不属于跟踪表的部分 (辅助对象、Gizmo、环境贴图等) 记为 untracked，
+// 与基线相比持续增长同样说明有资源没有经过跟踪就被丢弃了。
+// 是否已上传由 gpuResidency.js 判断；无法判断时 tracked / untracked 为 null。
+
+import { isGeometryUploaded, getTextureGPUKey } from './gpuResidency.js';
+
+function kindOf(resource) {
+    if (resource.isBufferGeometry) return 'geometry';
+    if (resource.isMaterial) return 'material';
+    if (resource.isTexture) return 'texture';
+    return null;
+}
+
+// 材质上直接挂载的贴图 (map / normalMap / envMap ...)
+export function getMaterialTextures(material) {
+    const textures = [];
+    for (const key in material) {
+        const value = material[key];
+        if (value && value.isTexture) textures.push(value);
+    }
+    return textures;
+}
+
+export class ResourceTracker {
+    constructor() {
+        this.resources = new Map(); // resource -> { kind, owners: Set }
+        this.onDispose = (event) => this.untrack(event.target);
+    }
+
+    track(resource, owner) {
+        const kind = kindOf(resource);
+        if (!kind) return;
+        let record = this.resources.get(resource);
+        if (!record) {
+            record = { kind, owners: new Set() };
+            this.resources.set(resource, record);
+            resource.addEventListener('dispose', this.onDispose);
+        }
+        record.owners.add(owner);
+    }
+
+    // 登记 object 子树中网格 / 点 / 线的几何体、材质与材质贴图；重复调用只会补充新资源
+    trackObject(object, owner) {
+        object.traverse(child => {
+            if (child.geometry) this.track(child.geometry, owner);
+            if (!child.material) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            materials.forEach(material => {
+                this.track(material, owner);
+                getMaterialTextures(material).forEach(texture => this.track(texture, owner));
+            });
+        });
+    }
+
+    untrack(resource) {
+        if (!this.resources.has(resource)) return;
+        resource.removeEventListener('dispose', this.onDispose);
+        this.resources.delete(resource);
+    }
+
+    // 释放 owner 的资源：与其他模型共享的只解除归属；返回各类释放数量
+    releaseOwner(owner) {
+        const released = { geometry: 0, material: 0, texture: 0 };
+        [...this.resources].forEach(([resource, record]) => {
+            if (!record.owners.has(owner)) return;
+            record.owners.delete(owner);
+            if (record.owners.size > 0) return;
+            released[record.kind]++;
+            resource.dispose(); // 触发 dispose 事件，同时从跟踪表移除
+        });
+        return released;
+    }
+
+    // owners: [{ name, object }] 当前已加载的模型；retained: Set 有意保留的资源 (简化备份等)
+    // 返回 Map(resource -> { record, status, owner })，owner 为仍在场景中的所属模型名
+    classify(owners, retained = new Set()) {
+        const ownerNames = new Map(owners.map(o => [o.object, o.name]));
+        const referenced = new Map(); // owner -> Set(当前子树引用的资源)
+        owners.forEach(({ object }) => {
+            const set = new Set();
+            object.traverse(child => {
+                if (child.geometry) set.add(child.geometry);
+                if (!child.material) return;
+                (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+                    set.add(material);
+                    getMaterialTextures(material).forEach(texture => set.add(texture));
+                });
+            });
+            referenced.set(object, set);
+        });
+
+        const result = new Map();
+        this.resources.forEach((record, resource) => {
+            const alive = [...record.owners].filter(owner => referenced.has(owner));
+            let status;
+            if (alive.length === 0) status = 'orphan';
+            else if (alive.some(owner => referenced.get(owner).has(resource))) status = 'inUse';
+            else if (retained.has(resource)) status = 'retained';
+            else status = 'stale';
+            result.set(resource, { record, status, owner: alive.length > 0 ? ownerNames.get(alive[0]) : null });
+        });
+        return result;
+    }
+
+    getLeakReport(renderer, owners, retained) {
+        const counts = {};
+        ['inUse', 'retained', 'stale', 'orphan'].forEach(status => {
+            counts[status] = { geometry: 0, material: 0, texture: 0 };
+        });
+        const leaks = [];
+        let uploadedGeometries = 0;
+        const textureKeys = new Set();
+        const unknown = { geometries: false, textures: false };
+
+        this.classify(owners, retained).forEach(({ record, status, owner }, resource) => {
+            counts[status][record.kind]++;
+            if (record.kind === 'geometry') {
+                const uploaded = isGeometryUploaded(resource, this.onDispose);
+                if (uploaded === null) unknown.geometries = true;
+                else if (uploaded) uploadedGeometries++;
+            }
+            if (record.kind === 'texture') {
+                const key = getTextureGPUKey(renderer, resource);
+                if (key === null) unknown.textures = true;
+                else if (key) textureKeys.add(key);
+            }
+            if (status === 'stale' || status === 'orphan') {
+                leaks.push({
+                    status,
+                    kind: record.kind,
+                    name: resource.name || (record.kind === 'texture' ? 'Texture' : resource.type),
+                    owner: owner || '(removed)'
+                });
+            }
+        });
+
+        const memory = renderer.info.memory;
+        return {
+            renderer: { geometries: memory.geometries, textures: memory.textures },
+            tracked: {
+                geometries: unknown.geometries ? null : uploadedGeometries,
+                textures: unknown.textures ? null : textureKeys.size
+            },
+            untracked: {
+                geometries: unknown.geometries ? null : memory.geometries - uploadedGeometries,
+                textures: unknown.textures ? null : memory.textures - textureKeys.size
+            },
+            counts,
+            leaks
+        };
+    }
+
+    // 释放 stale / orphan 资源；返回释放数量
+    disposeLeaks(owners, retained) {
+        let count = 0;
+        this.classify(owners, retained).forEach(({ status }, resource) => {
+            if (status !== 'stale' && status !== 'orphan') return;
+            resource.dispose();
+            count++;
+        });
+        return count;
+    }
+}
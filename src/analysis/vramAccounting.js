@@ -0,0 +1,528 @@
+import * as THREE from 'three';
+
+// === 显存核算 ===
+// 按类别统计显存：几何属性、索引、材质贴图 (按格式 / Mip 链 / 压缩)、环境贴图 (含 PMREM)、
+// 阴影贴图、渲染目标 (默认帧缓冲)。统计规则尽量贴近 three.js r160 WebGLRenderer 的实际上传行为：
+//   - 普通贴图按 format + type 计算每像素字节数，开启 mipmap 时逐级累加 (而不是固定乘 1.33)
+//   - 压缩贴图直接累加各级 mipmap 数据长度
+//   - 等距柱状环境图会被转换为 PMREM cubeUV 渲染目标 (HalfFloat RGBA，生成器额外保留一张 ping-pong 目标)
+//   - 不模糊的等距柱状背景会被转换为立方体渲染目标 (边长 = 高度 / 2)
+// 结果同时给出 renderer.info.memory 的计数，便于交叉核对。
+
+const MB = 1024 * 1024;
+
+export function formatBytes(bytes) {
+    if (bytes >= MB) return `${(bytes / MB).toFixed(2)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
+
+// --- 贴图 ---
+
+const CHANNELS = {
+    [THREE.RGBAFormat]: 4,
+    [THREE.RGBAIntegerFormat]: 4,
+    [THREE.RGFormat]: 2,
+    [THREE.RGIntegerFormat]: 2,
+    [THREE.RedFormat]: 1,
+    [THREE.RedIntegerFormat]: 1,
+    [THREE.AlphaFormat]: 1,
+    [THREE.LuminanceFormat]: 1,
+    [THREE.LuminanceAlphaFormat]: 2,
+    [THREE.DepthFormat]: 1,
+    [THREE.DepthStencilFormat]: 1
+};
+
+const TYPE_BYTES = {
+    [THREE.UnsignedByteType]: 1,
+    [THREE.ByteType]: 1,
+    [THREE.ShortType]: 2,
+    [THREE.UnsignedShortType]: 2,
+    [THREE.HalfFloatType]: 2,
+    [THREE.IntType]: 4,
+    [THREE.UnsignedIntType]: 4,
+    [THREE.FloatType]: 4
+};
+
+// 打包类型：整个像素的字节数，与通道数无关
+const PACKED_TYPE_BYTES = {
+    [THREE.UnsignedShort4444Type]: 2,
+    [THREE.UnsignedShort5551Type]: 2,
+    [THREE.UnsignedInt248Type]: 4
+};
+
+const CHANNEL_NAMES = { 1: 'R', 2: 'RG', 4: 'RGBA' };
+const TYPE_SUFFIX = {
+    [THREE.UnsignedByteType]: '8',
+    [THREE.ByteType]: '8S',
+    [THREE.ShortType]: '16S',
+    [THREE.UnsignedShortType]: '16',
+    [THREE.HalfFloatType]: '16F',
+    [THREE.IntType]: '32I',
+    [THREE.UnsignedIntType]: '32UI',
+    [THREE.FloatType]: '32F'
+};
+
+// 压缩格式：[名称, 块宽, 块高, 每块字节]
+const COMPRESSED_FORMATS = {
+    [THREE.RGB_S3TC_DXT1_Format]: ['BC1', 4, 4, 8],
+    [THREE.RGBA_S3TC_DXT1_Format]: ['BC1A', 4, 4, 8],
+    [THREE.RGBA_S3TC_DXT3_Format]: ['BC2', 4, 4, 16],
+    [THREE.RGBA_S3TC_DXT5_Format]: ['BC3', 4, 4, 16],
+    [THREE.RED_RGTC1_Format]: ['BC4', 4, 4, 8],
+    [THREE.SIGNED_RED_RGTC1_Format]: ['BC4S', 4, 4, 8],
+    [THREE.RED_GREEN_RGTC2_Format]: ['BC5', 4, 4, 16],
+    [THREE.SIGNED_RED_GREEN_RGTC2_Format]: ['BC5S', 4, 4, 16],
+    [THREE.RGBA_BPTC_Format]: ['BC7', 4, 4, 16],
+    [THREE.RGB_BPTC_SIGNED_Format]: ['BC6H', 4, 4, 16],
+    [THREE.RGB_BPTC_UNSIGNED_Format]: ['BC6HU', 4, 4, 16],
+    [THREE.RGB_ETC1_Format]: ['ETC1', 4, 4, 8],
+    [THREE.RGB_ETC2_Format]: ['ETC2', 4, 4, 8],
+    [THREE.RGBA_ETC2_EAC_Format]: ['ETC2_EAC', 4, 4, 16],
+    [THREE.RGB_PVRTC_4BPPV1_Format]: ['PVRTC4', 4, 4, 8],
+    [THREE.RGBA_PVRTC_4BPPV1_Format]: ['PVRTC4A', 4, 4, 8],
+    [THREE.RGB_PVRTC_2BPPV1_Format]: ['PVRTC2', 8, 4, 8],
+    [THREE.RGBA_PVRTC_2BPPV1_Format]: ['PVRTC2A', 8, 4, 8],
+    [THREE.RGBA_ASTC_4x4_Format]: ['ASTC4x4', 4, 4, 16],
+    [THREE.RGBA_ASTC_5x4_Format]: ['ASTC5x4', 5, 4, 16],
+    [THREE.RGBA_ASTC_5x5_Format]: ['ASTC5x5', 5, 5, 16],
+    [THREE.RGBA_ASTC_6x5_Format]: ['ASTC6x5', 6, 5, 16],
+    [THREE.RGBA_ASTC_6x6_Format]: ['ASTC6x6', 6, 6, 16],
+    [THREE.RGBA_ASTC_8x5_Format]: ['ASTC8x5', 8, 5, 16],
+    [THREE.RGBA_ASTC_8x6_Format]: ['ASTC8x6', 8, 6, 16],
+    [THREE.RGBA_ASTC_8x8_Format]: ['ASTC8x8', 8, 8, 16],
+    [THREE.RGBA_ASTC_10x5_Format]: ['ASTC10x5', 10, 5, 16],
+    [THREE.RGBA_ASTC_10x6_Format]: ['ASTC10x6', 10, 6, 16],
+    [THREE.RGBA_ASTC_10x8_Format]: ['ASTC10x8', 10, 8, 16],
+    [THREE.RGBA_ASTC_10x10_Format]: ['ASTC10x10', 10, 10, 16],
+    [THREE.RGBA_ASTC_12x10_Format]: ['ASTC12x10', 12, 10, 16],
+    [THREE.RGBA_ASTC_12x12_Format]: ['ASTC12x12', 12, 12, 16]
+};
+
+const MIPMAP_FILTERS = new Set([
+    THREE.NearestMipmapNearestFilter,
+    THREE.NearestMipmapLinearFilter,
+    THREE.LinearMipmapNearestFilter,
+    THREE.LinearMipmapLinearFilter
+]);
+
+function bytesPerPixel(format, type) {
+    if (PACKED_TYPE_BYTES[type]) return PACKED_TYPE_BYTES[type];
+    return (CHANNELS[format] || 4) * (TYPE_BYTES[type] || 1);
+}
+
+export function getTextureFormatLabel(texture) {
+    const compressed = COMPRESSED_FORMATS[texture.format];
+    if (compressed) return compressed[0];
+    if (texture.type === THREE.UnsignedInt248Type) return 'DEPTH24_STENCIL8';
+    if (PACKED_TYPE_BYTES[texture.type]) return 'RGBA16 (packed)';
+    const channels = CHANNELS[texture.format] || 4;
+    return `${CHANNEL_NAMES[channels] || 'RGBA'}${TYPE_SUFFIX[texture.type] || '8'}`;
+}
+
+// 贴图尺寸：兼容 HTMLImageElement / ImageBitmap / Canvas / Video / DataTexture / 3D 贴图
+function getImageSize(image) {
+    if (!image) return null;
+    const width = image.videoWidth || image.naturalWidth || image.width;
+    const height = image.videoHeight || image.naturalHeight || image.height;
+    if (!width || !height) return null;
+    return { width, height, depth: image.depth || 1 };
+}
+
+function mipChainPixels(width, height, levels) {
+    let pixels = 0;
+    for (let i = 0; i < levels; i++) {
+        pixels += Math.max(1, width >> i) * Math.max(1, height >> i);
+    }
+    return pixels;
+}
+
+// 单张贴图的显存：{ bytes, baseBytes, mipBytes, width, height, levels, format, compressed, known }
+// 尺寸未知 (图片尚未解码) 时 known 为 false、bytes 为 0，不再按 1024x1024 猜测
+export function getTextureMemory(texture) {
+    const format = getTextureFormatLabel(texture);
+    const compressedInfo = COMPRESSED_FORMATS[texture.format];
+    const faces = (texture.isCubeTexture || texture.isCompressedCubeTexture) ? 6 : 1;
+
+    // 压缩贴图：各级数据按实际长度累加
+    if (texture.isCompressedTexture || compressedInfo) {
+        const mipmaps = texture.mipmaps || [];
+        let bytes = 0;
+        let baseBytes = 0;
+        mipmaps.forEach((mip, i) => {
+            let size = mip.data ? mip.data.byteLength : 0;
+            if (!size && compressedInfo && mip.width && mip.height) {
+                const [, bw, bh, blockBytes] = compressedInfo;
+                size = Math.ceil(mip.width / bw) * Math.ceil(mip.height / bh) * blockBytes;
+            }
+            bytes += size;
+            if (i === 0) baseBytes = size;
+        });
+        const base = mipmaps[0] || getImageSize(texture.image) || {};
+        return {
+            bytes: bytes * faces,
+            baseBytes: baseBytes * faces,
+            mipBytes: (bytes - baseBytes) * faces,
+            width: base.width || 0,
+            height: base.height || 0,
+            levels: mipmaps.length,
+            format,
+            compressed: true,
+            known: bytes > 0
+        };
+    }
+
+    const image = faces === 6 ? (texture.image && texture.image[0]) : texture.image;
+    const size = getImageSize(image && image.image ? image.image : image);
+    if (!size) {
+        return { bytes: 0, baseBytes: 0, mipBytes: 0, width: 0, height: 0, levels: 0, format, compressed: false, known: false };
+    }
+
+    const bpp = bytesPerPixel(texture.format, texture.type);
+    let levels = 1;
+    let pixels = size.width * size.height;
+    if (texture.mipmaps && texture.mipmaps.length > 0) {
+        // 预生成的 mipmap (DataTexture 等)
+        levels = texture.mipmaps.length;
+        pixels = texture.mipmaps.reduce((sum, m) => sum + (m.width * m.height || 0), 0) || pixels;
+    } else if (texture.generateMipmaps && MIPMAP_FILTERS.has(texture.minFilter)) {
+        levels = Math.floor(Math.log2(Math.max(size.width, size.height))) + 1;
+        pixels = mipChainPixels(size.width, size.height, levels);
+    }
+
+    const baseBytes = size.width * size.height * size.depth * bpp * faces;
+    const bytes = pixels * size.depth * bpp * faces;
+    return {
+        bytes,
+        baseBytes,
+        mipBytes: bytes - baseBytes,
+        width: size.width,
+        height: size.height,
+        levels,
+        format,
+        compressed: false,
+        known: true
+    };
+}
+
+// 材质上所有贴图
+export function collectMaterialTextures(material, out = new Set()) {
+    for (const key in material) {
+        const value = material[key];
+        if (value && value.isTexture) out.add(value);
+    }
+    if (material.uniforms) {
+        for (const name in material.uniforms) {
+            const value = material.uniforms[name].value;
+            if (value && value.isTexture) out.add(value);
+        }
+    }
+    return out;
+}
+
+// --- 几何体 ---
+
+// 几何体的缓冲区 (交错缓冲按底层数组去重)
+function forEachGeometryBuffer(geometry, callback) {
+    const attributeArray = (attr) => attr.isInterleavedBufferAttribute ? attr.data.array : attr.array;
+    for (const name in geometry.attributes) callback(attributeArray(geometry.attributes[name]), 'attribute');
+    for (const name in geometry.morphAttributes) {
+        geometry.morphAttributes[name].forEach(attr => callback(attributeArray(attr), 'attribute'));
+    }
+    if (geometry.index) callback(geometry.index.array, 'index');
+}
+
+export function getGeometryMemory(geometry, seenArrays = new Set()) {
+    let attributeBytes = 0;
+    let indexBytes = 0;
+    forEachGeometryBuffer(geometry, (array, kind) => {
+        if (seenArrays.has(array)) return;
+        seenArrays.add(array);
+        if (kind === 'index') indexBytes += array.byteLength;
+        else attributeBytes += array.byteLength;
+    });
+    return { attributeBytes, indexBytes };
+}
+
+// InstancedMesh 的实例矩阵 / 颜色缓冲；BatchedMesh 的矩阵存放在一张 RGBA32F 数据贴图中 (r160 未公开，读内部字段)
+export function getInstanceBufferBytes(object) {
+    if (object.isInstancedMesh) {
+        return object.instanceMatrix.array.byteLength + (object.instanceColor ? object.instanceColor.array.byteLength : 0);
+    }
+    if (object.isBatchedMesh && object._matricesTexture) return object._matricesTexture.image.data.byteLength;
+    return 0;
+}
+
+// --- 环境贴图 / 渲染目标 ---
+
+function renderTargetBytes(width, height, bpp, depthBuffer = true, faces = 1) {
+    // 深度缓冲按 24bit 深度 + 8bit 模板 (4 字节) 计
+    return width * height * (bpp + (depthBuffer ? 4 : 0)) * faces;
+}
+
+// PMREM cubeUV 目标大小，与 PMREMGenerator._setSize / _allocateTargets 一致
+function pmremBytes(texture) {
+    let faceSize;
+    if (texture.isCubeTexture) {
+        const face = texture.image && texture.image[0];
+        faceSize = face ? (face.width || (face.image && face.image.width) || 16) : 16;
+    } else {
+        const size = getImageSize(texture.image);
+        if (!size) return 0;
+        faceSize = size.width / 4;
+    }
+    const cubeSize = Math.pow(2, Math.floor(Math.log2(faceSize)));
+    const width = 3 * Math.max(cubeSize, 16 * 7);
+    const height = 4 * cubeSize;
+    return renderTargetBytes(width, height, 8, false); // HalfFloat RGBA，无深度
+}
+
+function accountEnvironment(scene, env) {
+    const sources = new Set();
+    const add = (name, bytes, textures = 1) => {
+        if (bytes <= 0) return;
+        env.items.push({ name, bytes, textures });
+        env.bytes += bytes;
+        env.textures += textures;
+    };
+
+    const environment = scene.environment;
+    const background = scene.background && scene.background.isTexture ? scene.background : null;
+
+    [environment, background].forEach(tex => {
+        if (!tex || sources.has(tex)) return;
+        sources.add(tex);
+        if (tex.isRenderTargetTexture) return; // 已是 PMREM 结果，由渲染目标持有
+        const mem = getTextureMemory(tex);
+        add(`${tex.name || 'Environment Source'} (${mem.format} ${mem.width}x${mem.height})`, mem.bytes);
+    });
+
+    const isEquirect = (t) => t && (t.mapping === THREE.EquirectangularReflectionMapping || t.mapping === THREE.EquirectangularRefractionMapping);
+    const needsPMREM = (t) => t && !t.isRenderTargetTexture && (isEquirect(t) || t.isCubeTexture);
+
+    // PMREM：环境贴图，或开启模糊的背景；同一源贴图只生成一次
+    const pmremSources = new Set();
+    if (needsPMREM(environment)) pmremSources.add(environment);
+    if (needsPMREM(background) && scene.backgroundBlurriness > 0) pmremSources.add(background);
+    pmremSources.forEach(tex => add('PMREM cubeUV (RGBA16F)', pmremBytes(tex)));
+    if (pmremSources.size > 0) {
+        // PMREMGenerator 保留最后一次使用的 ping-pong 目标
+        const largest = Math.max(...[...pmremSources].map(pmremBytes));
+        add('PMREM ping-pong (RGBA16F)', largest);
+    }
+
+    // 不模糊的等距柱状背景会转换为立方体渲染目标
+    if (isEquirect(background) && !(scene.backgroundBlurriness > 0)) {
+        const size = getImageSize(background.image);
+        if (size) {
+            const edge = size.height / 2;
+            const bpp = bytesPerPixel(THREE.RGBAFormat, background.type);
+            add(`Background Cube (${edge}x${edge}x6)`, renderTargetBytes(edge, edge, bpp, true, 6));
+        }
+    }
+
+    return sources;
+}
+
+function accountShadowMaps(scene, shadows) {
+    scene.traverse(obj => {
+        if (!obj.isLight || !obj.castShadow || !obj.shadow || !obj.shadow.map) return;
+        const { width, height } = obj.shadow.map;
+        // 点光源阴影在 r160 中展开为单张 4:2 贴图，map 的宽高已包含展开
+        let bytes = renderTargetBytes(width, height, 4, true);
+        let textures = 1;
+        if (obj.shadow.mapPass) {
+            bytes += renderTargetBytes(obj.shadow.mapPass.width, obj.shadow.mapPass.height, 4, true);
+            textures++;
+        }
+        shadows.items.push({ name: `${obj.type} ${obj.name || obj.uuid.slice(0, 8)} (${width}x${height})`, bytes, textures });
+        shadows.bytes += bytes;
+        shadows.textures += textures;
+    });
+}
+
+function accountRenderTargets(renderer, extraRenderTargets, targets) {
+    // 默认帧缓冲：MSAA 采样缓冲 (颜色 + 深度模板) + 解析后的颜色缓冲
+    const gl = renderer.getContext();
+    const w = gl.drawingBufferWidth;
+    const h = gl.drawingBufferHeight;
+    const samples = gl.getParameter(gl.SAMPLES) || 0;
+    let bytes = w * h * 4; // 解析 / 显示用颜色缓冲
+    bytes += samples > 0 ? w * h * 8 * samples : w * h * 4; // 多重采样颜色 + 深度模板，或单采样深度模板
+    targets.items.push({ name: `Drawing Buffer (${w}x${h}, ${samples}x MSAA)`, bytes, textures: 0 });
+    targets.bytes += bytes;
+
+    extraRenderTargets.forEach(({ name, target }) => {
+        if (!target) return;
+        const bpp = bytesPerPixel(target.texture.format, target.texture.type);
+        const rtBytes = renderTargetBytes(target.width, target.height, bpp, target.depthBuffer)
+            * Math.max(1, target.samples || 1);
+        targets.items.push({ name: `${name} (${target.width}x${target.height})`, bytes: rtBytes, textures: 1 });
+        targets.bytes += rtBytes;
+        targets.textures++;
+    });
+}
+
+// --- 汇总 ---
+
+// root: 模型所在的节点 (mainGroup)；models: [{ name, object }]；
+// backupGeometries: [{ mesh, geometry }] 简化用的原始几何体备份；
+// extraRenderTargets: [{ name, target }] 应用自建的渲染目标
+export function computeVRAMReport({ renderer, scene, root, models = [], backupGeometries = [], extraRenderTargets = [] }) {
+    const seenArrays = new Set();
+    const geometries = new Set();
+    const textures = new Set();
+    const meshesInRoot = new Set();
+
+    let instanceBytes = 0;
+
+    root.traverse(obj => {
+        if (!obj.isMesh && !obj.isLine && !obj.isPoints) return;
+        meshesInRoot.add(obj);
+        // 被实例化对象替代的网格 (及其线框子物体) 不再渲染，只统计替代它的 InstancedMesh / BatchedMesh
+        if (obj.userData.instancedBy || (obj.parent && obj.parent.userData.instancedBy)) return;
+        instanceBytes += getInstanceBufferBytes(obj);
+        if (obj.geometry) geometries.add(obj.geometry);
+        if (obj.material) {
+            const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+            mats.forEach(m => collectMaterialTextures(m, textures));
+        }
+    });
+
+    const environment = { bytes: 0, textures: 0, items: [] };
+    const envSources = accountEnvironment(scene, environment);
+    envSources.forEach(t => textures.delete(t));
+
+    // 几何体
+    const geometry = { bytes: 0, count: geometries.size };
+    const index = { bytes: 0, count: 0 };
+    geometries.forEach(g => {
+        const mem = getGeometryMemory(g, seenArrays);
+        geometry.bytes += mem.attributeBytes;
+        index.bytes += mem.indexBytes;
+        if (g.index) index.count++;
+    });
+    geometry.bytes += instanceBytes;
+
+    // 简化备份：当前未被任何网格使用的备份几何体 (内存中的副本；显示时上传，换下时 main.js 释放其 GPU 副本)
+    const backup = { bytes: 0, count: 0 };
+    backupGeometries.forEach(({ mesh, geometry: g }) => {
+        if (!meshesInRoot.has(mesh) || geometries.has(g)) return;
+        const mem = getGeometryMemory(g, seenArrays);
+        backup.bytes += mem.attributeBytes + mem.indexBytes;
+        backup.count++;
+    });
+
+    // 材质贴图
+    const texture = { bytes: 0, count: textures.size, mipBytes: 0, compressedCount: 0, unknownSizeCount: 0, byFormat: {} };
+    textures.forEach(t => {
+        const mem = getTextureMemory(t);
+        texture.bytes += mem.bytes;
+        texture.mipBytes += mem.mipBytes;
+        if (mem.compressed) texture.compressedCount++;
+        if (!mem.known) texture.unknownSizeCount++;
+        const slot = texture.byFormat[mem.format] || (texture.byFormat[mem.format] = { count: 0, bytes: 0 });
+        slot.count++;
+        slot.bytes += mem.bytes;
+    });
+
+    const shadowMaps = { bytes: 0, textures: 0, items: [] };
+    accountShadowMaps(scene, shadowMaps);
+
+    const renderTargets = { bytes: 0, textures: 0, items: [] };
+    accountRenderTargets(renderer, extraRenderTargets, renderTargets);
+
+    const categories = { geometry, index, texture, environment, shadowMaps, renderTargets, backupGeometry: backup };
+    const gpuBytes = geometry.bytes + index.bytes + texture.bytes + environment.bytes + shadowMaps.bytes + renderTargets.bytes;
+
+    // 与 renderer.info.memory 交叉核对 (渲染器还会计入 Gizmo、PMREM 平面等内部几何体)
+    const memory = renderer.info.memory;
+    const expectedTextures = texture.count + environment.textures + shadowMaps.textures + renderTargets.textures;
+    const crossCheck = {
+        rendererGeometries: memory.geometries,
+        trackedGeometries: geometry.count,
+        rendererTextures: memory.textures,
+        trackedTextures: expectedTextures,
+        untrackedTextures: memory.textures - expectedTextures
+    };
+
+    return {
+        timestamp: new Date().toISOString(),
+        totalBytes: gpuBytes,
+        modelBytes: geometry.bytes + index.bytes + texture.bytes,
+        categories,
+        models: models.map(m => computeModelMemory(m, backupGeometries)),
+        crossCheck
+    };
+}
+
+// 单个模型的显存 (贴图在模型内部去重；与其他模型共享的贴图会在每个模型中各计一次)
+export function computeModelMemory({ name, object }, backupGeometries = []) {
+    const seenArrays = new Set();
+    const geometries = new Set();
+    const textures = new Set();
+    const meshes = new Set();
+    object.traverse(obj => {
+        if (!obj.isMesh || !obj.userData.isModelMesh) return;
+        meshes.add(obj);
+        if (obj.geometry) geometries.add(obj.geometry);
+        const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+        mats.forEach(m => m && collectMaterialTextures(m, textures));
+    });
+
+    let geometryBytes = 0;
+    let indexBytes = 0;
+    geometries.forEach(g => {
+        const mem = getGeometryMemory(g, seenArrays);
+        geometryBytes += mem.attributeBytes;
+        indexBytes += mem.indexBytes;
+    });
+
+    let textureBytes = 0;
+    textures.forEach(t => textureBytes += getTextureMemory(t).bytes);
+
+    let backupBytes = 0;
+    backupGeometries.forEach(({ mesh, geometry }) => {
+        if (!meshes.has(mesh) || geometries.has(geometry)) return;
+        const mem = getGeometryMemory(geometry, seenArrays);
+        backupBytes += mem.attributeBytes + mem.indexBytes;
+    });
+
+    return {
+        name,
+        meshes: meshes.size,
+        geometries: geometries.size,
+        textures: textures.size,
+        geometryBytes,
+        indexBytes,
+        textureBytes,
+        backupBytes,
+        totalBytes: geometryBytes + indexBytes + textureBytes
+    };
+}
+
+// 控制台输出用的分类摘要
+export function formatVRAMReport(report) {
+    const c = report.categories;
+    const lines = [
+        `VRAM Total: ${formatBytes(report.totalBytes)} (Models ${formatBytes(report.modelBytes)})`,
+        `  Geometry: ${formatBytes(c.geometry.bytes)} (${c.geometry.count} geo) | Index: ${formatBytes(c.index.bytes)}`,
+        `  Textures: ${formatBytes(c.texture.bytes)} (${c.texture.count} tex, mips ${formatBytes(c.texture.mipBytes)}, ${c.texture.compressedCount} compressed)`
+    ];
+    Object.entries(c.texture.byFormat).forEach(([format, slot]) => {
+        lines.push(`    ${format}: ${slot.count} tex, ${formatBytes(slot.bytes)}`);
+    });
+    if (c.texture.unknownSizeCount > 0) lines.push(`    (${c.texture.unknownSizeCount} tex with unknown size not counted)`);
+    lines.push(`  Environment: ${formatBytes(c.environment.bytes)}`);
+    c.environment.items.forEach(i => lines.push(`    ${i.name}: ${formatBytes(i.bytes)}`));
+    lines.push(`  Shadow Maps: ${formatBytes(c.shadowMaps.bytes)}`);
+    lines.push(`  Render Targets: ${formatBytes(c.renderTargets.bytes)}`);
+    c.renderTargets.items.forEach(i => lines.push(`    ${i.name}: ${formatBytes(i.bytes)}`));
+    lines.push(`  Simplify Backups (RAM): ${formatBytes(c.backupGeometry.bytes)} (${c.backupGeometry.count} geo)`);
+    report.models.forEach(m => {
+        lines.push(`  [${m.name}] ${formatBytes(m.totalBytes)} = Geo ${formatBytes(m.geometryBytes + m.indexBytes)} + Tex ${formatBytes(m.textureBytes)}`);
+    });
+    const x = report.crossCheck;
+    lines.push(`  renderer.info: ${x.rendererGeometries} geo / ${x.rendererTextures} tex (tracked ${x.trackedGeometries} / ${x.trackedTextures})`);
+    return lines;
+}
@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+
+// === 相机路径录制 / 回放 ===
+// 路径文件格式 (JSON):
+// { version, createdAt, duration, fov, keyframes: [{ t, p: [x,y,z], q: [x,y,z,w] }] }
+// t 为相对录制开始的秒数。回放按时间插值 (位置线性插值，朝向球面插值)，
+// 因此无论帧率高低，同一时刻相机的位姿都完全一致，两次测试可直接对比。
+
+export const CAMERA_PATH_VERSION = 1;
+
+export class CameraPathRecorder {
+    constructor(camera, sampleInterval = 1 / 30) {
+        this.camera = camera;
+        this.sampleInterval = sampleInterval; // 关键帧采样间隔 (秒)
+        this.isRecording = false;
+        this.keyframes = [];
+        this.startTime = 0;
+        this.lastSampleTime = -Infinity;
+    }
+
+    start(now = performance.now()) {
+        this.keyframes = [];
+        this.startTime = now;
+        this.lastSampleTime = -Infinity;
+        this.isRecording = true;
+        this.sample(now, true);
+    }
+
+    // 每帧在相机控制器更新之后调用
+    sample(now = performance.now(), force = false) {
+        if (!this.isRecording) return;
+        const t = (now - this.startTime) / 1000;
+        if (!force && t - this.lastSampleTime < this.sampleInterval) return;
+
+        const p = this.camera.position;
+        const q = this.camera.quaternion;
+        this.keyframes.push({
+            t: +t.toFixed(4),
+            p: [p.x, p.y, p.z],
+            q: [q.x, q.y, q.z, q.w]
+        });
+        this.lastSampleTime = t;
+    }
+
+    // 结束录制，返回路径对象 (少于 2 个关键帧视为无效)
+    stop(now = performance.now()) {
+        if (!this.isRecording) return null;
+        this.sample(now, true);
+        this.isRecording = false;
+        if (this.keyframes.length < 2) return null;
+
+        return {
+            version: CAMERA_PATH_VERSION,
+            createdAt: new Date().toISOString(),
+            duration: this.keyframes[this.keyframes.length - 1].t,
+            fov: this.camera.fov,
+            keyframes: this.keyframes
+        };
+    }
+}
+
+export class CameraPathPlayer {
+    constructor(camera, path) {
+        this.camera = camera;
+        this.path = path;
+        this.cursor = 0; // 上一次命中的关键帧索引，顺序回放时避免重复查找
+        this.savedFov = null; // 回放前的 FOV，end() 时恢复
+        this._p0 = new THREE.Vector3();
+        this._p1 = new THREE.Vector3();
+        this._q0 = new THREE.Quaternion();
+        this._q1 = new THREE.Quaternion();
+    }
+
+    get duration() {
+        return this.path.duration;
+    }
+
+    // 回放开始时应用路径的 FOV，并把相机放到第一帧
+    begin() {
+        if (this.path.fov && this.path.fov !== this.camera.fov) {
+            this.savedFov = this.camera.fov;
+            this.camera.fov = this.path.fov;
+            this.camera.updateProjectionMatrix();
+        }
+        this.cursor = 0;
+        this.apply(0);
+    }
+
+    // 回放结束时恢复交互相机的 FOV
+    end() {
+        if (this.savedFov === null) return;
+        this.camera.fov = this.savedFov;
+        this.camera.updateProjectionMatrix();
+        this.savedFov = null;
+    }
+
+    // 将相机设置为路径在 t 秒时的位姿
+    apply(t) {
+        const frames = this.path.keyframes;
+        const last = frames.length - 1;
+        t = Math.max(0, Math.min(t, this.path.duration));
+
+        if (t < frames[this.cursor].t) this.cursor = 0;
+        while (this.cursor < last - 1 && frames[this.cursor + 1].t <= t) this.cursor++;
+
+        const a = frames[this.cursor];
+        const b = frames[Math.min(this.cursor + 1, last)];
+        const span = b.t - a.t;
+        const alpha = span > 0 ? Math.min(1, (t - a.t) / span) : 0;
+
+        this._p0.fromArray(a.p);
+        this._p1.fromArray(b.p);
+        this._q0.fromArray(a.q);
+        this._q1.fromArray(b.q);
+
+        this.camera.position.lerpVectors(this._p0, this._p1, alpha);
+        this.camera.quaternion.slerpQuaternions(this._q0, this._q1, alpha);
+        this.camera.updateMatrixWorld();
+    }
+}
+
+// 生成环绕目标的标准轨道路径 (未录制路径时供 A/B 对比使用)
+// elevation 为俯视角 (弧度)，每 step 秒一个关键帧
+export function createOrbitPath(center, radius, { duration = 20, elevation = Math.PI / 6, fov = 45, step = 0.25 } = {}) {
+    const keyframes = [];
+    const eye = new THREE.Vector3();
+    const up = new THREE.Vector3(0, 1, 0);
+    const m = new THREE.Matrix4();
+    const q = new THREE.Quaternion();
+    const count = Math.ceil(duration / step);
+
+    for (let i = 0; i <= count; i++) {
+        const t = Math.min(i * step, duration);
+        const angle = (t / duration) * Math.PI * 2;
+        eye.set(
+            center.x + radius * Math.cos(elevation) * Math.cos(angle),
+            center.y + radius * Math.sin(elevation),
+            center.z + radius * Math.cos(elevation) * Math.sin(angle)
+        );
+        // 相机朝向 -Z，与 Object3D.lookAt 对相机的处理一致
+        m.lookAt(eye, center, up);
+        q.setFromRotationMatrix(m);
+        keyframes.push({ t, p: eye.toArray(), q: q.toArray() });
+    }
+
+    return {
+        version: CAMERA_PATH_VERSION,
+        createdAt: new Date().toISOString(),
+        duration,
+        fov,
+        generated: 'orbit',
+        keyframes
+    };
+}
+
+// 解析并校验路径 JSON，格式错误时抛出异常
+export function parseCameraPath(text) {
+    const path = JSON.parse(text);
+    if (!path || !Array.isArray(path.keyframes) || path.keyframes.length < 2) {
+        throw new Error('Invalid camera path: needs at least 2 keyframes');
+    }
+    if (path.version > CAMERA_PATH_VERSION) {
+        throw new Error(`Unsupported camera path version: ${path.version}`);
+    }
+    let prevT = -Infinity;
+    for (const k of path.keyframes) {
+        if (typeof k.t !== 'number' || k.t < prevT ||
+            !Array.isArray(k.p) || k.p.length !== 3 ||
+            !Array.isArray(k.q) || k.q.length !== 4) {
+            throw new Error('Invalid camera path: malformed keyframe');
+        }
+        prevT = k.t;
+    }
+    path.duration = path.keyframes[path.keyframes.length - 1].t;
+    return path;
+}
@@ -0,0 +1,70 @@
+// === A/B 对比报告 ===
+// 输入两份 Benchmark 报告 (见 report.js)，输出逐项指标与差值。
+// delta = B - A，deltaPct 以 A 为基准；higherIsBetter 用于标注改善/变差。
+
+const METRICS = [
+    { key: 'avgFps', label: 'Avg FPS', unit: 'fps', higherIsBetter: true, get: r => r.summary.avgFps },
+    { key: 'low1Fps', label: '1% Low FPS', unit: 'fps', higherIsBetter: true, get: r => r.summary.low1Fps },
+    { key: 'low01Fps', label: '0.1% Low FPS', unit: 'fps', higherIsBetter: true, get: r => r.summary.low01Fps },
+    { key: 'frameTimeAvg', label: 'Frame Time Avg', unit: 'ms', get: r => r.summary.frameTime && r.summary.frameTime.avg },
+    { key: 'frameTimeP50', label: 'Frame Time p50', unit: 'ms', get: r => r.summary.frameTime && r.summary.frameTime.p50 },
+    { key: 'frameTimeP95', label: 'Frame Time p95', unit: 'ms', get: r => r.summary.frameTime && r.summary.frameTime.p95 },
+    { key: 'frameTimeP99', label: 'Frame Time p99', unit: 'ms', get: r => r.summary.frameTime && r.summary.frameTime.p99 },
+    { key: 'cpuAvg', label: 'CPU Time Avg', unit: 'ms', get: r => r.summary.cpu && r.summary.cpu.avg },
+    { key: 'gpuAvg', label: 'GPU Time Avg', unit: 'ms', get: r => r.summary.gpu && r.summary.gpu.avg },
+    { key: 'stutters', label: 'Stutters', unit: '', get: r => r.summary.stutters && r.summary.stutters.count },
+    { key: 'drawCalls', label: 'Draw Calls Avg', unit: '', get: r => r.summary.drawCalls && r.summary.drawCalls.avg },
+    { key: 'triangles', label: 'Triangles', unit: '', get: r => r.metadata.triangleCount },
+    { key: 'vram', label: 'VRAM Total (Est.)', unit: 'MB', get: r => r.metadata.vramEstimateMB },
+    { key: 'vramModel', label: 'VRAM Model', unit: 'MB', get: r => r.metadata.vramModelMB },
+    { key: 'loadTime', label: 'Load Time', unit: 'ms', get: r => r.metadata.loadTimeMs }
+];
+
+const valueOrNull = (v) => (v === undefined || v === null || !Number.isFinite(v)) ? null : v;
+
+export function compareReports(reportA, reportB, metadata = {}) {
+    const rows = METRICS.map(m => {
+        const a = valueOrNull(m.get(reportA));
+        const b = valueOrNull(m.get(reportB));
+        const delta = (a !== null && b !== null) ? b - a : null;
+        const deltaPct = (delta !== null && a !== 0) ? (delta / Math.abs(a)) * 100 : null;
+        let verdict = null;
+        if (delta !== null && delta !== 0) {
+            const better = m.higherIsBetter ? delta > 0 : delta < 0;
+            verdict = better ? 'better' : 'worse';
+        }
+        return { metric: m.key, label: m.label, unit: m.unit, a, b, delta, deltaPct, verdict };
+    });
+
+    return {
+        timestamp: new Date().toISOString(),
+        ...metadata,
+        variants: {
+            A: reportA.metadata.models,
+            B: reportB.metadata.models
+        },
+        rows,
+        reports: { A: reportA, B: reportB }
+    };
+}
+
+const fmt = (v, digits = 2) => v === null ? '' : v.toFixed(digits);
+
+export function comparisonToCSV(comparison) {
+    const lines = ["Metric,Unit,A,B,Delta (B-A),Delta %,Verdict"];
+    comparison.rows.forEach(r => {
+        lines.push([r.label, r.unit, fmt(r.a), fmt(r.b), fmt(r.delta), fmt(r.deltaPct, 1), r.verdict || ''].join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// 控制台里的一行：Avg FPS: A 60.1 | B 72.3 | +12.20 (+20.3%)
+export function formatComparisonRow(r) {
+    const sign = (v) => v > 0 ? '+' : '';
+    let text = `${r.label}: A ${fmt(r.a)} | B ${fmt(r.b)}`;
+    if (r.delta !== null) {
+        text += ` | ${sign(r.delta)}${fmt(r.delta)}`;
+        if (r.deltaPct !== null) text += ` (${sign(r.deltaPct)}${fmt(r.deltaPct, 1)}%)`;
+    }
+    return text;
+}
@@ -0,0 +1,105 @@
+import * as THREE from 'three';
+
+// === 固定视点截图 ===
+// 变更前后在同一组视点、同一分辨率下渲染，结果交给 imageMetrics.js 比较。
+// 直接渲染到画布再用 2D canvas 读回 (同一任务内读取，无需 preserveDrawingBuffer)，
+// 这样截图与屏幕显示一致 (渲染到 RenderTarget 时不会应用色调映射与输出色彩空间)。
+
+export const CAPTURE_WIDTH = 640;
+const ORBIT_VIEWS = 4;           // 环绕视点个数
+const ORBIT_ELEVATION = 20;      // 环绕视点仰角 (度)
+const ORBIT_DISTANCE = 2.5;      // 环绕视点距离 (× 包围球半径)
+
+// 视点：当前相机 + 围绕 object 包围球的环绕视点；{ name, position, target, fov }
+export function createFixedViews(object, camera, target) {
+    const views = [{
+        name: 'Current',
+        position: camera.position.toArray(),
+        target: target.toArray(),
+        fov: camera.fov
+    }];
+
+    const box = new THREE.Box3().setFromObject(object);
+    if (box.isEmpty()) return views;
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    const fov = camera.fov;
+    // 保证包围球完整落在画面内
+    const distance = Math.max(sphere.radius * ORBIT_DISTANCE, sphere.radius / Math.sin(THREE.MathUtils.degToRad(fov / 2)));
+    const elevation = THREE.MathUtils.degToRad(ORBIT_ELEVATION);
+
+    for (let i = 0; i < ORBIT_VIEWS; i++) {
+        const azimuth = (i / ORBIT_VIEWS) * Math.PI * 2;
+        const offset = new THREE.Vector3(
+            Math.sin(azimuth) * Math.cos(elevation),
+            Math.sin(elevation),
+            Math.cos(azimuth) * Math.cos(elevation)
+        ).multiplyScalar(distance);
+        views.push({
+            name: `Orbit ${Math.round(THREE.MathUtils.radToDeg(azimuth))}°`,
+            position: sphere.center.clone().add(offset).toArray(),
+            target: sphere.center.toArray(),
+            fov
+        });
+    }
+    return views;
+}
+
+// 依次渲染每个视点并读回像素；hidden 中的物体 (如变换 Gizmo) 截图时隐藏
+// 返回 [{ name, width, height, data }]，结束后恢复渲染器尺寸与相机
+export function captureFrames(renderer, scene, camera, views, { width, height, hidden = [] }) {
+    const size = renderer.getSize(new THREE.Vector2());
+    const pixelRatio = renderer.getPixelRatio();
+    const saved = {
+        position: camera.position.clone(),
+        quaternion: camera.quaternion.clone(),
+        fov: camera.fov,
+        aspect: camera.aspect
+    };
+    const visibility = hidden.map(o => o.visible);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    const frames = [];
+    try {
+        hidden.forEach(o => { o.visible = false; });
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        camera.aspect = width / height;
+
+        views.forEach(view => {
+            camera.position.fromArray(view.position);
+            camera.lookAt(new THREE.Vector3().fromArray(view.target));
+            camera.fov = view.fov;
+            camera.updateProjectionMatrix();
+            camera.updateMatrixWorld();
+
+            renderer.render(scene, camera);
+            ctx.clearRect(0, 0, width, height);
+            ctx.drawImage(renderer.domElement, 0, 0, width, height);
+            const image = ctx.getImageData(0, 0, width, height);
+            frames.push({ name: view.name, width, height, data: image.data });
+        });
+    } finally {
+        hidden.forEach((o, i) => { o.visible = visibility[i]; });
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(size.x, size.y, false);
+        camera.position.copy(saved.position);
+        camera.quaternion.copy(saved.quaternion);
+        camera.fov = saved.fov;
+        camera.aspect = saved.aspect;
+        camera.updateProjectionMatrix();
+    }
+    return frames;
+}
+
+// 像素缓冲 -> canvas (用于显示与导出 PNG)
+export function imageToCanvas(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(image.data), image.width, image.height), 0, 0);
+    return canvas;
+}
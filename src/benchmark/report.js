@@ -0,0 +1,91 @@
+import { summarizeFrameTimes, summarizeSeries } from './stats.js';
+
+// === Benchmark 逐帧采样与报告 ===
+// 每一帧记录一行 (时间、帧时间、CPU、Draw Calls、三角形数)，
+// GPU 时间由 timer query 异步返回，按帧号回填。
+
+export const REPORT_VERSION = 1;
+
+export class BenchmarkSession {
+    constructor(metadata = {}) {
+        this.metadata = metadata;
+        this.time = [];
+        this.frameTime = [];
+        this.cpu = [];
+        this.gpu = [];
+        this.calls = [];
+        this.tris = [];
+    }
+
+    get frameCount() {
+        return this.time.length;
+    }
+
+    // 返回该帧的帧号，用于之后回填 GPU 时间
+    addFrame(timeSec, frameTimeMs, cpuMs, calls, tris) {
+        this.time.push(timeSec);
+        this.frameTime.push(frameTimeMs);
+        this.cpu.push(cpuMs);
+        this.gpu.push(null);
+        this.calls.push(calls);
+        this.tris.push(tris);
+        return this.time.length - 1;
+    }
+
+    setGpuTime(frameIndex, ms) {
+        if (frameIndex >= 0 && frameIndex < this.gpu.length) this.gpu[frameIndex] = ms;
+    }
+
+    buildReport() {
+        const summary = summarizeFrameTimes(this.frameTime) || { frames: 0 };
+        summary.cpu = summarizeSeries(this.cpu);
+        summary.gpu = summarizeSeries(this.gpu); // GPU Timer 不可用时为 null
+        summary.drawCalls = summarizeSeries(this.calls);
+        summary.triangles = summarizeSeries(this.tris);
+
+        return {
+            version: REPORT_VERSION,
+            metadata: this.metadata,
+            summary,
+            frames: {
+                time: this.time,
+                frameTime: this.frameTime,
+                cpu: this.cpu,
+                gpu: this.gpu,
+                calls: this.calls,
+                tris: this.tris
+            }
+        };
+    }
+}
+
+const fmt = (v, digits) => (v === null || v === undefined) ? '' : v.toFixed(digits);
+
+// 逐帧 CSV
+export function reportToCSV(report) {
+    const f = report.frames;
+    const rows = ["Frame,Time (s),FrameTime (ms),FPS,CPU (ms),GPU (ms),DrawCalls,Triangles"];
+    for (let i = 0; i < f.time.length; i++) {
+        rows.push([
+            i,
+            fmt(f.time[i], 4),
+            fmt(f.frameTime[i], 3),
+            f.frameTime[i] > 0 ? fmt(1000 / f.frameTime[i], 1) : '',
+            fmt(f.cpu[i], 3),
+            fmt(f.gpu[i], 3),
+            f.calls[i],
+            f.tris[i]
+        ].join(','));
+    }
+    return rows.join('\n') + '\n';
+}
+
+// 控制台里显示的一行摘要
+export function formatSummary(summary) {
+    if (!summary || !summary.frames) return "No frames captured.";
+    const ft = summary.frameTime;
+    let text = `Avg ${summary.avgFps.toFixed(1)} FPS | 1% Low ${summary.low1Fps.toFixed(1)} | 0.1% Low ${summary.low01Fps.toFixed(1)}`;
+    text += ` | p50/p95/p99 ${ft.p50.toFixed(2)}/${ft.p95.toFixed(2)}/${ft.p99.toFixed(2)} ms`;
+    text += ` | Stutters ${summary.stutters.count}`;
+    return text;
+}
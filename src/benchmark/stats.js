@@ -0,0 +1,92 @@
+// === 帧时间统计 ===
+// 纯函数，输入为毫秒数组，不依赖 three.js / DOM。
+
+// 卡顿阈值 (毫秒)：33.3 ≈ 掉到 30 FPS 以下，50 / 100 为明显卡顿
+export const HITCH_THRESHOLDS_MS = [33.3, 50, 100];
+
+// 线性插值百分位 (sorted 需升序)
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    if (sorted.length === 1) return sorted[0];
+    const pos = (sorted.length - 1) * (p / 100);
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function mean(values) {
+    if (values.length === 0) return null;
+    let sum = 0;
+    for (const v of values) sum += v;
+    return sum / values.length;
+}
+
+function stdDev(values, avg) {
+    if (values.length < 2) return 0;
+    let sq = 0;
+    for (const v of values) sq += (v - avg) * (v - avg);
+    return Math.sqrt(sq / (values.length - 1));
+}
+
+// "x% Low" FPS：最慢的 x% 帧的平均帧时间换算成 FPS (与 CapFrameX / PresentMon 的常用口径一致)
+export function lowFps(sortedFrameTimes, fraction) {
+    const n = sortedFrameTimes.length;
+    if (n === 0) return null;
+    const count = Math.max(1, Math.floor(n * fraction));
+    const worst = sortedFrameTimes.slice(n - count);
+    return 1000 / mean(worst);
+}
+
+// 通用数值序列摘要 (CPU / GPU 时间等)
+export function summarizeSeries(values) {
+    const clean = values.filter(v => v !== null && Number.isFinite(v));
+    if (clean.length === 0) return null;
+    const sorted = Float64Array.from(clean).sort();
+    const avg = mean(clean);
+    return {
+        samples: clean.length,
+        avg,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        stdDev: stdDev(clean, avg),
+        p50: percentile(sorted, 50),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99)
+    };
+}
+
+// 帧时间摘要：平均 FPS、1% / 0.1% Low、p50/p95/p99、卡顿计数
+export function summarizeFrameTimes(frameTimes) {
+    const base = summarizeSeries(frameTimes);
+    if (!base) return null;
+
+    const sorted = Float64Array.from(frameTimes.filter(Number.isFinite)).sort();
+    let total = 0;
+    for (const v of sorted) total += v;
+
+    // 卡顿：超过中位数 2 倍的帧视为 stutter，另外按绝对阈值统计 hitch
+    const stutterLimit = base.p50 * 2;
+    let stutters = 0;
+    const hitches = {};
+    HITCH_THRESHOLDS_MS.forEach(t => hitches[`over${t}ms`] = 0);
+    for (const v of sorted) {
+        if (v > stutterLimit) stutters++;
+        HITCH_THRESHOLDS_MS.forEach(t => {
+            if (v > t) hitches[`over${t}ms`]++;
+        });
+    }
+
+    return {
+        frames: sorted.length,
+        durationSec: total / 1000,
+        avgFps: sorted.length * 1000 / total,
+        low1Fps: lowFps(sorted, 0.01),
+        low01Fps: lowFps(sorted, 0.001),
+        frameTime: base,
+        stutters: {
+            thresholdMs: stutterLimit,
+            count: stutters,
+            ...hitches
+        }
+    };
+}
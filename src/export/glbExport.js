@@ -0,0 +1,104 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+
+// === GLB 导出 ===
+// 导出当前场景状态：简化后的几何体、材质、贴图与变换。
+// 导出前复制一份层级结构 (几何体与材质共享引用)：去掉线框叠加子物体，LOD 只保留第 0 级。
+// 同时生成 sidecar JSON，记录每个模型的原始 / 最终三角形数、减面比例与几何误差。
+
+const EXPORT_VERSION = 1;
+
+function triangleCount(geometry) {
+    return geometry.index ? geometry.index.count / 3 : geometry.attributes.position.count / 3;
+}
+
+// 遍历会被导出的网格：跳过线框叠加物体，LOD 只进入第 0 级
+export function forEachExportedMesh(object, callback) {
+    if (object.userData.isWireframeMesh) return;
+    if (object.isMesh && object.userData.isModelMesh) callback(object);
+
+    const children = object.isLOD && object.levels.length > 0 ? [object.levels[0].object] : object.children;
+    children.forEach(child => forEachExportedMesh(child, callback));
+}
+
+// 复制 object 用于导出 (不修改场景中的对象)
+export function createExportClone(object) {
+    const clone = object.clone();
+
+    const overlays = [];
+    const lods = [];
+    clone.traverse(child => {
+        if (child.userData.isWireframeMesh) overlays.push(child);
+        else if (child.isLOD) lods.push(child);
+    });
+    overlays.forEach(o => o.removeFromParent());
+
+    // LOD -> 普通 Group，只保留第 0 级 (其他级别由查看器自行生成)
+    lods.forEach(lod => {
+        const group = new THREE.Group();
+        group.name = lod.name;
+        group.position.copy(lod.position);
+        group.quaternion.copy(lod.quaternion);
+        group.scale.copy(lod.scale);
+        const level0 = lod.levels.length > 0 ? lod.levels[0].object : null;
+        if (level0) {
+            level0.visible = true;
+            group.add(level0);
+        }
+        lod.parent.add(group);
+        lod.removeFromParent();
+    });
+
+    clone.visible = true;
+    return clone;
+}
+
+// 返回 GLB 的 ArrayBuffer
+export function exportGLB(object) {
+    const exporter = new GLTFExporter();
+    return exporter.parseAsync(createExportClone(object), {
+        binary: true,
+        onlyVisible: true
+    });
+}
+
+// models: [{ name, object }]；backups: 网格 -> 原始几何体 (originalMeshes)
+// deviations: 模型名 -> 几何误差 (最近一次简化的结果，见 deviation.js summarizeDeviation)
+export function buildExportSidecar({ fileName, scope, models, backups, simplification = null, deviations = null, byteLength = 0 }) {
+    const rows = models.map(({ name, object }) => {
+        let meshes = 0;
+        let trianglesOriginal = 0;
+        let trianglesFinal = 0;
+        forEachExportedMesh(object, mesh => {
+            const backup = backups.get(mesh);
+            const final = triangleCount(mesh.geometry);
+            meshes++;
+            trianglesOriginal += backup ? triangleCount(backup) : final;
+            trianglesFinal += final;
+        });
+        return {
+            name,
+            meshes,
+            trianglesOriginal,
+            trianglesFinal,
+            reductionRatio: trianglesOriginal > 0 ? 1 - trianglesFinal / trianglesOriginal : 0,
+            deviation: (deviations && deviations.get(name)) || null
+        };
+    });
+
+    const trianglesOriginal = rows.reduce((sum, r) => sum + r.trianglesOriginal, 0);
+    const trianglesFinal = rows.reduce((sum, r) => sum + r.trianglesFinal, 0);
+
+    return {
+        version: EXPORT_VERSION,
+        file: fileName,
+        exportedAt: new Date().toISOString(),
+        scope,
+        byteLength,
+        trianglesOriginal,
+        trianglesFinal,
+        reductionRatio: trianglesOriginal > 0 ? 1 - trianglesFinal / trianglesOriginal : 0,
+        simplification,
+        models: rows
+    };
+}
@@ -0,0 +1,146 @@
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+
+// === glTF 压缩扩展解码器 ===
+// KHR_draco_mesh_compression / EXT_meshopt_compression / KHR_texture_basisu (KTX2)。
+// Draco / Basis 解码器由项目自己提供 (decoders/ 目录，不从 CDN 获取)：vite.config.js 在开发时从 node_modules/three 提供，
+// 构建时复制到 dist/decoders/，版本始终与加载器一致。Meshopt 解码器是 ES 模块，随代码一起打包。
+//
+// 解码器实例全局共享 (各自持有 Worker 池)，每次解码记录耗时与压缩前后字节数。
+// 统计写入 beginDecodeStats() 返回的对象：模型是逐个加载的，同一时间只有一份统计处于活动状态。
+
+// 相对页面的目录，与 vite.config.js 的 DECODER_FILES 一致
+export const DRACO_DECODER_PATH = 'decoders/draco/';
+export const BASIS_TRANSCODER_PATH = 'decoders/basis/';
+
+const DECODER_KINDS = ['draco', 'meshopt', 'ktx2'];
+
+let activeStats = null;
+let dracoLoader = null;
+let ktx2Loader = null;
+
+// 解码器目录的绝对 URL：经过虚拟文件系统的 URL 映射时原样放行，不会被当成模型资源
+function decoderURL(path) {
+    return new URL(path, document.baseURI).href;
+}
+
+// 单次解码：耗时按调用到完成计 (含 Worker 排队)，wall 时间取该类解码最早开始到最晚结束
+function record(kind, startTime, compressedBytes, decodedBytes) {
+    if (!activeStats) return;
+    const entry = activeStats[kind];
+    const endTime = performance.now();
+    entry.count++;
+    entry.busyMs += endTime - startTime;
+    entry.firstStart = Math.min(entry.firstStart, startTime);
+    entry.lastEnd = Math.max(entry.lastEnd, endTime);
+    entry.compressedBytes += compressedBytes;
+    entry.decodedBytes += decodedBytes;
+}
+
+function geometryBytes(geometry) {
+    let bytes = geometry.index ? geometry.index.array.byteLength : 0;
+    for (const name in geometry.attributes) bytes += geometry.attributes[name].array.byteLength;
+    return bytes;
+}
+
+// KTX2 转码结果：GPU 格式的各级 mipmap 数据 (立方体贴图按面累加)
+function textureBytes(texture) {
+    const images = Array.isArray(texture.image) ? texture.image : [texture];
+    return images.reduce((sum, image) => {
+        const mipmaps = image.mipmaps || [];
+        return sum + mipmaps.reduce((s, mip) => s + (mip.data ? mip.data.byteLength : 0), 0);
+    }, 0);
+}
+
+class TimedDRACOLoader extends DRACOLoader {
+    decodeGeometry(buffer, taskConfig) {
+        const startTime = performance.now();
+        const compressedBytes = buffer.byteLength; // 传给 Worker 后 buffer 会被转移
+        return super.decodeGeometry(buffer, taskConfig).then(geometry => {
+            record('draco', startTime, compressedBytes, geometryBytes(geometry));
+            return geometry;
+        });
+    }
+}
+
+// KTX2Loader 没有公开的解码入口 (load() 内部先取文件再调用 _createTexture)，计时只能挂在这个私有方法上。
+// 按 package.json 锁定的 three 0.160.x 编写；升级后该方法不存在时输出警告，KTX2 解码统计缺失但加载不受影响。
+if (typeof KTX2Loader.prototype._createTexture !== 'function') {
+    console.warn('KTX2Loader._createTexture not found: KTX2 decode stats are unavailable with this three version.');
+}
+
+class TimedKTX2Loader extends KTX2Loader {
+    async _createTexture(buffer, config) {
+        const startTime = performance.now();
+        const compressedBytes = buffer.byteLength;
+        const texture = await super._createTexture(buffer, config);
+        record('ktx2', startTime, compressedBytes, textureBytes(texture));
+        return texture;
+    }
+}
+
+// GLTFLoader 只用到 supported / ready / decodeGltfBuffer(Async)
+const timedMeshoptDecoder = {
+    supported: MeshoptDecoder.supported,
+    ready: MeshoptDecoder.ready,
+    decodeGltfBuffer(target, count, size, source, mode, filter) {
+        const startTime = performance.now();
+        MeshoptDecoder.decodeGltfBuffer(target, count, size, source, mode, filter);
+        record('meshopt', startTime, source.byteLength, target.byteLength);
+    },
+    decodeGltfBufferAsync(count, size, source, mode, filter) {
+        const startTime = performance.now();
+        return MeshoptDecoder.decodeGltfBufferAsync(count, size, source, mode, filter).then(result => {
+            record('meshopt', startTime, source.byteLength, result.byteLength);
+            return result;
+        });
+    }
+};
+
+// 给 GLTFLoader 挂上三种解码器；KTX2 需要根据渲染器检测支持的 GPU 压缩格式
+export function setupGLTFDecoders(loader, renderer) {
+    if (!dracoLoader) {
+        dracoLoader = new TimedDRACOLoader();
+        dracoLoader.setDecoderPath(decoderURL(DRACO_DECODER_PATH));
+        dracoLoader.setDecoderConfig({ type: 'wasm' });
+    }
+    if (!ktx2Loader) {
+        ktx2Loader = new TimedKTX2Loader();
+        ktx2Loader.setTranscoderPath(decoderURL(BASIS_TRANSCODER_PATH));
+        ktx2Loader.detectSupport(renderer);
+    }
+    // 外部 .ktx2 文件要经过本次加载的 LoadingManager 映射到 blob URL (见 virtualFileSystem.js)。
+    // 共享的加载器每次加载时换成当前的 manager：与解码统计一样依赖模型逐个加载 (同时加载两个 glTF 时会串用)
+    ktx2Loader.manager = loader.manager;
+    loader.setDRACOLoader(dracoLoader);
+    loader.setKTX2Loader(ktx2Loader);
+    loader.setMeshoptDecoder(timedMeshoptDecoder);
+    return loader;
+}
+
+export function beginDecodeStats() {
+    activeStats = {};
+    DECODER_KINDS.forEach(kind => {
+        activeStats[kind] = { count: 0, busyMs: 0, firstStart: Infinity, lastEnd: -Infinity, compressedBytes: 0, decodedBytes: 0 };
+    });
+    return activeStats;
+}
+
+// 结束统计，返回用到的解码器 { draco: { count, timeMs, busyMs, compressedBytes, decodedBytes }, ... }
+export function endDecodeStats(stats) {
+    if (activeStats === stats) activeStats = null;
+    const summary = {};
+    DECODER_KINDS.forEach(kind => {
+        const entry = stats[kind];
+        if (entry.count === 0) return;
+        summary[kind] = {
+            count: entry.count,
+            timeMs: entry.lastEnd - entry.firstStart,
+            busyMs: entry.busyMs,
+            compressedBytes: entry.compressedBytes,
+            decodedBytes: entry.decodedBytes
+        };
+    });
+    return summary;
+}
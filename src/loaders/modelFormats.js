@@ -0,0 +1,150 @@
+import * as THREE from 'three';
+import { FBXLoader } from 'three/addons/loaders/FBXLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { ThreeMFLoader } from 'three/addons/loaders/3MFLoader.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+
+// === 其他模型 / 环境格式 ===
+// FBX / PLY / STL / 3MF 模型与 OpenEXR 环境贴图。glTF / OBJ 仍由 main.js 的 loadModelFiles 直接处理。
+// 每个加载函数返回 Promise<{ object, warnings }>，warnings 由调用方输出到控制台面板。
+// 本工具按 PBR 管线评估性能：非 PBR 材质 (Phong / Lambert) 统一转换为 MeshStandardMaterial。
+
+export const EXTRA_MODEL_EXTENSIONS = ['fbx', 'ply', 'stl', '3mf'];
+export const ENVIRONMENT_EXTENSIONS = ['hdr', 'exr'];
+
+// 两种材质都有、可以直接复制的属性
+const SHARED_MATERIAL_PROPS = [
+    'name', 'color', 'map', 'lightMap', 'lightMapIntensity', 'aoMap', 'aoMapIntensity',
+    'emissive', 'emissiveMap', 'emissiveIntensity', 'bumpMap', 'bumpScale', 'normalMap', 'normalMapType', 'normalScale',
+    'displacementMap', 'displacementScale', 'displacementBias', 'alphaMap', 'envMap',
+    'opacity', 'transparent', 'alphaTest', 'side', 'vertexColors', 'flatShading', 'wireframe',
+    'depthWrite', 'depthTest', 'fog', 'visible', 'userData'
+];
+
+// Blinn-Phong 高光指数 -> GGX 粗糙度的常用近似
+function shininessToRoughness(shininess) {
+    return THREE.MathUtils.clamp(Math.sqrt(2 / (Math.max(0, shininess) + 2)), 0.04, 1);
+}
+
+function toStandardMaterial(material) {
+    const standard = new THREE.MeshStandardMaterial();
+    SHARED_MATERIAL_PROPS.forEach(key => {
+        if (!(key in material) || material[key] === undefined) return;
+        const value = material[key];
+        if (value && typeof value.clone === 'function' && !value.isTexture) standard[key] = value.clone();
+        else standard[key] = value;
+    });
+    standard.roughness = material.isMeshPhongMaterial ? shininessToRoughness(material.shininess) : 1;
+    standard.metalness = 0;
+    standard.userData = { ...material.userData, convertedFrom: material.type };
+    return standard;
+}
+
+// 把 object 下的 Phong / Lambert 材质换成 MeshStandardMaterial；返回 { count, types }
+export function convertToStandardMaterials(object) {
+    const converted = new Map(); // 原材质 -> 新材质 (共享材质只转换一次)
+    const types = new Set();
+    const convert = (material) => {
+        if (!material || !(material.isMeshPhongMaterial || material.isMeshLambertMaterial)) return material;
+        if (!converted.has(material)) {
+            converted.set(material, toStandardMaterial(material));
+            types.add(material.type.replace(/^Mesh|Material$/g, ''));
+        }
+        return converted.get(material);
+    };
+
+    object.traverse(child => {
+        if (!child.isMesh) return;
+        child.material = Array.isArray(child.material) ? child.material.map(convert) : convert(child.material);
+    });
+    converted.forEach((_, material) => material.dispose());
+    return { count: converted.size, types: [...types] };
+}
+
+function loadAsync(loader, url) {
+    return new Promise((resolve, reject) => loader.load(url, resolve, undefined, reject));
+}
+
+// 只有几何体的格式 (PLY / STL)：没有面时显示为点云
+function geometryToObject(geometry, name, warnings) {
+    const format = name.split('.').pop().toUpperCase();
+    const hasColors = !!geometry.attributes.color;
+    const isPointCloud = format === 'PLY' && !geometry.index;
+
+    if (isPointCloud) {
+        warnings.push(`${format} has no faces, displayed as a point cloud (simplification and mesh stats skip it)`);
+        const points = new THREE.Points(geometry, new THREE.PointsMaterial({ size: 2, sizeAttenuation: false, vertexColors: hasColors }));
+        points.name = name;
+        return points;
+    }
+
+    if (!geometry.attributes.normal) {
+        geometry.computeVertexNormals();
+        warnings.push(`${format} has no normals, computed smooth vertex normals`);
+    }
+    warnings.push(`${format} has no materials${geometry.attributes.uv ? '' : ' or UVs'}, using a default Standard material${hasColors ? ' with vertex colors' : ''}`);
+
+    const material = new THREE.MeshStandardMaterial({
+        color: 0xcccccc,
+        roughness: 0.6,
+        metalness: 0,
+        vertexColors: hasColors
+    });
+    // 二进制 STL 的颜色扩展带有整体透明度
+    if (geometry.alpha !== undefined && geometry.alpha < 1) {
+        material.opacity = geometry.alpha;
+        material.transparent = true;
+    }
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    return mesh;
+}
+
+// extension 为 EXTRA_MODEL_EXTENSIONS 之一；url 已经过 manager 映射 (blob URL)
+export async function loadExtraModel(extension, url, name, manager) {
+    const warnings = [];
+    let object;
+
+    switch (extension) {
+        case 'fbx': {
+            object = await loadAsync(new FBXLoader(manager), url);
+            const { count, types } = convertToStandardMaterials(object);
+            if (count > 0) warnings.push(`FBX uses ${types.join('/')} materials, converted ${count} to Standard (roughness from shininess, metalness 0)`);
+            if (object.animations && object.animations.length > 0) {
+                warnings.push(`FBX contains ${object.animations.length} animation clip(s), not played`);
+            }
+            break;
+        }
+        case '3mf': {
+            object = await loadAsync(new ThreeMFLoader(manager), url);
+            const { count, types } = convertToStandardMaterials(object);
+            if (count > 0) warnings.push(`3MF uses ${types.join('/')} materials, converted ${count} to Standard`);
+            break;
+        }
+        case 'ply':
+            object = geometryToObject(await loadAsync(new PLYLoader(manager), url), name, warnings);
+            break;
+        case 'stl':
+            object = geometryToObject(await loadAsync(new STLLoader(manager), url), name, warnings);
+            break;
+        default:
+            throw new Error(`Unsupported model format: .${extension}`);
+    }
+
+    // PLY / STL 返回的是单个物体，外面包一层 Group，与其他格式的根节点保持一致
+    if (!object.isGroup) {
+        const group = new THREE.Group();
+        group.name = name;
+        group.add(object);
+        object = group;
+    }
+    return { object, warnings };
+}
+
+// 环境贴图：按扩展名选择 RGBE (.hdr) 或 OpenEXR (.exr) 加载器
+export function createEnvironmentLoader(name) {
+    const extension = name.split('.').pop().toLowerCase();
+    return extension === 'exr' ? new EXRLoader() : new RGBELoader();
+}
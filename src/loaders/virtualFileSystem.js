@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import { getRelativePath } from '../session/session.js';
+
+// === 内存虚拟文件系统 ===
+// 一次加载用到的全部文件按相对路径 (拖拽目录条目路径 / webkitRelativePath / 文件名) 建索引。
+// 加载器拿到的是根文件的相对路径，引用的资源按 "引用文件所在目录 + URI" 拼接，
+// 再由 LoadingManager 的 URL 映射在这里规范化 (./ ../ 反斜杠 百分号编码) 并换成 blob URL。
+//
+// 精确路径找不到时退回按文件名匹配 (只选中了文件、没有目录结构，或 FBX 里的绝对路径)，记为 fallback；
+// 完全找不到的记为 missing，加载结束后由调用方输出。
+// blob URL 按需创建，加载结束且 manager 上没有未完成的请求 (如 OBJ/MTL 的贴图) 后统一释放。
+
+const PASSTHROUGH_URL = /^(blob:|data:|https?:|file:)/i;
+
+// 'a/./b/../c.png' -> 'a/c.png'；越过根目录的 '..' 保留在开头 (之后按文件名回退匹配)
+export function normalizePath(path) {
+    let decoded = path;
+    try {
+        decoded = decodeURIComponent(path);
+    } catch (e) {
+        // URI 中有孤立的 '%'，按原样处理
+    }
+    const parts = [];
+    decoded.replace(/\\/g, '/').split('/').forEach(part => {
+        if (part === '' || part === '.') return;
+        if (part === '..' && parts.length > 0 && parts[parts.length - 1] !== '..') parts.pop();
+        else parts.push(part);
+    });
+    return parts.join('/');
+}
+
+export function dirname(path) {
+    const index = path.lastIndexOf('/');
+    return index < 0 ? '' : path.slice(0, index + 1);
+}
+
+const basename = (path) => path.slice(path.lastIndexOf('/') + 1).toLowerCase();
+
+export class VirtualFileSystem {
+    constructor(files) {
+        this.files = new Map();      // 规范化路径 -> File
+        this.byName = new Map();     // 小写文件名 -> [路径]
+        this.urls = new Map();       // 路径 -> blob URL
+        this.missing = new Set();    // 找不到的资源 (规范化后的请求路径)
+        this.fallbacks = new Map();  // 请求路径 -> 按文件名匹配到的路径
+
+        Array.from(files).forEach(file => {
+            const path = normalizePath(getRelativePath(file));
+            this.files.set(path, file);
+            const name = basename(path);
+            if (!this.byName.has(name)) this.byName.set(name, []);
+            this.byName.get(name).push(path);
+        });
+
+        // 每次加载一个 manager：onStart / onLoad 跟踪是否还有请求未完成
+        this.pending = false;
+        this.releaseRequested = false;
+        this.manager = new THREE.LoadingManager(() => {
+            this.pending = false;
+            if (this.releaseRequested) this.revoke();
+        });
+        this.manager.onStart = () => { this.pending = true; };
+        this.manager.setURLModifier((url) => this.resolveURL(url));
+    }
+
+    // 找不到时返回 null
+    lookup(path) {
+        if (this.files.has(path)) return path;
+
+        const candidates = this.byName.get(basename(path));
+        if (!candidates) return null;
+        // 同名文件有多个时，优先选与请求路径末尾目录重合最多的
+        const requested = path.toLowerCase().split('/').reverse();
+        let best = candidates[0];
+        let bestScore = -1;
+        candidates.forEach(candidate => {
+            const parts = candidate.toLowerCase().split('/').reverse();
+            let score = 0;
+            while (score < parts.length && score < requested.length && parts[score] === requested[score]) score++;
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        });
+        this.fallbacks.set(path, best);
+        return best;
+    }
+
+    // LoadingManager URL 映射：相对路径 -> blob URL；外部 URL (解码器、网络资源) 原样返回
+    resolveURL(url) {
+        if (PASSTHROUGH_URL.test(url)) return url;
+        const path = normalizePath(url.split(/[?#]/)[0]);
+        const found = this.lookup(path);
+        if (!found) {
+            this.missing.add(path);
+            return url;
+        }
+        if (!this.urls.has(found)) this.urls.set(found, URL.createObjectURL(this.files.get(found)));
+        return this.urls.get(found);
+    }
+
+    // 加载结束 (成功或失败) 后调用：还有未完成的请求时等 manager 空闲再释放。
+    // 释放后仍有迟到的请求时会重新创建 URL，并在下一次 onLoad 时释放
+    release() {
+        this.releaseRequested = true;
+        if (!this.pending) this.revoke();
+    }
+
+    revoke() {
+        this.urls.forEach(url => URL.revokeObjectURL(url));
+        this.urls.clear();
+    }
+
+    // 给调用方输出用：{ missing: [路径], fallbacks: [{ requested, resolved }] }
+    getReport() {
+        return {
+            missing: [...this.missing],
+            fallbacks: [...this.fallbacks].map(([requested, resolved]) => ({ requested, resolved }))
+        };
+    }
+}
@@ -4,9 +4,38 @@ import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
 import { MTLLoader } from 'three/addons/loaders/MTLLoader.js';
-import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
-import { SimplifyModifier } from 'three/addons/modifiers/SimplifyModifier.js';
 import GUI from 'three/addons/libs/lil-gui.module.min.js';
+import { CameraPathRecorder, CameraPathPlayer, createOrbitPath, parseCameraPath } from './benchmark/cameraPath.js';
+import { BenchmarkSession, reportToCSV, formatSummary } from './benchmark/report.js';
+import { compareReports, comparisonToCSV, formatComparisonRow } from './benchmark/compare.js';
+import { computeVRAMReport, computeModelMemory, formatVRAMReport, formatBytes } from './analysis/vramAccounting.js';
+import { computeCostBreakdown } from './analysis/costBreakdown.js';
+import { ResourceTracker } from './analysis/resourceTracker.js';
+import { DebugViewManager, DEBUG_VIEWS } from './analysis/debugViews.js';
+import { CostBreakdownPanel } from './ui/costPanel.js';
+import { LeakReportPanel } from './ui/leakReportPanel.js';
+import { HierarchyPanel } from './ui/hierarchyPanel.js';
+import { HistoryPanel } from './ui/historyPanel.js';
+import { chooseRootFiles } from './ui/rootFileChooser.js';
+import { ImageComparePanel, formatPSNR } from './ui/imageComparePanel.js';
+import { compareImages, composeHeatmapOverlay } from './analysis/imageMetrics.js';
+import { CAPTURE_WIDTH, createFixedViews, captureFrames, imageToCanvas } from './benchmark/imageCapture.js';
+import { SimplifyWorkerPool, JobCancelledError } from './simplify/workerPool.js';
+import { packGeometry, unpackGeometry } from './simplify/geometryTransfer.js';
+import { distributeBudget } from './simplify/budget.js';
+import { zeroDeviation, scaleDeviation, mergeDeviation, summarizeDeviation } from './simplify/deviation.js';
+import { exportGLB, buildExportSidecar } from './export/glbExport.js';
+import { InstancingOptimizer, REPRESENTATIONS } from './optimize/instancing.js';
+import { mergeByMaterial, unmergeByMaterial, isMerged } from './optimize/mergeByMaterial.js';
+import { TextureExperiment, TEXTURE_SIZE_OPTIONS, ANISOTROPY_OPTIONS, DEFAULT_TEXTURE_SETTINGS } from './optimize/textureExperiment.js';
+import { MaterialModeSwitcher, MATERIAL_MODES, BAKED_CHANNELS } from './optimize/materialModes.js';
+import { setupGLTFDecoders, beginDecodeStats, endDecodeStats } from './loaders/gltfDecoders.js';
+import { VirtualFileSystem, normalizePath, dirname } from './loaders/virtualFileSystem.js';
+import { EXTRA_MODEL_EXTENSIONS, ENVIRONMENT_EXTENSIONS, loadExtraModel, createEnvironmentLoader } from './loaders/modelFormats.js';
+import { SESSION_VERSION, getRelativePath, serializeTransform, applyTransform, parseSession, indexSuppliedFiles, findSuppliedFile } from './session/session.js';
+import { DEFAULT_LOD_RATIOS, DEFAULT_LOD_DISTANCES, parseLODList, getModelLOD, wrapInLOD, cloneLevel, setLODDistances, unwrapLOD, getActiveLevel } from './simplify/lodChain.js';
+import { downloadFile, downloadJSON, fileTimestamp, pickFile, pickFolder } from './utils/download.js';
+import { CommandHistory } from './utils/commandHistory.js';
 
 // === 1. 图表类 (已优化纵轴标签) ===
 class PerfChart {
@@ -143,11 +172,12 @@ class GPUTimer {
         if (!this.available) console.warn("GPU Timer N/A");
     }
 
-    start() {
+    // tag 会随查询结果一起返回 (例如 Benchmark 的帧号)
+    start(tag = null) {
         if (!this.available) return;
         const query = this.gl.createQuery();
         this.gl.beginQuery(this.ext.TIME_ELAPSED_EXT, query);
-        this.queries.push(query);
+        this.queries.push({ query, tag });
     }
 
     end() {
@@ -155,22 +185,26 @@ class GPUTimer {
         this.gl.endQuery(this.ext.TIME_ELAPSED_EXT);
     }
 
-    poll() {
+    // 取出最早完成的一个查询：未就绪返回 null，否则返回 { ms, tag } (disjoint 时 ms 为 null)
+    pollResult() {
         if (!this.available || this.queries.length === 0) return null;
-        const query = this.queries[0];
+        const { query, tag } = this.queries[0];
         const available = this.gl.getQueryParameter(query, this.gl.QUERY_RESULT_AVAILABLE);
+        if (!available) return null;
 
-        if (available && !this.gl.getParameter(this.ext.GPU_DISJOINT_EXT)) {
+        let ms = null;
+        if (!this.gl.getParameter(this.ext.GPU_DISJOINT_EXT)) {
             const timeNs = this.gl.getQueryParameter(query, this.gl.QUERY_RESULT);
-            this.gl.deleteQuery(query);
-            this.queries.shift();
-            return timeNs / 1000000;
-        } else if (available) {
-            this.gl.deleteQuery(query);
-            this.queries.shift();
-            return null;
+            ms = timeNs / 1000000;
         }
-        return null;
+        this.gl.deleteQuery(query);
+        this.queries.shift();
+        return { ms, tag };
+    }
+
+    poll() {
+        const result = this.pollResult();
+        return result ? result.ms : null;
     }
 }
 
@@ -183,12 +217,35 @@ let loadedModels = [];
 let originalMeshes = [];
 let charts = {};
 let lastTime = performance.now();
+let lastFrameTime = performance.now(); // 上一帧开始时刻，用于逐帧帧时间
+let lastGpuTime = null; // 最近一次返回的 GPU 时间
+let frameSample = null; // 进行中的帧时间采样 (见 sampleFrames)
+let currentHDRName = null;
+let currentHDRPath = null; // 项目内置 HDR 的路径；用户选择的文件为 null
 let frameCount = 0;
 let isLoopRunning = false;
 let selectedModelIndex = -1;
 let gpuTimer;
 let selectedModelRadius = 1.0; // 当前选中模型的半径，用于计算 Gizmo 大小
 let isAltDown = false; // Alt 键状态
+let costPanel; // 模型 / 材质开销拆分面板
+let imageComparePanel; // 图像对比面板
+let leakPanel; // 资源泄漏报告面板
+let hierarchyPanel; // 场景层级树面板
+let selectedNode = null; // 层级树 / 场景点击选中的节点 (可以是模型内部的子节点)
+let nodeHelper = null; // 选中节点的包围盒线框
+let historyPanel; // 撤销 / 重做历史列表
+const commandHistory = new CommandHistory({ onChange: () => { if (historyPanel) historyPanel.render(); } }); // 见 utils/commandHistory.js
+let pendingTransform = null; // { object, before } 拖动 Gizmo / 编辑数值期间的起始变换
+const resourceTracker = new ResourceTracker(); // 模型相关 GPU 资源的归属与释放 (见 analysis/resourceTracker.js)
+let instancingOptimizer; // 深拷贝 / 共享资源 / 实例化三种表示的切换 (见 optimize/instancing.js)
+const textureExperiment = new TextureExperiment(); // 贴图尺寸上限 / mipmap / 各向异性实验 (见 optimize/textureExperiment.js)
+const materialModeSwitcher = new MaterialModeSwitcher(); // 场景材质模式 (见 optimize/materialModes.js)
+let debugViews; // 调试视图 (见 analysis/debugViews.js)
+let lastVRAMBytes = 0; // 最近一次显存估算 (VRAM 图表)
+let imageBaseline = null; // 基准截图 { label, timestamp, views, width, height, frames }
+let lastImageComparison = null; // 最近一次图像对比结果 (见 runImageComparison)
+let gui; // lil-gui 根面板 (恢复会话时同步 params 控件)
 
 // === 漫游模式状态变量 ===
 let isRightMouseDown = false; // 右键是否按下
@@ -197,14 +254,29 @@ const flyState = { w: false, a: false, s: false, d: false, q: false, e: false, s
 // === Benchmark 测试变量 ===
 let isBenchmarking = false;
 let benchmarkStartTime = 0;
-let benchmarkData = []; // 存储 [时间, FPS, DrawCalls, Triangles]
-const BENCHMARK_DURATION = 60; // 测试时长 (秒)
+let benchmarkSession = null; // 逐帧采样，见 benchmark/report.js
+let benchmarkOptions = null; // 本次测试的选项 (是否下载、完成回调)
+let benchmarkDuration = 0; // 本次测试时长 (秒)，有路径时取路径时长
+const FREE_ROAM_DURATION = 60; // 未加载路径时的手动漫游时长 (秒)
+
+// === 相机路径 (录制 / 回放) ===
+let pathRecorder;
+let cameraPath = null;  // 当前加载/录制的路径
+let pathPlayer = null;  // 回放中的播放器，非回放时为 null
+let pathRecordController; // GUI 录制按钮 (用于切换按钮文字)
+
+// === A/B 对比 ===
+const abVariants = { A: null, B: null }; // { name, object, loadTimeMs, decode }，加载后暂不放入场景
+let isComparing = false;
+const AB_WARMUP_MS = 1500; // 每个变体测试前的预热时间 (着色器编译、纹理上传)
+const AB_ORBIT_DURATION = 20; // 未加载路径时自动生成的环绕路径时长 (秒)
 
 const params = {
     unlockFPS: false,
     frustumCulling: false,
     doubleSided: true,
     WireframeMode: 'None',
+    debugView: 'None',
     cameraMode: 'Orbit', // 摄像机模式: Orbit / Fly
     flySpeed: 10.0,      // 漫游速度
     flySensitivity: 0.002, // 鼠标灵敏度
@@ -230,6 +302,8 @@ function init() {
 
     mainGroup = new THREE.Group();
     scene.add(mainGroup);
+    instancingOptimizer = new InstancingOptimizer(mainGroup);
+    debugViews = new DebugViewManager(scene);
 
     camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 10000);
     camera.position.set(4, 3, 4);
@@ -248,6 +322,7 @@ function init() {
     renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
     gpuTimer = new GPUTimer(renderer);
+    pathRecorder = new CameraPathRecorder(camera);
 
     controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
@@ -272,11 +347,15 @@ function init() {
                 log("Alt Drag Detected. Duplicating...");
                 duplicateSelectedModel();
             }
+            if (transformControl.object) beginTransformEdit(transformControl.object);
+        } else {
+            commitTransformEdit();
         }
     });
     transformControl.addEventListener('change', function () {
         if (selectedModelIndex !== -1 && loadedModels[selectedModelIndex]) {
             updateTransformUI(loadedModels[selectedModelIndex].object);
+            instancingOptimizer.syncMatrices();
         }
     });
     scene.add(transformControl);
@@ -312,12 +391,47 @@ function init() {
             cpu: new PerfChart('CPU Time', '#ffa500', ' ms', 3),
             gpu: new PerfChart('GPU Time', '#d600ff', ' ms', 3),
             calls: new PerfChart('Draw Calls', '#ffcc00', '', 0),
-            tris: new PerfChart('Triangles', '#ff5555', '', 0)
+            tris: new PerfChart('Triangles', '#ff5555', '', 0),
+            vram: new PerfChart('VRAM (Est.)', '#7fdbff', ' MB', 1)
         };
     } catch (e) { console.error(e); }
 
+    costPanel = new CostBreakdownPanel({
+        getData: () => computeCostBreakdown(loadedModels, { shadowPasses: countShadowCasters() }),
+        onSelectModel: (index) => selectModelByIndex(index)
+    });
+    imageComparePanel = new ImageComparePanel({ onExport: () => exportImageComparison() });
+    leakPanel = new LeakReportPanel({
+        getData: () => resourceTracker.getLeakReport(renderer, getResourceOwners(), getRetainedResources()),
+        onDisposeLeaks: () => {
+            const count = resourceTracker.disposeLeaks(getResourceOwners(), getRetainedResources());
+            log(`Disposed ${count} leaked resource(s).`);
+            updateVRAMEst();
+        }
+    });
+
+    hierarchyPanel = new HierarchyPanel({
+        getRoots: () => loadedModels,
+        onSelectNode: (node) => selectNode(node),
+        onBeforeVisibilityChange: () => resetRepresentation(), // 实例化代理不跟随原节点的显示开关
+        onVisibilityChange: () => {
+            if (costPanel) costPanel.refresh();
+        }
+    });
+
     const debugBtn = document.getElementById('btn-debug');
     if (debugBtn) debugBtn.addEventListener('click', generateTestCube);
+    const treeBtn = document.getElementById('btn-scene-tree');
+    if (treeBtn) treeBtn.addEventListener('click', () => hierarchyPanel.toggle());
+    const historyMount = document.getElementById('history-panel');
+    if (historyMount) {
+        historyPanel = new HistoryPanel(historyMount, {
+            getEntries: () => commandHistory.getEntries(),
+            onUndo: () => undo(),
+            onRedo: () => redo(),
+            onJump: (count) => jumpHistory(count)
+        });
+    }
 
     window.addEventListener('resize', onWindowResize);
     log("System Initializing... Ready.");
@@ -327,21 +441,44 @@ function init() {
     // 默认加载 HDR
     const defaultHDRPath = 'data/irrmaps/docklands_01_4k.hdr';
 
-    new RGBELoader().load(defaultHDRPath, (texture) => {
-        texture.mapping = THREE.EquirectangularReflectionMapping;
-        scene.background = texture;
-        scene.environment = texture;
-        scene.backgroundBlurriness = params.blur; // 应用默认模糊设置
-        log(`Default HDR Loaded: ${defaultHDRPath}`);
-    }, undefined, (err) => {
-        console.warn("Failed to load default HDR:", err);
-        log("Default HDR load failed (Check console)");
+    loadHDR(defaultHDRPath, defaultHDRPath.split('/').pop(), defaultHDRPath)
+        .then(() => log(`Default HDR Loaded: ${defaultHDRPath}`))
+        .catch((err) => {
+            console.warn("Failed to load default HDR:", err);
+            log("Default HDR load failed (Check console)");
+        });
+}
+
+// 加载 HDR / EXR 作为背景与环境光 (按 name 的扩展名选择加载器)；path 为项目内置路径 (会话中据此恢复)，用户文件传 null
+function loadHDR(url, name, path = null) {
+    return new Promise((resolve, reject) => {
+        createEnvironmentLoader(name).load(url, (texture) => {
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+            // 释放上一张环境贴图 (连同渲染器为它生成的 PMREM / 立方体贴图)
+            const previous = scene.environment;
+            if (previous && previous !== texture) previous.dispose();
+            scene.background = texture;
+            scene.environment = texture;
+            scene.backgroundBlurriness = params.blur;
+            currentHDRName = name;
+            currentHDRPath = path;
+            resolve(texture);
+        }, undefined, reject);
     });
 }
 
 // === 输入事件处理 ===
 function onKeyDown(event) {
     // 全局快捷键
+    // 撤销 / 重做：输入框中保留浏览器自身的文本撤销
+    if ((event.ctrlKey || event.metaKey) && (event.code === 'KeyZ' || event.code === 'KeyY')) {
+        if (document.activeElement.tagName !== 'INPUT') {
+            event.preventDefault();
+            if (event.code === 'KeyY' || event.shiftKey) redo();
+            else undo();
+        }
+        return;
+    }
     if (event.key === 'Delete' || event.key === 'Backspace') {
         if (document.activeElement.tagName !== 'INPUT') {
             deleteSelectedModel();
@@ -388,7 +525,7 @@ function onPointerDown(event) {
     isAltDown = event.altKey || event.metaKey;
 
     // 只有当点击不在 UI 面板上时才进行选择检测
-    if (event.target.closest('#gui-container') || event.target.closest('#stats-panel')) return;
+    if (event.target.closest('#gui-container') || event.target.closest('#stats-panel') || event.target.closest('#cost-panel') || event.target.closest('#hierarchy-panel')) return;
 
     // === Fly Mode Logic ===
     if (params.cameraMode === 'Fly') {
@@ -406,12 +543,13 @@ function onPointerDown(event) {
 
     raycaster.setFromCamera(pointer, camera);
 
-    // 检测与 mainGroup 的子对象的交叉
-    const intersects = raycaster.intersectObjects(mainGroup.children, true);
+    // 检测与 mainGroup 的子对象的交叉；Raycaster 不检查 visible，层级树中隐藏的节点要跳过
+    const hit = raycaster.intersectObjects(mainGroup.children, true).find(h => isVisibleInScene(h.object));
 
-    if (intersects.length > 0) {
-        // 找到最近的交叉物体
-        let hitObj = intersects[0].object;
+    if (hit) {
+        // 找到最近的交叉物体 (实例化对象换成对应的原网格，线框叠加子物体换成所属网格)
+        let hitObj = instancingOptimizer.resolveHit(hit);
+        if (hitObj.userData.isWireframeMesh && hitObj.parent) hitObj = hitObj.parent;
 
         // 向上遍历直到找到属于 loadedModels 的根对象
         let rootModel = null;
@@ -440,7 +578,63 @@ function onPointerDown(event) {
             selectModelByIndex(rootIndex);
             log(`Selected: ${loadedModels[rootIndex].name}`);
         }
+        // 层级树打开时同时选中被点击的网格，并在树中展开定位
+        if (rootIndex !== -1 && hierarchyPanel.visible) {
+            setNodeHighlight(hitObj);
+            hierarchyPanel.reveal(hitObj);
+        }
+    }
+}
+
+// === 节点选中 (层级树) ===
+// 选中节点所在的模型同时成为当前模型 (Gizmo 仍作用在模型根节点上)，节点本身用包围盒线框标出
+function selectNode(node) {
+    const index = loadedModels.findIndex(entry => entry.object === node || isDescendantOf(node, entry.object));
+    if (index === -1) return;
+    if (index !== selectedModelIndex) selectModelByIndex(index);
+    setNodeHighlight(node);
+    const stats = hierarchyPanel.stats.get(node);
+    log(`Selected Node: ${node.name || node.type}` + (stats ? ` (${stats.tris.toLocaleString()} tris, ${stats.calls} calls)` : ''));
+}
+
+// 自身与全部祖先都可见
+function isVisibleInScene(object) {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+}
+
+function isDescendantOf(node, ancestor) {
+    let parent = node.parent;
+    while (parent) {
+        if (parent === ancestor) return true;
+        parent = parent.parent;
     }
+    return false;
+}
+
+function setNodeHighlight(node) {
+    clearNodeHighlight();
+    selectedNode = node;
+    nodeHelper = new THREE.BoxHelper(node, 0x00ccff);
+    scene.add(nodeHelper);
+}
+
+function clearNodeHighlight() {
+    selectedNode = null;
+    if (!nodeHelper) return;
+    scene.remove(nodeHelper);
+    nodeHelper.geometry.dispose();
+    nodeHelper.material.dispose();
+    nodeHelper = null;
+}
+
+// 每帧跟随节点变换；节点随模型删除 / 清空离开场景后移除线框
+function updateNodeHighlight() {
+    if (!nodeHelper) return;
+    if (!isDescendantOf(selectedNode, scene)) clearNodeHighlight();
+    else nodeHelper.update();
 }
 
 function onPointerUp(event) {
@@ -500,8 +694,10 @@ function onMouseWheel(event) {
 // 复制模型 (带错误保护)
 function duplicateSelectedModel() {
     try {
+        resetRepresentation();
         const originalEntry = loadedModels[selectedModelIndex];
         if (!originalEntry) return;
+        suspendExperiments(); // 克隆会复制替换材质与贴图采样设置，先还原，复制完成后重新应用
 
         const originalObj = originalEntry.object;
 
@@ -553,7 +749,8 @@ function duplicateSelectedModel() {
         // 3. 注册新模型
         const newEntry = {
             name: newName,
-            object: cloneObj
+            object: cloneObj,
+            source: originalEntry.source
         };
         loadedModels.push(newEntry);
 
@@ -609,11 +806,19 @@ function duplicateSelectedModel() {
             }
         });
 
+        resumeExperiments();
         updateVRAMEst(); // 强制刷新 VRAM 统计
         updateModelSelectUI(true); // 更新列表但不重置 Gizmo，保证拖拽连续
 
         log(`Deep Duplicated: ${originalEntry.name} -> ${newName} (Separate VRAM)`);
 
+        let removed = null;
+        commandHistory.push({
+            label: `Duplicate ${originalEntry.name} -> ${newName}`,
+            undo: () => { removed = removeModels([newEntry]); },
+            redo: () => restoreModels(removed)
+        });
+
     } catch (err) {
         console.error(err);
         log("Error duplicating: " + err.message);
@@ -657,35 +862,148 @@ function getUniqueName(baseName) {
 function deleteSelectedModel() {
     if (selectedModelIndex === -1 || !loadedModels[selectedModelIndex]) return;
 
-    const modelToRemove = loadedModels[selectedModelIndex].object;
-    const modelName = loadedModels[selectedModelIndex].name;
+    const entry = loadedModels[selectedModelIndex];
+    let removed = removeModels([entry]);
+    const released = removed[0].released;
 
-    mainGroup.remove(modelToRemove);
-    transformControl.detach();
+    log(`Deleted Model: ${entry.name} (released ${released.geometry} geometries, ${released.material} materials, ${released.texture} textures)`);
 
-    const meshesToRemove = new Set();
-    modelToRemove.traverse(child => {
-        if (child.isMesh) meshesToRemove.add(child);
+    commandHistory.push({
+        label: `Delete ${entry.name}`,
+        retainsResources: true,
+        undo: () => restoreModels(removed),
+        redo: () => { removed = removeModels([entry]); }
     });
-    originalMeshes = originalMeshes.filter(item => !meshesToRemove.has(item.mesh));
+}
 
-    modelToRemove.traverse(child => {
-        if (child.isMesh) {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) {
-                if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
-                else child.material.dispose();
-            }
-        }
+// 模型在 loadedModels 中的位置与简化备份 (restoreModels 据此放回)
+function captureModelRecords(entries) {
+    return entries.map(entry => {
+        const meshes = new Set();
+        entry.object.traverse(child => {
+            if (child.isMesh) meshes.add(child);
+        });
+        return { entry, index: loadedModels.indexOf(entry), backups: originalMeshes.filter(item => meshes.has(item.mesh)) };
+    }).filter(record => record.index !== -1);
+}
+
+// 从工作区移除模型：释放只属于它们的 GPU 资源 (几何体 / 贴图的 CPU 端数据仍在对象上)，
+// 返回 [{ entry, index, backups, released }]，撤销删除时由 restoreModels 放回并重新上传
+function removeModels(entries) {
+    resetRepresentation();
+    suspendExperiments(); // 被移除的模型带着原材质与原图像离开场景，放回后重新应用实验设置
+    const records = captureModelRecords(entries);
+    const removedEntries = new Set(records.map(record => record.entry));
+    const removedMeshes = new Set();
+
+    records.forEach(record => {
+        record.released = releaseModelResources(record.entry.object);
+        mainGroup.remove(record.entry.object);
+        record.backups.forEach(item => removedMeshes.add(item.mesh));
     });
+    originalMeshes = originalMeshes.filter(item => !removedMeshes.has(item.mesh));
+    loadedModels = loadedModels.filter(entry => !removedEntries.has(entry));
 
-    loadedModels.splice(selectedModelIndex, 1);
+    transformControl.detach();
     selectedModelIndex = -1;
     selectedModelRadius = 1.0; // 重置
     updateModelSelectUI();
+    resumeExperiments(); // 不再保留已移除模型的原材质与原图像
+    updateVRAMEst();
+    return records;
+}
+
+// 按原来的顺序放回 removeModels 移除的模型，并按当前的单 / 双面、剔除与线框设置刷新；选中最后一个
+function restoreModels(records) {
+    if (records.length === 0) return;
+    resetRepresentation();
+    suspendExperiments();
+    [...records].sort((a, b) => a.index - b.index).forEach(({ entry, index, backups }) => {
+        loadedModels.splice(Math.min(index, loadedModels.length), 0, entry);
+        mainGroup.add(entry.object);
+        originalMeshes.push(...backups);
+        entry.object.traverse(child => {
+            if (child.isMesh && child.userData.isModelMesh) setupModelMesh(child);
+        });
+    });
+    updateWireframeMode(params.wireframeMode);
+
+    selectedModelIndex = loadedModels.indexOf(records[records.length - 1].entry);
+    updateModelSelectUI();
+    resumeExperiments();
     updateVRAMEst();
+}
+
+// === 撤销 / 重做 ===
+// 记录的操作：变换 (Gizmo 拖动 / 数值输入)、复制、删除、加载 / 追加、简化。
+// 合并、LOD、恢复会话会替换模型的节点结构，之前的记录无法再对应到场景，执行后清空历史。
+function undo() {
+    if (!commandHistory.canUndo && commandHistory.done.length > 0) {
+        log("Undo: earlier steps were released to save memory.");
+        return;
+    }
+    stepHistory(() => commandHistory.undo(), 'Undo');
+}
+
+function redo() {
+    stepHistory(() => commandHistory.redo(), 'Redo');
+}
+
+// 历史列表中点击某一行：撤销 / 重做到该行之后的状态
+function jumpHistory(count) {
+    stepHistory(() => {
+        commandHistory.jumpTo(count);
+        const entry = commandHistory.getEntries()[count - 1];
+        return { label: entry ? entry.label : 'Initial State' };
+    }, 'Jump to');
+}
+
+function stepHistory(step, action) {
+    if (transformControl.dragging || isComparing) return; // A/B 测试期间工作区模型暂时移出场景
+    commitTransformEdit(); // 未确认的数值输入先记录下来
+    try {
+        const command = step();
+        if (command) log(`${action}: ${command.label}`);
+        else log(`Nothing to ${action.toLowerCase()}.`);
+    } catch (err) {
+        console.error(err);
+        log(`${action} failed: ${err.message}`);
+    }
+}
+
+function clearHistory(reason) {
+    if (!commandHistory.canUndo && !commandHistory.canRedo) return;
+    commandHistory.clear();
+    log(`History cleared (${reason}).`);
+}
+
+function beginTransformEdit(object) {
+    if (pendingTransform && pendingTransform.object === object) return;
+    commitTransformEdit();
+    pendingTransform = { object, before: serializeTransform(object) };
+}
+
+function commitTransformEdit() {
+    if (!pendingTransform) return;
+    const { object, before } = pendingTransform;
+    pendingTransform = null;
+    const after = serializeTransform(object);
+    if (JSON.stringify(after) === JSON.stringify(before)) return;
+
+    const entry = loadedModels.find(e => e.object === object);
+    commandHistory.push({
+        label: `Transform ${entry ? entry.name : (object.name || object.type)}`,
+        undo: () => setModelTransform(object, before),
+        redo: () => setModelTransform(object, after)
+    });
+}
 
-    log(`Deleted Model: ${modelName}`);
+// 撤销 / 重做变换时选中该模型，便于看到变化
+function setModelTransform(object, transform) {
+    applyTransform(object, transform);
+    instancingOptimizer.syncMatrices();
+    const index = loadedModels.findIndex(e => e.object === object);
+    if (index !== -1) selectModelByIndex(index);
 }
 
 function initGUI() {
@@ -711,9 +1029,8 @@ function initGUI() {
     const scopeRadios = document.getElementsByName('simp-scope');
     scopeRadios.forEach(r => {
         r.addEventListener('change', () => {
-            // 切换范围时，重新应用当前的滑块值
-            const val = parseInt(document.getElementById('simp-slider').value);
-            applySimplification(val / 100);
+            // 切换范围时，重新应用当前的简化目标
+            applySimplification();
         });
     });
 
@@ -721,9 +1038,13 @@ function initGUI() {
     tfInputs.forEach(input => {
         input.addEventListener('input', () => {
             if (selectedModelIndex !== -1) {
+                beginTransformEdit(loadedModels[selectedModelIndex].object);
                 updateModelFromUI(loadedModels[selectedModelIndex].object);
+                instancingOptimizer.syncMatrices();
             }
         });
+        // 输入确认 (回车 / 失去焦点) 时记录一条历史
+        input.addEventListener('change', () => commitTransformEdit());
     });
 
     const slider = document.getElementById('simp-slider');
@@ -735,20 +1056,168 @@ function initGUI() {
             const val = parseInt(e.target.value);
             if (val === 0) sliderVal.innerText = "0% (Original)";
             else sliderVal.innerText = val + "% (Reduced)";
-            applySimplification(val / 100);
+            applySimplification({ mode: 'ratio', ratio: val / 100 });
         });
     }
 
-    const gui = new GUI({ container: document.getElementById('lil-gui-mount'), width: '100%' });
+    // 简化目标模式：比例 (滑块) / 三角形预算 / 最大误差
+    const simpMode = document.getElementById('simp-mode');
+    if (simpMode) {
+        simpMode.addEventListener('change', () => {
+            const mode = simpMode.value;
+            const input = document.getElementById('simp-target-value');
+            document.getElementById('simp-ratio-row').style.display = mode === 'ratio' ? 'block' : 'none';
+            document.getElementById('simp-target-row').style.display = mode === 'ratio' ? 'none' : 'block';
+            document.getElementById('simp-distribution').style.display = mode === 'error' ? 'none' : 'block';
+            if (mode === 'error') {
+                document.getElementById('simp-target-label').innerText = 'Max Error (% of model diagonal)';
+                input.step = '0.01';
+                input.value = '0.1';
+            } else {
+                document.getElementById('simp-target-label').innerText = mode === 'budget' ? 'Scene Triangle Budget' : 'Triangle Budget per Model';
+                input.step = '1000';
+                input.value = '500000';
+            }
+        });
+        document.getElementById('btn-simp-apply').addEventListener('click', () => applySimplification());
+    }
+    document.querySelectorAll('.simp-options input').forEach(input => {
+        input.addEventListener('change', () => applySimplification());
+    });
+
+    gui = new GUI({ container: document.getElementById('lil-gui-mount'), width: '100%' });
 
     // === Benchmark 按钮 ===
     const folderPerf = gui.addFolder('Performance Benchmark');
     const benchParams = {
-        startBench: () => startBenchmark()
+        startBench: () => startBenchmark(),
+        recordPath: () => toggleCameraPathRecording(),
+        savePath: () => saveCameraPath(),
+        loadPath: () => loadCameraPath(),
+        clearPath: () => {
+            cameraPath = null;
+            log("Camera Path Cleared. Benchmark uses free roam.");
+        }
     };
-    folderPerf.add(benchParams, 'startBench').name('Start 1min Roam Test');
+    folderPerf.add(benchParams, 'startBench').name('Start Roam Test');
+    pathRecordController = folderPerf.add(benchParams, 'recordPath').name('Record Camera Path');
+    folderPerf.add(benchParams, 'savePath').name('Save Path (JSON)');
+    folderPerf.add(benchParams, 'loadPath').name('Load Path (JSON)');
+    folderPerf.add(benchParams, 'clearPath').name('Clear Path');
     folderPerf.open(); // 默认展开
 
+    // === A/B 对比 (同一路径、HDR 与渲染设置下依次测试两个变体) ===
+    const folderAB = gui.addFolder('A/B Comparison');
+    const abParams = {
+        loadA: () => loadABVariant('A'),
+        loadB: () => loadABVariant('B'),
+        run: () => runABComparison()
+    };
+    folderAB.add(abParams, 'loadA').name('Load Variant A (Folder)');
+    folderAB.add(abParams, 'loadB').name('Load Variant B (Folder)');
+    folderAB.add(abParams, 'run').name('Run A/B Benchmark');
+    folderAB.close();
+
+    // === 分析工具 ===
+    const folderAnalysis = gui.addFolder('Analysis');
+    const analysisParams = {
+        vramBreakdown: () => {
+            formatVRAMReport(updateVRAMEst()).forEach(line => log(line));
+        },
+        exportVRAM: () => {
+            downloadJSON(`vram_report_${fileTimestamp()}.json`, updateVRAMEst());
+            log("VRAM Report Exported.");
+        }
+    };
+    analysisParams.costPanel = () => costPanel.toggle();
+    analysisParams.leakReport = () => leakPanel.toggle();
+    folderAnalysis.add(analysisParams, 'costPanel').name('Cost Breakdown Panel');
+    folderAnalysis.add(analysisParams, 'leakReport').name('Resource Leak Report');
+    folderAnalysis.add(analysisParams, 'vramBreakdown').name('VRAM Breakdown');
+    folderAnalysis.add(analysisParams, 'exportVRAM').name('Export VRAM Report');
+    folderAnalysis.close();
+
+    // === 图像对比 (固定视点截图，变更前后比较 PSNR / SSIM) ===
+    const folderImage = gui.addFolder('Image Compare');
+    const imageParams = {
+        baseline: () => captureImageBaseline(),
+        compare: () => runImageComparison(),
+        panel: () => {
+            imageComparePanel.render(lastImageComparison);
+            imageComparePanel.toggle();
+        },
+        export: () => exportImageComparison()
+    };
+    folderImage.add(imageParams, 'baseline').name('Capture Baseline');
+    folderImage.add(imageParams, 'compare').name('Compare with Baseline');
+    folderImage.add(imageParams, 'panel').name('Comparison Panel');
+    folderImage.add(imageParams, 'export').name('Export Comparison');
+    folderImage.close();
+
+    // === 实例化 (重复构件) ===
+    const folderInstancing = gui.addFolder('Instancing');
+    representationController = folderInstancing.add(instancingParams, 'representation', REPRESENTATIONS).name('Representation')
+        .onChange(value => setRepresentation(value));
+    folderInstancing.add(instancingParams, 'compare').name('Compare All');
+    folderInstancing.close();
+
+    // === 材质模式 ===
+    const folderMaterial = gui.addFolder('Material Mode');
+    materialModeController = folderMaterial.add(materialParams, 'mode', MATERIAL_MODES).name('Mode')
+        .onChange(value => setMaterialMode(value));
+    folderMaterial.add(materialParams, 'bakedChannel', BAKED_CHANNELS).name('Baked Texture As')
+        .onChange(value => {
+            materialModeSwitcher.setBakedChannel(value);
+            if (materialModeSwitcher.mode === 'Baked') setMaterialMode('Baked');
+        });
+    folderMaterial.add(materialParams, 'loadBaked').name('Load Baked Texture');
+    folderMaterial.close();
+
+    // === 贴图实验 ===
+    const folderTexture = gui.addFolder('Texture Experiment');
+    folderTexture.add(textureParams, 'maxSize', TEXTURE_SIZE_OPTIONS).name('Max Size').onChange(() => applyTextureExperiment());
+    folderTexture.add(textureParams, 'powerOfTwo').name('Force Power of Two').onChange(() => applyTextureExperiment());
+    folderTexture.add(textureParams, 'mipmaps').name('Mipmaps').onChange(() => applyTextureExperiment());
+    folderTexture.add(textureParams, 'anisotropy', ANISOTROPY_OPTIONS).name('Anisotropy').onChange(() => applyTextureExperiment());
+    folderTexture.add(textureParams, 'revert').name('Revert Textures');
+    textureControllers = folderTexture.controllers;
+    folderTexture.close();
+
+    // === 按材质合并 ===
+    const folderMerge = gui.addFolder('Merge by Material');
+    folderMerge.add(mergeParams, 'scope', ['All Models', 'Selected Model']).name('Scope');
+    folderMerge.add(mergeParams, 'merge').name('Merge Meshes');
+    folderMerge.add(mergeParams, 'unmerge').name('Restore Hierarchy');
+    folderMerge.close();
+
+    // === LOD 链 ===
+    const folderLOD = gui.addFolder('LOD Chain');
+    folderLOD.add(lodParams, 'ratios').name('Levels (%)');
+    folderLOD.add(lodParams, 'distances').name('Switch (x Radius)').onFinishChange(() => updateLODDistances());
+    folderLOD.add(lodParams, 'generate').name('Generate LOD Chains');
+    folderLOD.add(lodParams, 'remove').name('Remove LOD Chains');
+    folderLOD.close();
+
+    // === 导出 ===
+    const folderExport = gui.addFolder('Export');
+    const exportParams = {
+        exportSelected: () => exportModelsGLB('selected'),
+        exportScene: () => exportModelsGLB('scene')
+    };
+    folderExport.add(exportParams, 'exportSelected').name('Export Selected (GLB)');
+    folderExport.add(exportParams, 'exportScene').name('Export Scene (GLB)');
+    folderExport.close();
+
+    // === 会话 ===
+    const folderSession = gui.addFolder('Session');
+    const sessionParams = {
+        save: () => saveSession(),
+        load: () => loadSession()
+    };
+    folderSession.add(sessionParams, 'save').name('Save Session');
+    folderSession.add(sessionParams, 'load').name('Load Session');
+    folderSession.close();
+
     gui.add(params, 'unlockFPS').name('Unlock FPS Limit')
         .onChange(v => log(v ? "FPS Unlocked" : "FPS Locked"));
 
@@ -770,6 +1239,7 @@ function initGUI() {
     gui.add(params, 'wireframeMode', ['None', 'Wireframe Only', 'Mixed (Overlay)'])
         .name('Wireframe Mode')
         .onChange(updateWireframeMode);
+    gui.add(params, 'debugView', DEBUG_VIEWS).name('Debug View').onChange(setDebugView);
     gui.add(params, 'exposure', 0.1, 5.0).name('Exposure').onChange(v => renderer.toneMappingExposure = v);
     gui.add(params, 'blur', 0, 1).name('BG Blur').onChange(v => scene.backgroundBlurriness = v);
     gui.add(params, 'rotation', 0, 360).name('Auto Rotation').onChange(v => {
@@ -835,6 +1305,7 @@ function updateWireframeMode(mode) {
             }
         }
     });
+    trackModelResources(); // 新建的线框叠加材质随模型一起释放
 }
 
 // 辅助函数：根据索引选中模型，并计算其半径
@@ -847,6 +1318,15 @@ function selectModelByIndex(index) {
     if (select) select.value = index;
 
 
+    // 选中的节点不属于新的当前模型时取消节点选中
+    if (selectedNode) {
+        const model = loadedModels[index] && loadedModels[index].object;
+        if (!model || (selectedNode !== model && !isDescendantOf(selectedNode, model))) {
+            clearNodeHighlight();
+            if (hierarchyPanel) hierarchyPanel.setSelected(null);
+        }
+    }
+
     if (index === -1 || !loadedModels[index]) {
         transformControl.detach();
         if (tfPanel) tfPanel.style.display = 'none';
@@ -868,44 +1348,77 @@ function selectModelByIndex(index) {
     }
 }
 
-function updateVRAMEst() {
-    let bytes = 0;
-    let geoCount = 0;
-    let texCount = 0;
-    const geometries = new Set();
-    const textures = new Set();
-
-    mainGroup.traverse(c => {
-        if (c.isMesh) {
-            if (c.geometry) geometries.add(c.geometry);
-            if (c.material) {
-                const mats = Array.isArray(c.material) ? c.material : [c.material];
-                mats.forEach(m => {
-                    for (const key in m) {
-                        if (m[key] && m[key].isTexture) textures.add(m[key]);
-                    }
-                });
-            }
-        }
+// 显存核算：按类别统计 mainGroup 中的模型、环境贴图、阴影贴图与渲染目标
+function computeSceneVRAM() {
+    return computeVRAMReport({
+        renderer,
+        scene,
+        root: mainGroup,
+        models: loadedModels,
+        backupGeometries: originalMeshes
     });
+}
 
-    geometries.forEach(g => {
-        geoCount++;
-        for (const name in g.attributes) bytes += g.attributes[name].array.byteLength;
-        if (g.index) bytes += g.index.array.byteLength;
+function updateVRAMEst() {
+    const report = computeSceneVRAM();
+    lastVRAMBytes = report.totalBytes;
+    const mb = (report.totalBytes / 1024 / 1024).toFixed(2);
+    const c = report.categories;
+    document.getElementById('val-vram').innerText = `${mb} MB (${c.geometry.count} Geo, ${c.texture.count} Tex)`;
+    // 场景变化时 (加载 / 删除 / 复制 / 简化) 都会走到这里，顺带登记新产生的资源并刷新开销 / 泄漏面板
+    trackModelResources();
+    if (costPanel) costPanel.refresh();
+    if (leakPanel) leakPanel.refresh();
+    if (hierarchyPanel) hierarchyPanel.refresh();
+    return report;
+}
+
+// === 资源跟踪 ===
+// 工作区模型与 A/B 变体各自作为资源的 owner；简化备份几何体归属于其网格所在的模型
+function getResourceOwners() {
+    const owners = loadedModels.map(entry => ({ name: entry.name, object: entry.object }));
+    ['A', 'B'].forEach(slot => {
+        if (abVariants[slot]) owners.push({ name: `Variant ${slot}: ${abVariants[slot].name}`, object: abVariants[slot].object });
     });
+    return owners;
+}
 
-    textures.forEach(t => {
-        texCount++;
-        if (t.image) {
-            const w = t.image.width || 1024;
-            const h = t.image.height || 1024;
-            bytes += w * h * 4 * 1.33;
-        }
+function getRetainedResources() {
+    const retained = materialModeSwitcher.getRetainedResources();
+    debugViews.getRetainedResources().forEach(r => retained.add(r));
+    originalMeshes.forEach(o => retained.add(o.geometry));
+    return retained;
+}
+
+// 重复调用是安全的：已登记的资源不会重复计数
+function trackModelResources() {
+    const meshOwner = new Map();
+    getResourceOwners().forEach(({ object }) => {
+        resourceTracker.trackObject(object, object);
+        object.traverse(child => {
+            if (child.isMesh) meshOwner.set(child, object);
+        });
     });
+    originalMeshes.forEach(item => {
+        const owner = meshOwner.get(item.mesh);
+        if (owner) resourceTracker.track(item.geometry, owner);
+    });
+}
+
+// 模型离开场景时调用：释放只属于它的几何体 (含简化备份)、材质与贴图
+function releaseModelResources(object) {
+    trackModelResources(); // 先补登记最近一次场景变化后产生的资源
+    return resourceTracker.releaseOwner(object);
+}
 
-    const mb = (bytes / 1024 / 1024).toFixed(2);
-    document.getElementById('val-vram').innerText = `${mb} MB (${geoCount} Geo, ${texCount} Tex)`;
+// 投射阴影的光源数量 (阴影 Pass 会让投射阴影的网格多出 Draw Call)
+function countShadowCasters() {
+    if (!renderer.shadowMap.enabled) return 0;
+    let count = 0;
+    scene.traverse(obj => {
+        if (obj.isLight && obj.castShadow) count++;
+    });
+    return count;
 }
 
 function updateMaterialSide(isDouble) {
@@ -997,50 +1510,90 @@ function updateCullingSettings(enabled) {
     log(`Frustum Culling set to: ${enabled} (${count} meshes)`);
 }
 
-function initFileHandlers() {
-    const manager = new THREE.LoadingManager();
-    const blobURLs = {};
-
-    manager.setURLModifier((url) => {
-        const fileName = url.split('/').pop();
-        if (blobURLs[fileName]) return blobURLs[fileName];
-        return url;
-    });
-
-    const handleFiles = (files) => {
-        if (files.length === 0) return;
+// === 模型文件加载 ===
+const MODEL_EXTENSIONS = ['gltf', 'glb', 'obj', ...EXTRA_MODEL_EXTENSIONS];
+const MODEL_FILE_PATTERN = new RegExp(`\\.(${MODEL_EXTENSIONS.join('|')})$`, 'i');
+
+// 从一组文件中找到根模型文件并加载，返回 Promise<{ object, name, startTime, source, decode }>
+// source 记录根文件与全部文件的相对路径 (会话文件使用)；rootPath 指定时只把该文件当作根文件
+// decode: { fileBytes, decoders } 输入文件总大小与各压缩扩展的解码统计 (见 loaders/gltfDecoders.js)
+// 失败时已在控制台输出原因，Promise 以 Error reject
+function loadModelFiles(files, rootPath = null) {
+    return new Promise((resolve, reject) => {
+        if (files.length === 0) {
+            reject(new Error("No files"));
+            return;
+        }
         const startTime = performance.now();
         log("Processing files...");
 
-        let rootFile = null;
+        const vfs = new VirtualFileSystem(files);
+        const manager = vfs.manager;
+        let rootFilePath = null;
         let rootName = "Unknown Model";
         let extension = null;
-        let mtlFile = null;
+        const mtlFiles = [];
 
         Array.from(files).forEach(file => {
-            blobURLs[file.name] = URL.createObjectURL(file);
-            log(`Detected: ${file.name} (${(file.size/1024).toFixed(1)} KB)`); // Debug日志
+            // 指定根文件时 (批量导入 / 恢复会话) 不再逐个列出文件
+            if (!rootPath) log(`Detected: ${getRelativePath(file)} (${(file.size/1024).toFixed(1)} KB)`); // Debug日志
 
-            if (file.name.match(/\.(gltf|glb|obj)$/i)) {
-                rootFile = file.name;
+            if (MODEL_FILE_PATTERN.test(file.name) && (!rootPath || getRelativePath(file) === rootPath)) {
+                rootFilePath = getRelativePath(file);
                 rootName = file.name;
                 extension = file.name.split('.').pop().toLowerCase();
             }
 
             if (file.name.match(/\.mtl$/i)) {
-                mtlFile = file.name;
+                mtlFiles.push(getRelativePath(file));
             }
         });
 
-        if (!rootFile) {
-            log("Error: No .gltf, .glb, or .obj found.");
+        if (!rootFilePath) {
+            log(`Error: No model file found (${MODEL_EXTENSIONS.map(x => '.' + x).join(', ')}).`);
+            reject(new Error("No model file found"));
             return;
         }
 
-        log(`Loading: ${rootFile}`);
+        log(`Loading: ${rootFilePath}`);
+
+        // 加载器拿到根文件的相对路径，引用的资源相对根文件所在目录解析 (见 loaders/virtualFileSystem.js)
+        const rootURL = normalizePath(rootFilePath);
+
+        // 一个文件夹里有多个 OBJ 时，优先使用同目录、同名的 MTL
+        const baseName = rootURL.replace(/\.[^.]+$/, '').toLowerCase();
+        const sameDir = mtlFiles.filter(path => dirname(normalizePath(path)) === dirname(rootURL));
+        const mtlFile = mtlFiles.find(path => normalizePath(path).replace(/\.mtl$/i, '').toLowerCase() === baseName) ||
+            sameDir[sameDir.length - 1] || mtlFiles[mtlFiles.length - 1] || null;
+
+        const source = { rootFile: rootFilePath, files: Array.from(files).map(getRelativePath) };
+        const fileBytes = Array.from(files).reduce((sum, file) => sum + file.size, 0);
+        const decodeStats = beginDecodeStats();
+        // 加载结束 (成功或失败) 后输出缺失 / 按文件名匹配的资源，并释放本次加载的 blob URL
+        const finish = () => {
+            reportResources(rootName, vfs.getReport());
+            vfs.release();
+        };
+        const done = (object) => {
+            const decode = { fileBytes, decoders: endDecodeStats(decodeStats) };
+            finish();
+            resolve({ object, name: rootName, startTime, source, decode });
+        };
+        const fail = (prefix) => (err) => {
+            endDecodeStats(decodeStats);
+            log(`${prefix}${err.message}`);
+            finish();
+            reject(err);
+        };
 
         // 2. 根据文件类型使用不同加载器
-        if (extension === 'obj') {
+        if (EXTRA_MODEL_EXTENSIONS.includes(extension)) {
+            // FBX / PLY / STL / 3MF：格式相关的提示 (材质转换等) 输出到控制台
+            loadExtraModel(extension, rootURL, rootName, manager).then(({ object, warnings }) => {
+                warnings.forEach(w => log(`Warning: ${w}`));
+                done(object);
+            }).catch(fail(`Error loading ${extension.toUpperCase()}: `));
+        } else if (extension === 'obj') {
             // OBJ 加载逻辑
             const objLoader = new OBJLoader(manager);
 
@@ -1048,33 +1601,70 @@ function initFileHandlers() {
                 // 如果有 MTL，先加载 MTL 再加载 OBJ
                 log(`Found MTL: ${mtlFile}, loading materials...`);
                 const mtlLoader = new MTLLoader(manager);
-                mtlLoader.load(mtlFile, (materials) => {
+                mtlLoader.load(normalizePath(mtlFile), (materials) => {
                     materials.preload();
                     objLoader.setMaterials(materials);
-                    objLoader.load(rootFile, (object) => {
-                        onModelLoaded(object, startTime, rootName);
-                    }, undefined, (err) => log(`Error loading OBJ: ${err.message}`));
-                }, undefined, (err) => log(`Error loading MTL: ${err.message}`));
+                    objLoader.load(rootURL, done, undefined, fail("Error loading OBJ: "));
+                }, undefined, fail("Error loading MTL: "));
             } else {
                 // 没有 MTL，直接加载 OBJ (白模)
                 log("Warning: No .mtl file found. Loading mesh only.");
-                objLoader.load(rootFile, (object) => {
-                    onModelLoaded(object, startTime, rootName);
-                }, undefined, (err) => log(`Error loading OBJ: ${err.message}`));
+                objLoader.load(rootURL, done, undefined, fail("Error loading OBJ: "));
             }
         } else {
             // GLTF/GLB 加载逻辑
-            const loader = new GLTFLoader(manager);
-            loader.load(rootFile, (gltf) => {
-                onModelLoaded(gltf.scene, startTime, rootName);
-            }, undefined, (err) => {
+            const loader = setupGLTFDecoders(new GLTFLoader(manager), renderer);
+            loader.load(rootURL, (gltf) => done(gltf.scene), undefined, (err) => {
+                endDecodeStats(decodeStats);
                 log(`Error: ${err.message}`);
-                // 常见错误提示
-                if(err.message.includes('bin') || err.message.includes('404')) {
-                    log("MISSING BIN FILE? Please drag .gltf AND .bin files together!");
-                }
+                finish();
+                reject(err);
             });
         }
+    });
+}
+
+// 缺失的资源逐个列出 (贴图缺失时模型仍能加载，只是没有贴图)；按文件名匹配到的给出提示
+function reportResources(name, { missing, fallbacks }) {
+    if (missing.length > 0) {
+        log(`Warning: ${name} references ${missing.length} missing file(s):`);
+        missing.forEach(path => log(`  - ${path}`));
+        log("Drag the whole model folder (or select every referenced file) to include them.");
+    }
+    fallbacks.forEach(({ requested, resolved }) => log(`Resolved by file name: ${requested} -> ${resolved}`));
+}
+
+function initFileHandlers() {
+    // 只有一个模型文件时直接加载；有多个时弹出选择框，选中的逐个加载为独立的模型
+    // 选择框打开期间忽略新的拖入 / 选择，避免叠出多个选择框
+    let choosing = false;
+    const handleFiles = async (files) => {
+        if (files.length === 0) return;
+        if (choosing) {
+            log("Finish or cancel the open model chooser first.");
+            return;
+        }
+        const candidates = Array.from(files).filter(file => MODEL_FILE_PATTERN.test(file.name));
+        if (candidates.length <= 1) {
+            loadModelFiles(files)
+                .then(({ object, name, startTime, source, decode }) => onModelLoaded(object, startTime, name, { source, decode }))
+                .catch(err => console.error(err));
+            return;
+        }
+
+        log(`Found ${candidates.length} model files, choose which to load.`);
+        choosing = true;
+        let choice;
+        try {
+            choice = await chooseRootFiles(candidates, { getPath: getRelativePath });
+        } finally {
+            choosing = false;
+        }
+        if (!choice) {
+            log("Import cancelled.");
+            return;
+        }
+        await importModelBatch(files, choice.files, { keepPlacement: choice.keepPlacement });
     };
 
     // === 支持文件夹拖拽的辅助函数 ===
@@ -1082,7 +1672,11 @@ function initFileHandlers() {
     async function scanFiles(entry) {
         if (entry.isFile) {
             return new Promise((resolve) => {
-                entry.file((file) => resolve([file]));
+                entry.file((file) => {
+                    // 记录文件在拖入目录中的相对路径 (会话文件按路径匹配)
+                    file.relativePath = entry.fullPath.replace(/^\//, '');
+                    resolve([file]);
+                });
             });
         } else if (entry.isDirectory) {
             const directoryReader = entry.createReader();
@@ -1160,61 +1754,83 @@ function initFileHandlers() {
     if (inputHdr) inputHdr.addEventListener('change', (e) => {
         const file = e.target.files[0];
         if (!file) return;
+        e.target.value = '';
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (!ENVIRONMENT_EXTENSIONS.includes(extension)) {
+            log(`Unsupported environment format: .${extension} (use ${ENVIRONMENT_EXTENSIONS.map(x => '.' + x).join(' / ')})`);
+            return;
+        }
         const url = URL.createObjectURL(file);
-        new RGBELoader().load(url, (texture) => {
-            texture.mapping = THREE.EquirectangularReflectionMapping;
-            scene.background = texture;
-            scene.environment = texture;
-            scene.backgroundBlurriness = params.blur;
-            log(`HDR Set: ${file.name}`);
-        });
+        loadHDR(url, file.name)
+            .then(() => log(`HDR Set: ${file.name}`))
+            .catch(err => log(`Environment load failed: ${err.message || err}`))
+            .finally(() => URL.revokeObjectURL(url)); // 纹理已解码，不再需要 blob URL
     });
+}
 
-    // Drag-and-Drop 支持
-    document.addEventListener('dragover', (event) => {
-        event.preventDefault();
-    });
+// 模型网格的通用渲染设置：阴影、剔除、单/双面
+function setupModelMesh(child) {
+    child.castShadow = true;
+    child.receiveShadow = true;
+    child.frustumCulled = params.frustumCulling;
 
-    document.addEventListener('drop', (event) => {
-        event.preventDefault();
-        if (event.dataTransfer.files && event.dataTransfer.files.length > 0) {
-            handleFiles(event.dataTransfer.files);
-        }
-    });
+    child.userData.isModelMesh = true;
+
+    if (child.material) {
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(m => m.side = params.doubleSided ? THREE.DoubleSide : THREE.FrontSide);
+    }
 }
 
-function onModelLoaded(object, startTime, modelName) {
+// 清空所有模型并重置简化滑块
+function clearWorkspace() {
+    cancelSimplificationJobs();
+    resetRepresentation();
+    suspendExperiments();
+    loadedModels.forEach(entry => releaseModelResources(entry.object));
+    mainGroup.clear();
+    originalMeshes = [];
+    loadedModels = [];
+    if (transformControl) transformControl.detach();
+
+    setSimplificationSlider(0);
+    lastSimplificationReport = null;
+    renderSimplificationResult(null);
+}
+
+// source / decode: 来源文件与解码统计 (见 loadModelFiles)；append 未指定时取 "Multi-Model Mode" 复选框
+// center: 居中时使用的中心点 (批量导入保持相对位置时传整批的中心)，默认取模型自身包围盒中心
+function onModelLoaded(object, startTime, modelName, { source = null, decode = null, append = null, center = null } = {}) {
     const appendModeEl = document.getElementById('chk-append');
-    const appendMode = appendModeEl ? appendModeEl.checked : false;
+    const appendMode = append !== null ? append : (appendModeEl ? appendModeEl.checked : false);
 
+    let replaced = []; // 单模型模式下被清空的模型与简化面板状态 (撤销加载时放回)
+    let replacedSimplification = null;
     if (!appendMode) {
         log("Single Mode: Clearing previous...");
-        mainGroup.clear();
-        originalMeshes = [];
-        loadedModels = [];
-        if (transformControl) transformControl.detach();
-
-        const slider = document.getElementById('simp-slider');
-        if (slider) slider.value = 0;
-        const sliderVal = document.getElementById('simp-val');
-        if (sliderVal) sliderVal.innerText = "0% (Original)";
+        replaced = captureModelRecords(loadedModels);
+        replacedSimplification = captureSimplificationState();
+        clearWorkspace();
     } else {
         log("Multi Mode: Appending...");
+        resetRepresentation();
     }
 
     // 使用辅助函数生成唯一名称
     const uniqueName = getUniqueName(modelName);
 
-    const box = new THREE.Box3().setFromObject(object);
-    const center = box.getCenter(new THREE.Vector3());
-    object.position.sub(center);
+    const offset = center || new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3());
+    object.position.sub(offset);
 
     mainGroup.add(object);
 
-    loadedModels.push({
-        name: modelName,
-        object: object
-    });
+    const entry = {
+        // 同名模型 (如不同文件夹下的 model.gltf) 加上编号
+        name: loadedModels.some(m => m.name === modelName) ? uniqueName : modelName,
+        object: object,
+        source
+    };
+    loadedModels.push(entry);
 
     selectedModelIndex = loadedModels.length - 1;
     updateModelSelectUI();
@@ -1222,15 +1838,7 @@ function onModelLoaded(object, startTime, modelName) {
     let vramSize = 0;
     object.traverse(child => {
         if (child.isMesh) {
-            child.castShadow = true;
-            child.receiveShadow = true;
-            child.frustumCulled = params.frustumCulling;
-
-            child.userData.isModelMesh = true;
-
-            if (child.material) {
-                child.material.side = params.doubleSided ? THREE.DoubleSide : THREE.FrontSide;
-            }
+            setupModelMesh(child);
 
             if (child.geometry) {
                 const attr = child.geometry.attributes;
@@ -1246,8 +1854,14 @@ function onModelLoaded(object, startTime, modelName) {
     });
 
     const loadTime = (performance.now() - startTime).toFixed(0);
+    entry.loadTimeMs = parseFloat(loadTime);
     document.getElementById('val-loadtime').innerText = `${loadTime} ms`;
+    if (decode) {
+        entry.decode = { ...decode, decodedBytes: computeModelMemory(entry).totalBytes };
+        reportDecode(entry);
+    }
 
+    resumeExperiments(); // 新模型的材质与贴图也按当前设置处理
     updateVRAMEst();
 
     log(`Model Added. Double Sided: ${params.doubleSided}`);
@@ -1255,6 +1869,70 @@ function onModelLoaded(object, startTime, modelName) {
     if (loadedModels.length === 1) {
         fitCameraToSelection(mainGroup);
     }
+
+    let removed = null;
+    commandHistory.push({
+        label: `Load ${entry.name}`,
+        retainsResources: replaced.length > 0,
+        undo: () => {
+            removed = removeModels([entry]);
+            restoreModels(replaced);
+            if (replacedSimplification) setSimplificationState(replacedSimplification);
+        },
+        redo: () => {
+            replaced = removeModels(replaced.map(record => record.entry));
+            if (replacedSimplification) setSimplificationState({ report: null, percent: 0 }); // 同 clearWorkspace
+            restoreModels(removed);
+        }
+    });
+}
+
+const DECODER_LABELS = { draco: 'Draco', meshopt: 'Meshopt', ktx2: 'KTX2' };
+
+// 解码耗时与压缩前后大小：decodedBytes 为加载后几何体 + 贴图占用的内存 (与 VRAM 估算口径一致)
+function reportDecode(entry) {
+    const { fileBytes, decoders, decodedBytes } = entry.decode;
+    Object.entries(decoders).forEach(([kind, d]) => {
+        const unit = kind === 'ktx2' ? 'textures' : (kind === 'draco' ? 'primitives' : 'buffers');
+        log(`Decode ${DECODER_LABELS[kind]}: ${d.count} ${unit} in ${d.timeMs.toFixed(0)}ms (${formatBytes(d.compressedBytes)} -> ${formatBytes(d.decodedBytes)})`);
+    });
+    log(`Asset Size: ${formatBytes(fileBytes)} files -> ${formatBytes(decodedBytes)} decoded (x${(decodedBytes / Math.max(1, fileBytes)).toFixed(1)})`);
+}
+
+// 批量导入：先逐个加载 (失败的跳过)，再一起加入场景
+// keepPlacement 时所有模型减去整批的共同中心，构件之间保持原有的相对位置
+async function importModelBatch(files, roots, { keepPlacement = true } = {}) {
+    const startTime = performance.now();
+    const loaded = [];
+    for (let i = 0; i < roots.length; i++) {
+        const rootPath = getRelativePath(roots[i]);
+        log(`Batch Import ${i + 1}/${roots.length}: ${rootPath}`);
+        try {
+            loaded.push(await loadModelFiles(files, rootPath));
+        } catch (err) {
+            log(`Skipped ${rootPath}: ${err.message}`);
+        }
+    }
+    if (loaded.length === 0) return;
+
+    let center = null;
+    if (keepPlacement) {
+        const box = new THREE.Box3();
+        loaded.forEach(m => box.expandByObject(m.object));
+        center = box.isEmpty() ? null : box.getCenter(new THREE.Vector3());
+    }
+
+    // 整批作为一条历史记录，一次撤销即可回到导入前的工作区
+    commandHistory.group(`Batch Import (${loaded.length} models)`, () => {
+        loaded.forEach((m, i) => {
+            // 第一个模型按 "Multi-Model Mode" 决定是否清空工作区，其余追加
+            onModelLoaded(m.object, m.startTime, m.name, { source: m.source, decode: m.decode, append: i === 0 ? null : true, center });
+        });
+    });
+    fitCameraToSelection(mainGroup);
+
+    const failed = roots.length - loaded.length;
+    log(`Batch Import Done: ${loaded.length} models in ${(performance.now() - startTime).toFixed(0)}ms${failed ? ` (${failed} failed)` : ''}.`);
 }
 
 function fitCameraToSelection(object) {
@@ -1284,122 +1962,1352 @@ function fitCameraToSelection(object) {
     controls.update();
 }
 
-const modifier = new SimplifyModifier();
+let simplifyPool = null;       // 首次简化时创建
 let simplifyTimeout;
+let simplifyGeneration = 0;   // 每次调整滑块 +1，旧一轮的结果直接丢弃
+let simplifyJobs = [];        // 当前一轮的 Worker 任务句柄
+let simplifyProgress = null;  // { total, done, failed, running: Map(jobId -> { name, progress }) }
+let lastSimplificationReport = null; // 最近一次简化的目标与实际三角形数
+
+// 取消所有尚未完成的简化任务 (排队中的直接移除，执行中的 Worker 会被重建)
+function cancelSimplificationJobs() {
+    simplifyGeneration++;
+    simplifyJobs.forEach(job => job.cancel());
+    simplifyJobs = [];
+    simplifyProgress = null;
+    renderSimplifyProgress();
+}
 
-function applySimplification(reduceRatio) {
-    if (originalMeshes.length === 0) return;
-    if (simplifyTimeout) clearTimeout(simplifyTimeout);
+function renderSimplifyProgress() {
+    const el = document.getElementById('simp-progress');
+    if (!el) return;
+    el.innerHTML = '';
+    if (!simplifyProgress) {
+        el.style.display = 'none';
+        return;
+    }
+    el.style.display = 'block';
+
+    const { total, done, running } = simplifyProgress;
+    const header = document.createElement('div');
+    header.className = 'simp-progress-header';
+    header.textContent = `Simplifying ${done} / ${total} meshes`;
+    el.appendChild(header);
+
+    running.forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'simp-progress-row';
+        const name = document.createElement('span');
+        name.className = 'simp-progress-name';
+        name.textContent = item.name;
+        const bar = document.createElement('div');
+        bar.className = 'simp-progress-bar';
+        const fill = document.createElement('div');
+        fill.style.width = `${(item.progress * 100).toFixed(0)}%`;
+        bar.appendChild(fill);
+        row.appendChild(name);
+        row.appendChild(bar);
+        el.appendChild(row);
+    });
+}
 
+function getSimplificationTargets() {
     // 获取当前范围：current 还是 all
     const scopeEl = document.querySelector('input[name="simp-scope"]:checked');
     const scope = scopeEl ? scopeEl.value : 'all';
 
-    // 确定目标 meshes
-    let targetMeshes = [];
+    if (scope === 'all') return originalMeshes;
 
-    if (scope === 'all') {
-        targetMeshes = originalMeshes;
-    } else {
-        // 只有当前选中的模型
-        if (selectedModelIndex === -1 || !loadedModels[selectedModelIndex]) return;
-        const currentModel = loadedModels[selectedModelIndex].object;
-
-        // 筛选属于当前模型的 originalMeshes
-        // 由于 originalMeshes 中的 mesh 是场景中的对象，我们可以通过 traverseAncestors 检查
-        const currentModelMeshes = new Set();
-        currentModel.traverse(child => {
-            if (child.isMesh) currentModelMeshes.add(child);
-        });
+    // 只有当前选中的模型
+    if (selectedModelIndex === -1 || !loadedModels[selectedModelIndex]) return [];
+    const currentModelMeshes = new Set();
+    loadedModels[selectedModelIndex].object.traverse(child => {
+        if (child.isMesh) currentModelMeshes.add(child);
+    });
+    return originalMeshes.filter(item => currentModelMeshes.has(item.mesh));
+}
 
-        targetMeshes = originalMeshes.filter(item => currentModelMeshes.has(item.mesh));
+// 简化目标：
+//   { mode: 'ratio', ratio }                        每个网格按比例减面 (滑块)
+//   { mode: 'budget', budget, distribution }        整个范围共享一个三角形预算
+//   { mode: 'model-budget', budget, distribution }  每个模型各自一个三角形预算
+//   { mode: 'error', maxErrorPct }                  误差不超过所属模型包围盒对角线的百分比
+// distribution: 'size' 按三角形数等比例分配；'importance' 按网格世界空间包围球的投影面积分配
+function readSimplificationTarget() {
+    const modeEl = document.getElementById('simp-mode');
+    const mode = modeEl ? modeEl.value : 'ratio';
+    if (mode === 'ratio') {
+        const slider = document.getElementById('simp-slider');
+        return { mode, ratio: slider ? parseInt(slider.value) / 100 : 0 };
     }
+    const value = Math.max(0, parseFloat(document.getElementById('simp-target-value').value) || 0);
+    if (mode === 'error') return { mode, maxErrorPct: value };
+    return { mode, budget: Math.floor(value), distribution: document.getElementById('simp-distribution').value };
+}
 
-    log(`Scheduling Simplification: Reduce ${(reduceRatio * 100).toFixed(0)}%...`);
-
-    simplifyTimeout = setTimeout(() => {
-        const startTime = performance.now();
-        let totalTrianglesAfter = 0;
-
-        originalMeshes.forEach(data => {
-            const { mesh, geometry } = data;
-
-            if (reduceRatio <= 0.005) {
-                if (mesh.geometry !== geometry) {
-                    mesh.geometry = geometry;
-                    // 同步更新线框子物体
-                    const wireChild = mesh.children.find(c => c.userData.isWireframeMesh);
-                    if (wireChild) {
-                        wireChild.geometry = geometry;
-                    }
-                }
-                totalTrianglesAfter += geometry.index ? geometry.index.count / 3 : geometry.attributes.position.count / 3;
-            } else {
-                const totalVertices = geometry.attributes.position.count;
-                const countToRemove = Math.floor(totalVertices * reduceRatio);
-
-                if (countToRemove >= totalVertices) return;
-                if (countToRemove <= 0) return;
-
-                try {
-                    const simplified = modifier.modify(geometry, countToRemove);
-                    mesh.geometry = simplified;
-                    // 同步更新线框子物体
-                    const wireChild = mesh.children.find(c => c.userData.isWireframeMesh);
-                    if (wireChild) {
-                        wireChild.geometry = simplified;
-                    }
-
-                    totalTrianglesAfter += simplified.index ? simplified.index.count / 3 : simplified.attributes.position.count / 3;
-                } catch (e) {
-                    if (mesh.geometry !== geometry) mesh.geometry = geometry;
-                }
-            }
-        });
+// 属性误差权重：半边折叠时 UV 偏移量约等于边长，权重过大时会压过几何误差
+const SIMPLIFY_UV_WEIGHT = 0.05;
+const SIMPLIFY_NORMAL_WEIGHT = 0.5;
 
-        // 注意：这里的统计可能不准，因为它只加上了正在被简化的模型的三角形
-        // 如果我们只简化了一个模型，其他模型的三角形数应该也要加回来显示
-        // 简单起见，重新统计整个场景
-        const allTris = renderer.info.render.triangles;
+// 保真选项 (见 qem.js)：锁定边界 / 接缝 / 材质交界的顶点，误差中计入 UV 与法线变化
+// measureDeviation: 简化后在 Worker 中计算几何误差 (见 deviation.js)
+function readSimplificationOptions() {
+    const checked = (id) => {
+        const el = document.getElementById(id);
+        return el ? el.checked : false;
+    };
+    const attributeError = checked('simp-attr-error');
+    return {
+        lockBoundary: checked('simp-lock-boundary'),
+        lockSeams: checked('simp-lock-seams'),
+        lockMaterialBorders: checked('simp-lock-materials'),
+        uvWeight: attributeError ? SIMPLIFY_UV_WEIGHT : 0,
+        normalWeight: attributeError ? SIMPLIFY_NORMAL_WEIGHT : 0,
+        measureDeviation: checked('simp-measure-error')
+    };
+}
 
-        updateVRAMEst();
+function describeSimplificationTarget(target) {
+    switch (target.mode) {
+        case 'budget': return `Scene budget ${target.budget.toLocaleString()} tris (by ${target.distribution})`;
+        case 'model-budget': return `Per-model budget ${target.budget.toLocaleString()} tris (by ${target.distribution})`;
+        case 'error': return `Max error ${target.maxErrorPct}% of model diagonal`;
+        default: return `Reduce ${(target.ratio * 100).toFixed(0)}%`;
+    }
+}
 
-        const time = (performance.now() - startTime).toFixed(0);
-        log(`Simp done in ${time}ms. Tris: ${totalTrianglesAfter.toFixed(0)}`);
-    }, 150);
+function getMeshWorldScale(mesh) {
+    const s = mesh.getWorldScale(new THREE.Vector3());
+    return Math.max(Math.abs(s.x), Math.abs(s.y), Math.abs(s.z)) || 1;
 }
 
-function generateTestCube() {
-    log("Generating Cube...");
-    const geometry = new THREE.BoxGeometry(2, 2, 2);
-    const material = new THREE.MeshStandardMaterial({ color: 0xffa500, roughness: 0.2, metalness: 0.8 });
-    const mesh = new THREE.Mesh(geometry, material);
-    onModelLoaded(mesh, performance.now(), "Test Cube");
+// 重要度：世界空间包围球的投影面积 (近似网格在画面中的占比)
+function getMeshImportance(mesh, geometry) {
+    if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+    const r = geometry.boundingSphere.radius * getMeshWorldScale(mesh);
+    return Math.PI * r * r;
 }
 
-function log(msg) {
-    const el = document.getElementById('console-output');
-    if (el) {
-        el.innerHTML += `<div>> ${msg}</div>`;
-        el.scrollTop = el.scrollHeight;
+// 为每个网格计算 { targetTriangles, maxError }；maxError 已换算到网格局部坐标
+function planSimplification(targetMeshes, target) {
+    const meshModels = new Map();
+    loadedModels.forEach(entry => entry.object.traverse(child => {
+        if (child.isMesh) meshModels.set(child, entry);
+    }));
+
+    const diagonals = new Map();
+    const getDiagonal = (object) => {
+        if (!diagonals.has(object)) {
+            diagonals.set(object, new THREE.Box3().setFromObject(object).getSize(new THREE.Vector3()).length() || 1);
+        }
+        return diagonals.get(object);
+    };
+
+    const plan = targetMeshes.map(data => {
+        const model = meshModels.get(data.mesh) || null;
+        const scale = getMeshWorldScale(data.mesh);
+        const diagonal = getDiagonal(model ? model.object : data.mesh);
+        return {
+            mesh: data.mesh,
+            geometry: data.geometry,
+            model,
+            before: getTriangleCount(data.geometry),
+            targetTriangles: 0,
+            maxError: Infinity,
+            scale,
+            diagonal,
+            // 局部坐标误差 -> 模型对角线百分比
+            errorToPct: scale / diagonal * 100,
+            stats: null
+        };
+    });
+
+    if (target.mode === 'ratio') {
+        plan.forEach(item => {
+            item.targetTriangles = target.ratio <= 0.005 ? item.before : Math.floor(item.before * (1 - target.ratio));
+        });
+    } else if (target.mode === 'budget' || target.mode === 'model-budget') {
+        const groups = new Map();
+        plan.forEach(item => {
+            const key = target.mode === 'budget' ? 'scene' : item.model;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        groups.forEach(items => {
+            const weights = items.map(item => ({
+                triangles: item.before,
+                weight: target.distribution === 'importance' ? getMeshImportance(item.mesh, item.geometry) : item.before
+            }));
+            distributeBudget(weights, target.budget).forEach((t, i) => { items[i].targetTriangles = t; });
+        });
+    } else if (target.mode === 'error') {
+        plan.forEach(item => {
+            if (target.maxErrorPct <= 0) item.targetTriangles = item.before;
+            else item.maxError = target.maxErrorPct / item.errorToPct;
+        });
     }
+    return plan;
 }
 
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-}
+function applySimplification(target = readSimplificationTarget(), options = readSimplificationOptions()) {
+    if (originalMeshes.length === 0) return;
+    if (simplifyTimeout) clearTimeout(simplifyTimeout);
 
-// === 处理漫游模式的相机移动 ===
-// 添加一个全局时钟，用于计算平滑移动
-const clock = new THREE.Clock(); 
+    // 滑块一动，上一轮还没算完的任务就没有意义了
+    cancelSimplificationJobs();
+    resetRepresentation(); // 简化作用于各网格自己的几何体
 
-function updateFlyControls(delta) {
-    // 只有在按下右键时才允许移动 (UE风格)
-    if (!isRightMouseDown) return;
+    const targetMeshes = getSimplificationTargets();
+    if (targetMeshes.length === 0) return;
 
-    // 按住 Shift 加速 (2.5倍速)
+    log(`Scheduling Simplification: ${describeSimplificationTarget(target)}...`);
+
+    simplifyTimeout = setTimeout(() => runSimplification(targetMeshes, target, options), 150);
+}
+
+async function runSimplification(targetMeshes, target, options) {
+    const generation = simplifyGeneration;
+    const startTime = performance.now();
+    if (!simplifyPool) simplifyPool = new SimplifyWorkerPool();
+
+    const plan = planSimplification(targetMeshes, target);
+    const results = new Map(); // mesh -> 新几何体
+    const tasks = [];
+    simplifyProgress = { total: 0, done: 0, failed: 0, running: new Map() };
+
+    plan.forEach((item, i) => {
+        const { mesh, geometry, targetTriangles, maxError } = item;
+
+        const unlimited = targetTriangles <= 0 && maxError === Infinity;
+        if (targetTriangles >= item.before || unlimited) {
+            results.set(mesh, geometry);
+            return;
+        }
+
+        const { message, transfer } = packGeometry(geometry, { ...options, targetTriangles, maxError });
+        const name = mesh.name || `Mesh ${i}`;
+        const job = simplifyPool.run(message, transfer, (progress) => {
+            const entry = simplifyProgress && simplifyProgress.running.get(job.id);
+            if (!entry) return;
+            entry.progress = progress;
+            renderSimplifyProgress();
+        });
+        simplifyJobs.push(job);
+        simplifyProgress.total++;
+        simplifyProgress.running.set(job.id, { name, progress: 0 });
+
+        tasks.push(job.promise.then(result => {
+            item.stats = result.stats;
+            results.set(mesh, unpackGeometry(result, geometry));
+        }).catch(err => {
+            if (err instanceof JobCancelledError) throw err;
+            // 单个网格失败时保留原始几何体
+            console.error(err);
+            log(`Simplification failed for ${name}: ${err.message}`);
+            results.set(mesh, geometry);
+            simplifyProgress.failed++;
+        }).finally(() => {
+            if (generation !== simplifyGeneration) return;
+            simplifyProgress.running.delete(job.id);
+            simplifyProgress.done++;
+            renderSimplifyProgress();
+        }));
+    });
+    renderSimplifyProgress();
+
+    let cancelled = false;
+    try {
+        await Promise.all(tasks);
+    } catch (err) {
+        if (!(err instanceof JobCancelledError)) throw err;
+        cancelled = true;
+    }
+    if (cancelled || generation !== simplifyGeneration) {
+        // 已被新一轮取代：丢弃这一轮已经算好的结果
+        const backups = new Set(originalMeshes.map(o => o.geometry));
+        results.forEach(geo => { if (!backups.has(geo)) geo.dispose(); });
+        return;
+    }
+
+    const failed = simplifyProgress.failed;
+    simplifyJobs = [];
+    simplifyProgress = null;
+    renderSimplifyProgress();
+
+    // 替换前后的几何体 (撤销 / 重做时直接换回，不重新简化)
+    const tracked = new Set(originalMeshes.map(o => o.mesh));
+    const before = new Map();
+    const after = new Map();
+    results.forEach((geometry, mesh) => {
+        if (!tracked.has(mesh) || mesh.geometry === geometry) return;
+        before.set(mesh, mesh.geometry);
+        after.set(mesh, geometry);
+    });
+    const previousReport = lastSimplificationReport;
+
+    swapSimplifiedGeometries(results);
+    if (debugViews.view === 'Triangle Density') refreshDebugView(); // 密度随三角形数变化
+    updateVRAMEst();
+
+    lastSimplificationReport = buildSimplificationReport(plan, target, performance.now() - startTime, options);
+    reportSimplification(lastSimplificationReport, failed);
+    if (after.size > 0) pushSimplificationCommand(before, after, previousReport, lastSimplificationReport);
+}
+
+// 简化的撤销 / 重做：被换下的几何体只释放了 GPU 资源，CPU 端数据由命令保留，换回时重新上传
+// 拖动滑块时连续完成的多轮简化合并为一条 (保留最早的替换前几何体与最新的结果)
+function pushSimplificationCommand(before, after, previousReport, report) {
+    const command = {
+        type: 'simplify',
+        retainsResources: true,
+        label: `Simplify: ${describeSimplificationTarget(report.target)}`,
+        before,
+        after,
+        previousReport,
+        report,
+        undo: () => restoreSimplification(command.before, command.previousReport),
+        redo: () => restoreSimplification(command.after, command.report),
+        merge: (next) => {
+            if (next.type !== command.type) return false;
+            next.before.forEach((geometry, mesh) => {
+                if (!command.before.has(mesh)) command.before.set(mesh, geometry);
+            });
+            next.after.forEach((geometry, mesh) => command.after.set(mesh, geometry));
+            command.report = next.report;
+            command.label = next.label;
+            return true;
+        }
+    };
+    commandHistory.push(command);
+}
+
+function restoreSimplification(geometries, report) {
+    if (simplifyTimeout) clearTimeout(simplifyTimeout);
+    cancelSimplificationJobs();
+    resetRepresentation();
+    swapSimplifiedGeometries(geometries);
+    if (debugViews.view === 'Triangle Density') refreshDebugView();
+    updateVRAMEst();
+
+    lastSimplificationReport = report;
+    if (!report) setSimplificationSlider(0);
+    else if (report.target.mode === 'ratio') setSimplificationSlider(Math.round(report.target.ratio * 100));
+    renderSimplificationResult(report);
+}
+
+// 几何体的表面积 (局部坐标)
+function getSurfaceArea(geometry) {
+    const pos = geometry.attributes.position;
+    const triangle = new THREE.Triangle();
+    const count = geometry.index ? geometry.index.count : pos.count;
+    let area = 0;
+    for (let i = 0; i + 2 < count; i += 3) {
+        const a = geometry.index ? geometry.index.getX(i) : i;
+        const b = geometry.index ? geometry.index.getX(i + 1) : i + 1;
+        const c = geometry.index ? geometry.index.getX(i + 2) : i + 2;
+        triangle.setFromAttributeAndIndices(pos, a, b, c);
+        area += triangle.getArea();
+    }
+    return area;
+}
+
+// 每个网格的几何误差 (世界坐标)；未简化的网格距离为 0，只计入面积
+function getMeshDeviation(item) {
+    if (item.stats && item.stats.deviation) return scaleDeviation(item.stats.deviation, item.scale);
+    return zeroDeviation(getSurfaceArea(item.geometry) * item.scale * item.scale);
+}
+
+// 实际达到的三角形数 (按模型汇总)；误差模式下 target 为 null
+// options.measureDeviation 时每个模型附带 deviation (见 deviation.js summarizeDeviation)
+function buildSimplificationReport(plan, target, timeMs, options = {}) {
+    const models = new Map();
+    const deviations = new Map(); // 模型名 -> { diagonal, list }
+    const total = { trianglesBefore: 0, trianglesTarget: 0, trianglesAfter: 0 };
+
+    plan.forEach(item => {
+        const name = item.model ? item.model.name : (item.mesh.name || 'Unnamed');
+        if (!models.has(name)) {
+            models.set(name, { name, meshes: 0, trianglesBefore: 0, trianglesTarget: 0, trianglesAfter: 0, maxErrorPct: 0 });
+        }
+        const row = models.get(name);
+        const after = getTriangleCount(item.mesh.geometry);
+        const limited = item.maxError === Infinity && item.targetTriangles > 0;
+        const targetTris = limited ? Math.min(item.before, item.targetTriangles) : item.before;
+
+        row.meshes++;
+        row.trianglesBefore += item.before;
+        row.trianglesTarget += targetTris;
+        row.trianglesAfter += after;
+        if (item.stats) row.maxErrorPct = Math.max(row.maxErrorPct, item.stats.maxError * item.errorToPct);
+        if (options.measureDeviation) {
+            if (!deviations.has(name)) deviations.set(name, { diagonal: item.diagonal, list: [] });
+            deviations.get(name).list.push(getMeshDeviation(item));
+        }
+
+        total.trianglesBefore += item.before;
+        total.trianglesTarget += targetTris;
+        total.trianglesAfter += after;
+    });
+
+    const hasTarget = target.mode !== 'error';
+    const rows = [...models.values()];
+    rows.forEach(row => {
+        const entry = deviations.get(row.name);
+        row.deviation = entry ? summarizeDeviation(mergeDeviation(entry.list), entry.diagonal) : null;
+    });
+    if (!hasTarget) {
+        total.trianglesTarget = null;
+        rows.forEach(row => { row.trianglesTarget = null; });
+    }
+    return {
+        timestamp: new Date().toISOString(),
+        target,
+        options,
+        timeMs,
+        ...total,
+        maxErrorPct: rows.reduce((max, row) => Math.max(max, row.maxErrorPct), 0),
+        models: rows
+    };
+}
+
+function reportSimplification(report, failed = 0) {
+    const fmt = (v) => Math.round(v).toLocaleString();
+    const targetText = report.trianglesTarget !== null ? ` (target ${fmt(report.trianglesTarget)})` : '';
+
+    log(`Simp done in ${report.timeMs.toFixed(0)}ms. Tris: ${fmt(report.trianglesBefore)} -> ${fmt(report.trianglesAfter)}${targetText}${failed ? ` (${failed} failed)` : ''}`);
+    if (report.models.length > 1 || report.target.mode !== 'ratio') {
+        report.models.forEach(row => {
+            const rowTarget = row.trianglesTarget !== null ? ` / target ${fmt(row.trianglesTarget)}` : '';
+            log(`  ${row.name}: ${fmt(row.trianglesAfter)}${rowTarget}, max err ${row.maxErrorPct.toFixed(3)}%`);
+        });
+    }
+    report.models.forEach(row => {
+        const d = row.deviation;
+        if (d) log(`  ${row.name}: Hausdorff ${d.hausdorffPct.toFixed(3)}% (fwd ${d.hausdorffForwardPct.toFixed(3)}%, bwd ${d.hausdorffBackwardPct.toFixed(3)}%), mean ${d.meanPct.toFixed(4)}%, RMS ${d.rmsPct.toFixed(4)}%`);
+    });
+    renderSimplificationResult(report);
+}
+
+// 简化面板中的结果摘要与误差表；report 为 null 时清空
+function renderSimplificationResult(report) {
+    renderDeviationTable(report);
+    const el = document.getElementById('simp-result');
+    if (!el) return;
+    if (!report) {
+        el.textContent = '';
+        return;
+    }
+    const fmt = (v) => Math.round(v).toLocaleString();
+    const targetText = report.trianglesTarget !== null ? ` (target ${fmt(report.trianglesTarget)})` : '';
+    el.textContent = `Achieved ${fmt(report.trianglesAfter)} / ${fmt(report.trianglesBefore)} tris${targetText}, max err ${report.maxErrorPct.toFixed(3)}%`;
+}
+
+// 简化滑块与最近一次结果 (撤销替换工作区的加载时恢复)
+function captureSimplificationState() {
+    const slider = document.getElementById('simp-slider');
+    return { report: lastSimplificationReport, percent: slider ? parseInt(slider.value) : 0 };
+}
+
+function setSimplificationState({ report, percent }) {
+    lastSimplificationReport = report;
+    setSimplificationSlider(percent);
+    renderSimplificationResult(report);
+}
+
+function setSimplificationSlider(percent) {
+    const slider = document.getElementById('simp-slider');
+    const sliderVal = document.getElementById('simp-val');
+    if (slider) slider.value = percent;
+    if (sliderVal) sliderVal.innerText = percent === 0 ? "0% (Original)" : percent + "% (Reduced)";
+}
+
+// 每个模型的几何误差 (占模型包围盒对角线的百分比)
+function renderDeviationTable(report) {
+    const el = document.getElementById('simp-metrics');
+    if (!el) return;
+    el.innerHTML = '';
+    const rows = report ? report.models.filter(row => row.deviation) : [];
+    if (rows.length === 0) return;
+
+    const table = document.createElement('table');
+    const header = table.insertRow();
+    ['Model', 'Hausdorff', 'Mean', 'RMS'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        header.appendChild(th);
+    });
+    rows.forEach(row => {
+        const d = row.deviation;
+        const tr = table.insertRow();
+        tr.title = `one-sided: original→simplified ${d.hausdorffForwardPct.toFixed(4)}%, simplified→original ${d.hausdorffBackwardPct.toFixed(4)}%`;
+        [row.name, `${d.hausdorffPct.toFixed(3)}%`, `${d.meanPct.toFixed(4)}%`, `${d.rmsPct.toFixed(4)}%`].forEach(text => {
+            tr.insertCell().textContent = text;
+        });
+    });
+    el.appendChild(table);
+}
+
+// 一次性替换所有网格 (及其线框子物体) 的几何体，避免画面出现新旧混合的中间状态
+function swapSimplifiedGeometries(results) {
+    const tracked = new Set(originalMeshes.map(o => o.mesh));
+    const backups = new Set(originalMeshes.map(o => o.geometry));
+    const replaced = new Set();
+
+    results.forEach((newGeometry, mesh) => {
+        // 计算期间模型可能已被删除
+        if (!tracked.has(mesh)) {
+            if (!backups.has(newGeometry)) newGeometry.dispose();
+            return;
+        }
+        if (mesh.geometry === newGeometry) return;
+
+        replaced.add(mesh.geometry);
+        mesh.geometry = newGeometry;
+        // 同步更新线框子物体
+        const wireChild = mesh.children.find(c => c.userData.isWireframeMesh);
+        if (wireChild) wireChild.geometry = newGeometry;
+    });
+
+    // 释放不再被任何网格引用的几何体的 GPU 资源：上一轮结果直接丢弃；备份几何体 (0% 时直接显示) 的 CPU 数据保留，
+    // 再次显示时重新上传，不显示时不占显存 (VRAM 估算中只计为内存)
+    const inUse = new Set(originalMeshes.map(o => o.mesh.geometry));
+    replaced.forEach(geo => {
+        if (!inUse.has(geo)) geo.dispose();
+    });
+}
+
+// === 实例化表示切换 ===
+const instancingParams = {
+    representation: REPRESENTATIONS[0],
+    compare: () => compareRepresentations()
+};
+let representationController = null;
+const representationResults = new Map(); // 表示 -> 最近一次测量 (见 measureRepresentation)
+
+function setRepresentation(mode) {
+    if (loadedModels.length === 0) {
+        log("No models loaded.");
+        return;
+    }
+    const stats = instancingOptimizer.apply(mode, loadedModels, { frustumCulled: params.frustumCulling });
+    if (mode === REPRESENTATIONS[1]) {
+        log(`Shared Resources: ${stats.meshes} meshes -> ${stats.uniqueGeometries} geometries, ${stats.uniqueMaterials} materials`);
+    } else if (mode === REPRESENTATIONS[2]) {
+        log(`Instanced: ${stats.instances} meshes in ${stats.instancedGroups} InstancedMesh, ${stats.batchedMeshes} in ${stats.batches} BatchedMesh`);
+    }
+    if (stats.disposed > 0) log(`Released ${stats.disposed} unused GPU resources.`);
+    reportRepresentation(measureRepresentation(mode));
+}
+
+// 结构性操作 (加载 / 删除 / 复制 / 简化 / LOD / 导出) 前先还原为深拷贝
+function resetRepresentation() {
+    if (!instancingOptimizer || instancingOptimizer.mode === REPRESENTATIONS[0]) return;
+    instancingOptimizer.revert();
+    instancingParams.representation = REPRESENTATIONS[0];
+    if (representationController) representationController.updateDisplay();
+    log("Representation reset to Deep Copies.");
+}
+
+// 立即渲染一帧读取 Draw Call / 三角形数，同时更新显存估算
+function measureRepresentation(mode) {
+    renderer.render(scene, camera);
+    const result = {
+        mode,
+        drawCalls: renderer.info.render.calls,
+        triangles: renderer.info.render.triangles,
+        vramBytes: updateVRAMEst().totalBytes,
+        gpuGeometries: renderer.info.memory.geometries,
+        gpuTextures: renderer.info.memory.textures
+    };
+    representationResults.set(mode, result);
+    return result;
+}
+
+// 与深拷贝的测量结果比较
+function reportRepresentation(result) {
+    const base = representationResults.get(REPRESENTATIONS[0]);
+    const change = (key) => {
+        if (!base || result.mode === REPRESENTATIONS[0] || !(base[key] > 0)) return '';
+        const pct = (result[key] - base[key]) / base[key] * 100;
+        return ` (${pct > 0 ? '+' : ''}${pct.toFixed(1)}%)`;
+    };
+    log(`${result.mode}: Calls ${result.drawCalls}${change('drawCalls')}, ` +
+        `VRAM ${formatBytes(result.vramBytes)}${change('vramBytes')}, ` +
+        `GPU objects ${result.gpuGeometries} geo / ${result.gpuTextures} tex`);
+}
+
+// 依次切换三种表示并测量，最后回到当前选择
+function compareRepresentations() {
+    if (loadedModels.length === 0) {
+        log("No models loaded.");
+        return;
+    }
+    const current = instancingParams.representation;
+    log("--- Representation Comparison ---");
+    REPRESENTATIONS.forEach(mode => {
+        instancingOptimizer.apply(mode, loadedModels, { frustumCulled: params.frustumCulling });
+        reportRepresentation(measureRepresentation(mode));
+    });
+    instancingOptimizer.apply(current, loadedModels, { frustumCulled: params.frustumCulling });
+    updateVRAMEst();
+}
+
+// === 帧时间采样 ===
+// 由 animate() 逐帧喂入，采满 count 帧后返回平均帧间隔 / CPU 时间 / GPU 时间 (有结果时) 与最后一帧的 Draw Call、三角形数
+function sampleFrames(count) {
+    return new Promise(resolve => {
+        frameSample = { remaining: count, frames: 0, frameTime: 0, cpuTime: 0, gpuTime: 0, gpuFrames: 0, resolve };
+    });
+}
+
+function recordFrameSample(frameInterval, cpuTime) {
+    const sample = frameSample;
+    sample.frames++;
+    sample.frameTime += frameInterval;
+    sample.cpuTime += cpuTime;
+    if (lastGpuTime !== null) {
+        sample.gpuTime += lastGpuTime;
+        sample.gpuFrames++;
+    }
+    if (--sample.remaining > 0) return;
+    frameSample = null;
+    sample.resolve({
+        frameTime: sample.frameTime / sample.frames,
+        cpuTime: sample.cpuTime / sample.frames,
+        gpuTime: sample.gpuFrames > 0 ? sample.gpuTime / sample.gpuFrames : null,
+        drawCalls: renderer.info.render.calls,
+        triangles: renderer.info.render.triangles
+    });
+}
+
+// === 材质模式 ===
+// 整体替换模型材质以对比着色开销；切换后立即渲染一帧，输出着色器程序数量
+const materialParams = {
+    mode: MATERIAL_MODES[0],
+    bakedChannel: BAKED_CHANNELS[0],
+    loadBaked: () => loadBakedTexture()
+};
+let materialModeController = null;
+
+function setMaterialMode(mode) {
+    if (mode === 'Baked' && !materialModeSwitcher.bakedTexture) {
+        log("Baked mode needs a lightmap / AO texture, use Load Baked Texture first.");
+        materialParams.mode = materialModeSwitcher.mode;
+        if (materialModeController) materialModeController.updateDisplay();
+        return;
+    }
+    resetRepresentation(); // 实例化代理持有的是替换前的材质
+    debugViews.revert(); // 调试视图在材质模式之上，替换后重新应用
+    const stats = materialModeSwitcher.apply(mode, loadedModels);
+    refreshDebugView();
+    updateWireframeMode(params.wireframeMode);
+    renderer.render(scene, camera); // 编译新材质的着色器
+    updateVRAMEst();
+    if (mode === MATERIAL_MODES[0]) {
+        log(`Material Mode: Original (${renderer.info.programs.length} shader programs)`);
+        return;
+    }
+    log(`Material Mode: ${mode}, ${stats.meshes} meshes -> ${stats.materials} materials` +
+        (stats.kept > 0 ? `, ${stats.kept} kept` : '') +
+        ` (${renderer.info.programs.length} shader programs)`);
+}
+
+function refreshMaterialMode() {
+    if (materialModeSwitcher.mode === MATERIAL_MODES[0]) return;
+    materialModeSwitcher.apply(materialModeSwitcher.mode, loadedModels);
+}
+
+// 图片按 glTF 的 UV 约定 (flipY = false) 读取；HDR / EXR 光照贴图交给对应的加载器
+async function loadBakedTexture() {
+    const file = await pickFile('image/*,.hdr,.exr');
+    if (!file) return;
+    const url = URL.createObjectURL(file);
+    const isHDR = ENVIRONMENT_EXTENSIONS.includes(file.name.split('.').pop().toLowerCase());
+    try {
+        const loader = isHDR ? createEnvironmentLoader(file.name) : new THREE.TextureLoader();
+        const texture = await loader.loadAsync(url);
+        texture.name = file.name;
+        if (!isHDR) texture.flipY = false;
+        materialModeSwitcher.setBakedTexture(texture);
+        log(`Baked texture loaded: ${file.name} (${materialParams.bakedChannel})`);
+        materialParams.mode = 'Baked';
+        if (materialModeController) materialModeController.updateDisplay();
+        setMaterialMode('Baked');
+    } catch (err) {
+        log(`Baked texture load failed: ${err.message || err}`);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// 复制 / 合并 / LOD 等会克隆或摘下网格的操作前还原调试视图、材质模式与贴图实验，操作后按当前设置重新应用
+function suspendExperiments() {
+    debugViews.revert();
+    materialModeSwitcher.revert();
+    textureExperiment.revert();
+}
+
+function resumeExperiments() {
+    refreshTextureExperiment();
+    refreshMaterialMode();
+    refreshDebugView();
+}
+
+// === 调试视图 ===
+// 替换的是当前材质 (材质模式生效时为替换后的材质)；线框模式作用在调试材质上，可以叠加
+function setDebugView(view) {
+    resetRepresentation(); // 实例化代理持有的是替换前的材质
+    const stats = debugViews.apply(view, loadedModels);
+    updateWireframeMode(params.wireframeMode);
+    updateVRAMEst();
+    if (view === DEBUG_VIEWS[0]) {
+        log("Debug View: off, original materials restored.");
+        return;
+    }
+    log(`Debug View: ${view} (${stats.meshes} meshes, ${stats.materials} materials)`);
+    if (stats.legend) log(stats.legend);
+}
+
+function refreshDebugView() {
+    if (debugViews.view === DEBUG_VIEWS[0]) return;
+    debugViews.apply(debugViews.view, loadedModels);
+}
+
+// === 贴图实验 ===
+// 修改任一设置立即重新应用，并输出贴图显存的前后变化
+const textureParams = {
+    ...DEFAULT_TEXTURE_SETTINGS,
+    revert: () => revertTextureExperiment()
+};
+let textureControllers = [];
+
+function readTextureSettings() {
+    const { maxSize, powerOfTwo, mipmaps, anisotropy } = textureParams;
+    return { maxSize, powerOfTwo, mipmaps, anisotropy };
+}
+
+function applyTextureExperiment() {
+    const before = computeSceneVRAM().categories.texture.bytes;
+    debugViews.revert(); // 按原材质收集贴图 (替换材质可能不含法线 / 粗糙度等贴图)
+    materialModeSwitcher.revert();
+    const stats = textureExperiment.apply(loadedModels, readTextureSettings(), {
+        maxAnisotropy: renderer.capabilities.getMaxAnisotropy()
+    });
+    refreshMaterialMode();
+    refreshDebugView();
+    const after = updateVRAMEst().categories.texture.bytes;
+    if (!textureExperiment.active) {
+        log(`Textures restored: ${formatBytes(before)} -> ${formatBytes(after)}`);
+        return;
+    }
+    log(`Texture Experiment: ${stats.resized}/${stats.textures} textures resized` +
+        (stats.skipped > 0 ? ` (${stats.skipped} compressed / data textures kept)` : '') +
+        `, texture VRAM ${formatBytes(before)} -> ${formatBytes(after)}`);
+}
+
+// 场景中的模型变化后调用：按当前设置重新处理 (缩放结果有缓存)
+function refreshTextureExperiment() {
+    if (!textureExperiment.active) return;
+    textureExperiment.apply(loadedModels, textureExperiment.settings, {
+        maxAnisotropy: renderer.capabilities.getMaxAnisotropy()
+    });
+}
+
+function revertTextureExperiment() {
+    Object.assign(textureParams, DEFAULT_TEXTURE_SETTINGS);
+    textureControllers.forEach(c => c.updateDisplay());
+    applyTextureExperiment();
+}
+
+// === 按材质合并 ===
+// 同一模型中共用材质的网格合并为一个网格 (变换烘焙进顶点)，前后各采样一段帧时间比较。
+// 合并网格作为普通模型网格加入 originalMeshes，可以继续简化与选中；Restore Hierarchy 还原原层级
+const MERGE_WARMUP_FRAMES = 10; // 合并后先跑几帧完成上传与着色器编译，再开始采样
+const MERGE_SAMPLE_FRAMES = 60;
+const mergeParams = {
+    scope: 'All Models',
+    merge: () => mergeModelsByMaterial(),
+    unmerge: () => unmergeModels()
+};
+let isMerging = false;
+
+function getMergeTargets() {
+    if (mergeParams.scope === 'All Models') return [...loadedModels];
+    const entry = loadedModels[selectedModelIndex];
+    return entry ? [entry] : [];
+}
+
+async function mergeModelsByMaterial() {
+    if (isMerging) return;
+    const entries = getMergeTargets();
+    if (entries.length === 0) {
+        log(mergeParams.scope === 'All Models' ? "No models loaded." : "No model selected.");
+        return;
+    }
+    isMerging = true;
+    cancelSimplificationJobs();
+    resetRepresentation();
+
+    try {
+        const before = await sampleFrames(MERGE_SAMPLE_FRAMES);
+        const backups = new Map(originalMeshes.map(o => [o.mesh, o.geometry]));
+        let mergedModels = 0;
+        suspendExperiments(); // 摘下的原网格保留原材质，还原层级时不会带回已释放的替换材质
+        entries.forEach(entry => {
+            if (!loadedModels.includes(entry)) return; // 采样期间模型被删除
+            if (isMerged(entry.object)) {
+                log(`${entry.name}: already merged.`);
+                return;
+            }
+            if (getModelLOD(entry.object)) {
+                log(`${entry.name}: remove LOD chains before merging.`);
+                return;
+            }
+            const result = mergeByMaterial(entry.object, backups);
+            if (!result) {
+                log(`${entry.name}: no meshes share a material.`);
+                return;
+            }
+            const detached = new Set(result.detached);
+            const simplified = originalMeshes.some(item => detached.has(item.mesh) && item.mesh.geometry !== item.geometry);
+            originalMeshes = originalMeshes.filter(item => !detached.has(item.mesh));
+            result.merged.forEach(({ mesh, backup }) => originalMeshes.push({ mesh, geometry: backup }));
+            mergedModels++;
+
+            log(`${entry.name}: ${result.meshesBefore} -> ${result.meshesAfter} meshes (${result.detached.length} merged into ${result.groups}` +
+                (result.skipped > 0 ? `, ${result.skipped} skipped` : '') + ')');
+            if (simplified) log(`${entry.name}: merged at full resolution, re-apply simplification if needed.`);
+        });
+        resumeExperiments();
+        if (mergedModels === 0) return;
+
+        clearHistory('meshes merged');
+        updateWireframeMode(params.wireframeMode);
+        updateVRAMEst();
+        await sampleFrames(MERGE_WARMUP_FRAMES);
+        const after = await sampleFrames(MERGE_SAMPLE_FRAMES);
+        reportMergeComparison(before, after);
+    } finally {
+        isMerging = false;
+    }
+}
+
+function unmergeModels() {
+    if (isMerging) return;
+    const entries = getMergeTargets().filter(entry => isMerged(entry.object));
+    if (entries.length === 0) {
+        log("No merged models to restore.");
+        return;
+    }
+    cancelSimplificationJobs();
+    resetRepresentation();
+    suspendExperiments();
+
+    entries.forEach(entry => {
+        const result = unmergeByMaterial(entry.object);
+        const removed = new Set(result.removed);
+        originalMeshes = originalMeshes.filter(item => {
+            if (!removed.has(item.mesh)) return true;
+            item.geometry.dispose();
+            return false;
+        });
+        result.restored.forEach(({ mesh, backup }) => {
+            mesh.frustumCulled = params.frustumCulling; // 合并期间可能切换过剔除设置
+            if (backup) originalMeshes.push({ mesh, geometry: backup });
+        });
+        log(`${entry.name}: restored ${result.restored.length} meshes.`);
+    });
+    resumeExperiments();
+    clearHistory('meshes unmerged');
+    updateWireframeMode(params.wireframeMode);
+    updateVRAMEst();
+}
+
+function reportMergeComparison(before, after) {
+    const change = (a, b) => {
+        if (!(a > 0)) return '';
+        const pct = (b - a) / a * 100;
+        return ` (${pct > 0 ? '+' : ''}${pct.toFixed(1)}%)`;
+    };
+    const ms = (v) => `${v.toFixed(2)} ms`;
+    log("--- Merge by Material ---");
+    log(`Draw Calls: ${before.drawCalls} -> ${after.drawCalls}${change(before.drawCalls, after.drawCalls)}`);
+    log(`Triangles: ${before.triangles} -> ${after.triangles}${change(before.triangles, after.triangles)}`);
+    log(`Frame Time: ${ms(before.frameTime)} -> ${ms(after.frameTime)}${change(before.frameTime, after.frameTime)}`);
+    log(`CPU Time: ${ms(before.cpuTime)} -> ${ms(after.cpuTime)}${change(before.cpuTime, after.cpuTime)}`);
+    if (before.gpuTime !== null && after.gpuTime !== null) {
+        log(`GPU Time: ${ms(before.gpuTime)} -> ${ms(after.gpuTime)}${change(before.gpuTime, after.gpuTime)}`);
+    }
+}
+
+// === LOD 链生成 ===
+const lodParams = {
+    ratios: DEFAULT_LOD_RATIOS.join('/'),
+    distances: DEFAULT_LOD_DISTANCES.join('/'),
+    generate: () => generateLODChains(),
+    remove: () => removeLODChains()
+};
+let isGeneratingLOD = false;
+
+// 解析并校验 LOD 设置：第 0 级必须是 100%，比例递减、距离递增
+function readLODSettings() {
+    const ratios = parseLODList(lodParams.ratios);
+    const distances = parseLODList(lodParams.distances);
+    const valid = ratios.length >= 2 && ratios[0] === 100 &&
+        ratios.every((r, i) => r > 0 && r <= 100 && (i === 0 || r < ratios[i - 1])) &&
+        distances.length === ratios.length &&
+        distances.every((d, i) => Number.isFinite(d) && (i === 0 || d > distances[i - 1]));
+    if (!valid) {
+        log("Invalid LOD settings: levels must start at 100 and decrease, with one increasing distance per level.");
+        return null;
+    }
+    return { ratios: ratios.map(r => r / 100), distances };
+}
+
+// LOD 需要一个 Group 作为模型根节点 (例如测试立方体直接是 Mesh)
+function ensureGroupRoot(entry) {
+    const mesh = entry.object;
+    if (!mesh.isMesh) return;
+
+    const group = new THREE.Group();
+    group.name = entry.name;
+    group.position.copy(mesh.position);
+    group.quaternion.copy(mesh.quaternion);
+    group.scale.copy(mesh.scale);
+    mesh.position.set(0, 0, 0);
+    mesh.quaternion.identity();
+    mesh.scale.set(1, 1, 1);
+
+    mesh.parent.add(group);
+    group.add(mesh);
+    entry.object = group;
+    if (transformControl && transformControl.object === mesh) transformControl.attach(group);
+}
+
+async function generateLODChains() {
+    if (isGeneratingLOD) return;
+    if (loadedModels.length === 0) {
+        log("No models loaded.");
+        return;
+    }
+    const settings = readLODSettings();
+    if (!settings) return;
+    resetRepresentation();
+    suspendExperiments(); // LOD 层级克隆网格时会带走替换材质
+
+    isGeneratingLOD = true;
+    if (!simplifyPool) simplifyPool = new SimplifyWorkerPool();
+    const options = readSimplificationOptions();
+    const backups = new Map(originalMeshes.map(o => [o.mesh, o.geometry]));
+    const startTime = performance.now();
+
+    try {
+        for (const entry of [...loadedModels]) {
+            if (!loadedModels.includes(entry)) continue; // 生成期间模型被删除
+            unwrapLOD(entry.object);
+            ensureGroupRoot(entry);
+
+            const meshes = [];
+            entry.object.traverse(child => {
+                if (child.isMesh && child.userData.isModelMesh) meshes.push(child);
+            });
+            const lod = wrapInLOD(entry.object);
+            const level0 = lod.levels[0].object;
+
+            for (let i = 1; i < settings.ratios.length; i++) {
+                const ratio = settings.ratios[i];
+                const geometries = new Map();
+                await Promise.all(meshes.map(mesh => {
+                    // 各级别都从原始几何体简化，不受当前滑块的影响
+                    const source = backups.get(mesh) || mesh.geometry;
+                    const targetTriangles = Math.floor(getTriangleCount(source) * ratio);
+                    if (targetTriangles < 1) {
+                        geometries.set(mesh, source.clone());
+                        return null;
+                    }
+                    const { message, transfer } = packGeometry(source, { ...options, targetTriangles, measureDeviation: false });
+                    return simplifyPool.run(message, transfer).promise
+                        .then(result => geometries.set(mesh, unpackGeometry(result, source)))
+                        .catch(err => {
+                            console.error(err);
+                            geometries.set(mesh, source.clone());
+                        });
+                }));
+                lod.addLevel(cloneLevel(level0, geometries, ratio, `LOD${i}`), 0);
+            }
+
+            const radius = setLODDistances(lod, settings.distances);
+            const tris = lod.levels.map(level => {
+                let count = 0;
+                level.object.traverse(c => { if (c.isMesh && c.userData.isModelMesh) count += getTriangleCount(c.geometry); });
+                return count.toLocaleString();
+            });
+            log(`LOD: ${entry.name} [${tris.join(' / ')}] tris, radius ${radius.toFixed(2)}`);
+        }
+    } finally {
+        isGeneratingLOD = false;
+        resumeExperiments();
+    }
+
+    clearHistory('LOD chains generated');
+    updateWireframeMode(params.wireframeMode);
+    updateVRAMEst();
+    log(`LOD chains generated in ${(performance.now() - startTime).toFixed(0)}ms.`);
+}
+
+function removeLODChains() {
+    resetRepresentation();
+    suspendExperiments();
+    let count = 0;
+    loadedModels.forEach(entry => {
+        if (unwrapLOD(entry.object)) count++;
+    });
+    resumeExperiments();
+    if (count > 0) clearHistory('LOD chains removed');
+    updateVRAMEst();
+    log(count > 0 ? `Removed ${count} LOD chain(s).` : "No LOD chains to remove.");
+}
+
+// 修改切换距离后直接应用到已有的 LOD (无需重新简化)
+function updateLODDistances() {
+    const settings = readLODSettings();
+    if (!settings) return;
+    loadedModels.forEach(entry => {
+        const lod = getModelLOD(entry.object);
+        if (!lod) return;
+        if (lod.levels.length !== settings.distances.length) {
+            log(`LOD: ${entry.name} has ${lod.levels.length} levels, regenerate to change level count.`);
+            return;
+        }
+        setLODDistances(lod, settings.distances);
+    });
+    log(`LOD switch distances: ${settings.distances.join(' / ')} x radius`);
+}
+
+// 状态面板：各模型当前激活的级别，例如 "L1 (50%)" 或 "L0x2 L2x1"
+function describeActiveLODs() {
+    const counts = new Map();
+    let last = null;
+    loadedModels.forEach(entry => {
+        const lod = getModelLOD(entry.object);
+        if (!lod) return;
+        last = getActiveLevel(lod);
+        counts.set(last.index, (counts.get(last.index) || 0) + 1);
+    });
+    if (counts.size === 0) return '--';
+    if (counts.size === 1 && [...counts.values()][0] === 1) return `L${last.index} (${Math.round(last.ratio * 100)}%)`;
+    return [...counts.entries()].sort((a, b) => a[0] - b[0]).map(([level, n]) => `L${level}x${n}`).join(' ');
+}
+
+// === GLB 导出 ===
+// scope: 'selected' 导出当前选中模型；'scene' 导出整个 mainGroup
+async function exportModelsGLB(scope) {
+    resetRepresentation(); // 导出各模型自己的网格，不导出实例化对象
+    let object;
+    let models;
+    let baseName;
+    if (scope === 'selected') {
+        if (selectedModelIndex === -1 || !loadedModels[selectedModelIndex]) {
+            log("No model selected.");
+            return;
+        }
+        const entry = loadedModels[selectedModelIndex];
+        object = entry.object;
+        models = [entry];
+        baseName = entry.name.replace(/\.[^.]+$/, '');
+    } else {
+        if (loadedModels.length === 0) {
+            log("No models loaded.");
+            return;
+        }
+        object = mainGroup;
+        models = loadedModels;
+        baseName = 'scene';
+    }
+
+    const fileName = `${baseName}_${fileTimestamp()}.glb`;
+    log(`Exporting ${fileName}...`);
+
+    debugViews.revert(); // 导出模型的原材质，调试视图导出后重新应用
+    try {
+        const startTime = performance.now();
+        const glb = await exportGLB(object);
+        const sidecar = buildExportSidecar({
+            fileName,
+            scope,
+            models,
+            backups: new Map(originalMeshes.map(o => [o.mesh, o.geometry])),
+            simplification: lastSimplificationReport ? {
+                target: lastSimplificationReport.target,
+                options: lastSimplificationReport.options
+            } : null,
+            deviations: lastSimplificationReport
+                ? new Map(lastSimplificationReport.models.map(row => [row.name, row.deviation]))
+                : null,
+            byteLength: glb.byteLength
+        });
+
+        downloadFile(fileName, glb, 'model/gltf-binary');
+        downloadJSON(fileName.replace(/\.glb$/, '.json'), sidecar);
+
+        const time = (performance.now() - startTime).toFixed(0);
+        log(`Exported ${fileName} (${formatBytes(glb.byteLength)}) in ${time}ms. Tris: ${sidecar.trianglesOriginal.toLocaleString()} -> ${sidecar.trianglesFinal.toLocaleString()}`);
+    } catch (err) {
+        console.error(err);
+        log("Export failed: " + err.message);
+    } finally {
+        refreshDebugView();
+        updateWireframeMode(params.wireframeMode);
+    }
+}
+
+// === 会话保存 / 恢复 ===
+// 简化保真选项复选框 (见 readSimplificationOptions)
+const SIMP_OPTION_INPUTS = {
+    lockBoundary: 'simp-lock-boundary',
+    lockSeams: 'simp-lock-seams',
+    lockMaterialBorders: 'simp-lock-materials',
+    attributeError: 'simp-attr-error',
+    measureDeviation: 'simp-measure-error'
+};
+
+function buildSession() {
+    const scopeEl = document.querySelector('input[name="simp-scope"]:checked');
+    const valueOf = (id) => {
+        const el = document.getElementById(id);
+        return el ? el.value : null;
+    };
+    const appendEl = document.getElementById('chk-append');
+
+    return {
+        type: 'session',
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        models: loadedModels.map(entry => ({
+            name: entry.name,
+            source: entry.source || null,
+            transform: serializeTransform(entry.object)
+        })),
+        selectedModel: selectedModelIndex,
+        appendMode: appendEl ? appendEl.checked : false,
+        simplification: {
+            scope: scopeEl ? scopeEl.value : 'all',
+            mode: valueOf('simp-mode'),
+            ratio: parseInt(valueOf('simp-slider') || '0') / 100,
+            targetValue: valueOf('simp-target-value'),
+            distribution: valueOf('simp-distribution'),
+            options: Object.fromEntries(Object.entries(SIMP_OPTION_INPUTS).map(([key, id]) => {
+                const el = document.getElementById(id);
+                return [key, el ? el.checked : false];
+            }))
+        },
+        params: Object.fromEntries(Object.entries(params).filter(([, v]) => typeof v !== 'function')),
+        hdr: { name: currentHDRName, path: currentHDRPath },
+        camera: {
+            position: camera.position.toArray(),
+            quaternion: camera.quaternion.toArray(),
+            fov: camera.fov,
+            near: camera.near,
+            far: camera.far,
+            target: controls.target.toArray()
+        }
+    };
+}
+
+function saveSession() {
+    const unknown = loadedModels.filter(m => !m.source);
+    if (unknown.length > 0) log(`Warning: no source files recorded for ${unknown.map(m => m.name).join(', ')}`);
+    downloadJSON(`session_${fileTimestamp()}.json`, buildSession());
+    log(`Session Saved (${loadedModels.length} models).`);
+}
+
+async function loadSession() {
+    let session;
+    try {
+        const file = await pickFile('.json');
+        if (!file) return;
+        session = parseSession(await file.text());
+    } catch (err) {
+        log(`Session load failed: ${err.message}`);
+        return;
+    }
+
+    // 会话只记录路径：需要用户重新提供模型 (以及非内置 HDR) 所在的文件夹
+    const roots = [...new Set(session.models.filter(m => m.source && m.source.rootFile).map(m => m.source.rootFile))];
+    const needsHDR = session.hdr && session.hdr.name && !session.hdr.path;
+    let files = [];
+    if (roots.length > 0 || needsHDR) {
+        log(`Session: select the folder containing ${[...roots, ...(needsHDR ? [session.hdr.name] : [])].join(', ')}`);
+        files = await pickFolder();
+        if (!files) {
+            log("Session load cancelled.");
+            return;
+        }
+    }
+    await restoreSession(session, files);
+}
+
+// 通过 GUI 控件写回 params，触发与手动修改相同的 onChange 逻辑
+function applySessionParams(saved) {
+    const handled = new Set();
+    gui.controllersRecursive().forEach(controller => {
+        if (controller.object !== params || !(controller.property in saved)) return;
+        if (typeof params[controller.property] === 'function') return;
+        controller.setValue(saved[controller.property]);
+        handled.add(controller.property);
+    });
+    Object.keys(saved).forEach(key => {
+        if (!handled.has(key) && key in params && typeof params[key] !== 'function') params[key] = saved[key];
+    });
+}
+
+function applySessionSimplificationUI(saved) {
+    const scopeEl = document.querySelector(`input[name="simp-scope"][value="${saved.scope}"]`);
+    if (scopeEl) scopeEl.checked = true;
+
+    setSimplificationSlider(Math.round((saved.ratio || 0) * 100));
+
+    const modeEl = document.getElementById('simp-mode');
+    if (modeEl && saved.mode) {
+        modeEl.value = saved.mode;
+        modeEl.dispatchEvent(new Event('change')); // 切换控件显示
+    }
+    const targetEl = document.getElementById('simp-target-value');
+    if (targetEl && saved.targetValue !== null) targetEl.value = saved.targetValue;
+    const distributionEl = document.getElementById('simp-distribution');
+    if (distributionEl && saved.distribution) distributionEl.value = saved.distribution;
+
+    Object.entries(SIMP_OPTION_INPUTS).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (el && saved.options && key in saved.options) el.checked = saved.options[key];
+    });
+}
+
+async function restoreSession(session, files) {
+    const index = indexSuppliedFiles(files);
+    const startTime = performance.now();
+    log(`Restoring session from ${session.savedAt} (${session.models.length} models)...`);
+
+    clearWorkspace();
+    applySessionParams(session.params || {});
+    const appendEl = document.getElementById('chk-append');
+    if (appendEl) appendEl.checked = !!session.appendMode;
+
+    for (const saved of session.models) {
+        const source = saved.source || {};
+        let loaded = null;
+
+        if (source.generated === 'testCube') {
+            loaded = { object: createTestCube(), name: saved.name, startTime: performance.now(), source };
+        } else if (source.rootFile) {
+            const root = findSuppliedFile(index, source.rootFile);
+            if (!root) {
+                log(`Session: missing ${source.rootFile}, skipped ${saved.name}`);
+                continue;
+            }
+            const modelFiles = new Set([root]);
+            const missing = [];
+            (source.files || []).forEach(path => {
+                const file = findSuppliedFile(index, path);
+                if (file) modelFiles.add(file);
+                else missing.push(path);
+            });
+            if (missing.length > 0) log(`Session: ${missing.length} file(s) missing for ${saved.name}: ${missing.slice(0, 5).join(', ')}`);
+
+            try {
+                loaded = await loadModelFiles([...modelFiles], getRelativePath(root));
+            } catch (err) {
+                log(`Session: failed to load ${saved.name}: ${err.message}`);
+                continue;
+            }
+        } else {
+            log(`Session: no source recorded for ${saved.name}, skipped`);
+            continue;
+        }
+
+        onModelLoaded(loaded.object, loaded.startTime, loaded.name, { source: loaded.source, decode: loaded.decode, append: true });
+        const entry = loadedModels[loadedModels.length - 1];
+        entry.name = saved.name;
+        applyTransform(entry.object, saved.transform);
+    }
+
+    updateWireframeMode(params.wireframeMode);
+    updateModelSelectUI();
+    const selected = session.selectedModel;
+    selectModelByIndex(selected >= 0 && selected < loadedModels.length ? selected : -1);
+
+    if (session.simplification) {
+        applySessionSimplificationUI(session.simplification);
+        if (session.simplification.mode !== 'ratio' || session.simplification.ratio > 0) applySimplification();
+    }
+
+    if (session.hdr && session.hdr.name && session.hdr.name !== currentHDRName) {
+        try {
+            if (session.hdr.path) {
+                await loadHDR(session.hdr.path, session.hdr.name, session.hdr.path);
+            } else {
+                const hdrFile = index.byName.get(session.hdr.name);
+                if (hdrFile) {
+                    const url = URL.createObjectURL(hdrFile);
+                    await loadHDR(url, hdrFile.name).finally(() => URL.revokeObjectURL(url));
+                } else log(`Session: HDR ${session.hdr.name} not supplied, select it manually.`);
+            }
+        } catch (err) {
+            log(`Session: HDR load failed: ${err.message}`);
+        }
+    }
+
+    if (session.camera) {
+        const cam = session.camera;
+        camera.position.fromArray(cam.position);
+        camera.quaternion.fromArray(cam.quaternion);
+        camera.fov = cam.fov;
+        camera.near = cam.near;
+        camera.far = cam.far;
+        camera.updateProjectionMatrix();
+        controls.target.fromArray(cam.target);
+        if (params.cameraMode === 'Orbit') controls.update();
+    }
+
+    commandHistory.clear(); // 恢复过程中逐个加载的模型不作为可撤销的操作
+    updateVRAMEst();
+    log(`Session restored in ${(performance.now() - startTime).toFixed(0)}ms.`);
+}
+
+function createTestCube() {
+    const geometry = new THREE.BoxGeometry(2, 2, 2);
+    const material = new THREE.MeshStandardMaterial({ color: 0xffa500, roughness: 0.2, metalness: 0.8 });
+    return new THREE.Mesh(geometry, material);
+}
+
+function generateTestCube() {
+    log("Generating Cube...");
+    onModelLoaded(createTestCube(), performance.now(), "Test Cube", { source: { generated: 'testCube' } });
+}
+
+function log(msg) {
+    const el = document.getElementById('console-output');
+    if (el) {
+        el.innerHTML += `<div>> ${msg}</div>`;
+        el.scrollTop = el.scrollHeight;
+    }
+}
+
+function onWindowResize() {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+}
+
+// === 处理漫游模式的相机移动 ===
+// 添加一个全局时钟，用于计算平滑移动
+const clock = new THREE.Clock(); 
+
+function updateFlyControls(delta) {
+    // 只有在按下右键时才允许移动 (UE风格)
+    if (!isRightMouseDown) return;
+
+    // 按住 Shift 加速 (2.5倍速)
     const speedMultiplier = flyState.shift ? 2.5 : 1.0;
     const moveDistance = params.flySpeed * speedMultiplier * delta;
     
@@ -1432,43 +3340,469 @@ function updateFlyControls(delta) {
     }
 }
 
-// === 结束测试并导出 CSV ===
-function endBenchmark() {
-    isBenchmarking = false;
-    log("Benchmark Complete! Downloading CSV...");
+// === 相机路径录制 / 保存 / 加载 ===
+function toggleCameraPathRecording() {
+    if (isBenchmarking) {
+        log("Cannot record a path while benchmarking.");
+        return;
+    }
+
+    if (pathRecorder.isRecording) {
+        const path = pathRecorder.stop();
+        pathRecordController.name('Record Camera Path');
+        if (path) {
+            cameraPath = path;
+            log(`Camera Path Recorded: ${path.keyframes.length} keyframes, ${path.duration.toFixed(1)}s`);
+        } else {
+            log("Camera path too short, discarded.");
+        }
+    } else {
+        pathRecorder.start();
+        pathRecordController.name('Stop Recording');
+        log("Recording Camera Path... (Orbit or Fly, click again to stop)");
+    }
+}
+
+function saveCameraPath() {
+    if (!cameraPath) {
+        log("No camera path to save. Record or load one first.");
+        return;
+    }
+    downloadJSON(`camera_path_${fileTimestamp()}.json`, cameraPath);
+    log("Camera Path Saved.");
+}
+
+async function loadCameraPath() {
+    const file = await pickFile('.json,application/json');
+    if (!file) return;
+    try {
+        cameraPath = parseCameraPath(await file.text());
+        log(`Camera Path Loaded: ${file.name} (${cameraPath.keyframes.length} keyframes, ${cameraPath.duration.toFixed(1)}s)`);
+    } catch (err) {
+        console.error(err);
+        log(`Error loading path: ${err.message}`);
+    }
+}
 
-    // 1. 生成 CSV 内容
-    let csvContent = "data:text/csv;charset=utf-8,";
-    csvContent += "Time (s),FPS,FrameTime (ms),DrawCalls,Triangles\n"; // 表头
+// 回放结束后把控制器交还给用户，OrbitControls 的目标点放到相机正前方，避免视角跳变
+function stopPathPlayback() {
+    if (!pathPlayer) return;
+    pathPlayer.end();
+    pathPlayer = null;
+
+    const dir = new THREE.Vector3();
+    camera.getWorldDirection(dir);
+    const dist = Math.max(camera.position.distanceTo(controls.target), 1);
+    controls.target.copy(camera.position).add(dir.multiplyScalar(dist));
+    controls.enabled = params.cameraMode === 'Orbit';
+}
+
+// 几何体三角形数
+function getTriangleCount(geometry) {
+    return geometry.index ? geometry.index.count / 3 : geometry.attributes.position.count / 3;
+}
 
-    benchmarkData.forEach(row => {
-        csvContent += row.join(",") + "\n";
+// WebGL 驱动报告的 GPU 名称 (浏览器屏蔽时返回 null)
+function getGPUName() {
+    const gl = renderer.getContext();
+    const ext = gl.getExtension('WEBGL_debug_renderer_info');
+    return ext ? gl.getParameter(ext.UNMASKED_RENDERER_WEBGL) : null;
+}
+
+const toMB = (bytes) => +(bytes / 1024 / 1024).toFixed(2);
+
+// 报告元数据：模型、场景规模、显存估算、渲染设置 (overrides 覆盖同名字段)
+function collectBenchmarkMetadata(overrides = {}) {
+    let meshCount = 0;
+    let triangleCount = 0;
+    // 只统计可见网格 (未激活的 LOD 级别不参与渲染)
+    mainGroup.traverseVisible(child => {
+        if (child.isMesh && child.userData.isModelMesh && child.geometry) {
+            meshCount++;
+            triangleCount += getTriangleCount(child.geometry);
+        } else if (child.userData.sourceMeshes) {
+            // 实例化对象：按被替代的原网格统计
+            child.userData.sourceMeshes.forEach(mesh => {
+                meshCount++;
+                triangleCount += getTriangleCount(mesh.geometry);
+            });
+        }
     });
+    const vram = updateVRAMEst();
+    const size = renderer.getSize(new THREE.Vector2());
+    const slider = document.getElementById('simp-slider');
 
-    // 2. 创建下载链接
-    const encodedUri = encodeURI(csvContent);
-    const link = document.createElement("a");
-    link.setAttribute("href", encodedUri);
-    const date = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
-    link.setAttribute("download", `fps_benchmark_${date}.csv`);
-    document.body.appendChild(link); // Required for FF
-    link.click();
-    document.body.removeChild(link);
+    return {
+        timestamp: new Date().toISOString(),
+        models: loadedModels.map(m => m.name),
+        loadTimeMs: loadedModels.reduce((sum, m) => sum + (m.loadTimeMs || 0), 0),
+        decode: loadedModels.filter(m => m.decode).map(m => ({ name: m.name, ...m.decode })),
+        meshCount,
+        triangleCount,
+        vramEstimateMB: toMB(vram.totalBytes),
+        vramModelMB: toMB(vram.modelBytes),
+        vramBreakdownMB: Object.fromEntries(
+            Object.entries(vram.categories).map(([key, cat]) => [key, toMB(cat.bytes)])
+        ),
+        geometryCount: vram.categories.geometry.count,
+        textureCount: vram.categories.texture.count,
+        hdr: currentHDRName,
+        cameraPath: cameraPath ? { duration: cameraPath.duration, keyframes: cameraPath.keyframes.length } : null,
+        lod: loadedModels.some(m => getModelLOD(m.object)) ? {
+            models: loadedModels.filter(m => getModelLOD(m.object)).length,
+            ratios: lodParams.ratios,
+            distances: lodParams.distances
+        } : null,
+        simplification: lastSimplificationReport ? {
+            target: lastSimplificationReport.target,
+            options: lastSimplificationReport.options,
+            trianglesBefore: lastSimplificationReport.trianglesBefore,
+            trianglesTarget: lastSimplificationReport.trianglesTarget,
+            trianglesAfter: lastSimplificationReport.trianglesAfter,
+            maxErrorPct: lastSimplificationReport.maxErrorPct,
+            models: lastSimplificationReport.models.map(row => ({
+                name: row.name,
+                trianglesBefore: row.trianglesBefore,
+                trianglesAfter: row.trianglesAfter,
+                deviation: row.deviation
+            }))
+        } : null,
+        imageComparison: getImageComparisonSummary(),
+        representation: instancingOptimizer.mode,
+        renderSettings: {
+            unlockFPS: params.unlockFPS,
+            frustumCulling: params.frustumCulling,
+            doubleSided: params.doubleSided,
+            wireframeMode: params.wireframeMode || 'None', // 控件第一次修改前 params.wireframeMode 未定义
+            debugView: params.debugView,
+            materialMode: materialModeSwitcher.mode,
+            textureExperiment: textureExperiment.active ? textureExperiment.settings : null,
+            exposure: params.exposure,
+            blur: params.blur,
+            rotation: params.rotation,
+            simplifyRatio: slider ? parseInt(slider.value) / 100 : 0,
+            toneMapping: 'ACESFilmic',
+            shadows: renderer.shadowMap.enabled,
+            pixelRatio: renderer.getPixelRatio(),
+            resolution: [size.x, size.y],
+            antialias: true
+        },
+        environment: {
+            userAgent: navigator.userAgent,
+            gpu: getGPUName(),
+            gpuTimer: gpuTimer.available
+        },
+        ...overrides
+    };
 }
 
-function startBenchmark() {
-    if (isBenchmarking) return;
-    
-    // 自动切换到漫游模式 
-    params.cameraMode = 'Fly';
-    controls.enabled = false;
-    
+// === 结束测试并导出 CSV + JSON 报告 ===
+function endBenchmark() {
+    isBenchmarking = false;
+    stopPathPlayback();
+
+    const report = benchmarkSession.buildReport();
+    const options = benchmarkOptions;
+    benchmarkSession = null;
+    benchmarkOptions = null;
+    log(`Benchmark Complete! ${formatSummary(report.summary)}`);
+
+    if (options.download) {
+        log("Downloading CSV + JSON report...");
+        const baseName = `fps_benchmark_${fileTimestamp()}`;
+        downloadFile(`${baseName}.csv`, reportToCSV(report), 'text/csv;charset=utf-8');
+        downloadJSON(`${baseName}.json`, report);
+    }
+    options.resolve(report);
+}
+
+// 开始测试，返回在测试结束时 resolve 报告的 Promise；无法开始时返回 null
+// path: 回放路径 (默认当前路径，null 表示手动漫游)；metadata: 覆盖报告元数据
+function startBenchmark({ path = cameraPath, download = true, metadata = {} } = {}) {
+    if (isBenchmarking) return null;
+    if (pathRecorder.isRecording) {
+        log("Stop path recording before starting the benchmark.");
+        return null;
+    }
+
+    if (path) {
+        // 按录制的路径回放，时长由路径决定
+        pathPlayer = new CameraPathPlayer(camera, path);
+        pathPlayer.begin();
+        controls.enabled = false;
+        benchmarkDuration = path.duration;
+    } else {
+        // 自动切换到漫游模式
+        params.cameraMode = 'Fly';
+        controls.enabled = false;
+        benchmarkDuration = FREE_ROAM_DURATION;
+    }
+
     // 重置数据
-    benchmarkData = [];
+    const pathInfo = path ? { duration: path.duration, keyframes: path.keyframes.length, generated: path.generated || null } : null;
+    benchmarkSession = new BenchmarkSession(collectBenchmarkMetadata({ cameraPath: pathInfo, ...metadata }));
     benchmarkStartTime = performance.now();
     isBenchmarking = true;
-    
-    log(`Benchmark Started. Roam for ${BENCHMARK_DURATION}s...`);
+
+    if (pathPlayer) log(`Benchmark Started. Replaying camera path (${benchmarkDuration.toFixed(1)}s)...`);
+    else log(`Benchmark Started. Roam for ${benchmarkDuration}s...`);
+
+    return new Promise((resolve) => {
+        benchmarkOptions = { download, resolve };
+    });
+}
+
+// === A/B 对比 ===
+async function loadABVariant(slot) {
+    if (isComparing) return;
+    const files = await pickFolder();
+    if (!files) return;
+    try {
+        const { object, name, startTime, decode } = await loadModelFiles(files);
+
+        // 与 onModelLoaded 一致：模型居中
+        const box = new THREE.Box3().setFromObject(object);
+        object.position.sub(box.getCenter(new THREE.Vector3()));
+
+        const loadTimeMs = Math.round(performance.now() - startTime);
+        if (abVariants[slot]) releaseModelResources(abVariants[slot].object); // 替换旧变体
+        abVariants[slot] = { name, object, loadTimeMs, decode };
+        trackModelResources();
+        log(`Variant ${slot} Ready: ${name} (${loadTimeMs} ms)`);
+    } catch (err) {
+        log(`Variant ${slot} load failed.`);
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runABComparison() {
+    if (isBenchmarking || isComparing) return;
+    if (!abVariants.A || !abVariants.B) {
+        log("Load both Variant A and Variant B first.");
+        return;
+    }
+    isComparing = true;
+
+    // 暂时移出当前工作区的模型，测试结束后恢复
+    const workspace = [...mainGroup.children];
+    workspace.forEach(o => mainGroup.remove(o));
+    transformControl.detach();
+    const savedCamera = {
+        position: camera.position.clone(),
+        quaternion: camera.quaternion.clone(),
+        target: controls.target.clone(),
+        fov: camera.fov,
+        near: camera.near,
+        far: camera.far
+    };
+
+    // 两个变体共用相同的相机路径与裁剪面：优先使用已有路径，否则按包围球生成环绕路径
+    const sphere = new THREE.Box3()
+        .expandByObject(abVariants.A.object)
+        .expandByObject(abVariants.B.object)
+        .getBoundingSphere(new THREE.Sphere());
+    const path = cameraPath || createOrbitPath(sphere.center, sphere.radius * 2.5, {
+        duration: AB_ORBIT_DURATION,
+        fov: camera.fov
+    });
+    if (!cameraPath) log(`No camera path loaded. Using generated ${AB_ORBIT_DURATION}s orbit.`);
+    camera.near = sphere.radius / 500;
+    camera.far = sphere.radius * 200;
+    camera.updateProjectionMatrix();
+
+    const reports = {};
+    try {
+        for (const slot of ['A', 'B']) {
+            const variant = abVariants[slot];
+            variant.object.traverse(child => {
+                if (child.isMesh) setupModelMesh(child);
+            });
+            mainGroup.add(variant.object);
+            updateWireframeMode(params.wireframeMode);
+
+            log(`[A/B] Warming up Variant ${slot}: ${variant.name}`);
+            renderer.compile(scene, camera);
+            await sleep(AB_WARMUP_MS);
+
+            reports[slot] = await startBenchmark({
+                path,
+                download: false,
+                metadata: { models: [variant.name], loadTimeMs: variant.loadTimeMs, decode: [{ name: variant.name, ...variant.decode }], variant: slot }
+            });
+            mainGroup.remove(variant.object);
+            if (!reports[slot]) {
+                log(`[A/B] aborted: benchmark for Variant ${slot} could not start.`);
+                break;
+            }
+        }
+    } catch (err) {
+        console.error(err);
+        log("A/B Benchmark failed: " + err.message);
+    } finally {
+        abVariants.A && mainGroup.remove(abVariants.A.object);
+        abVariants.B && mainGroup.remove(abVariants.B.object);
+        workspace.forEach(o => mainGroup.add(o));
+        camera.position.copy(savedCamera.position);
+        camera.quaternion.copy(savedCamera.quaternion);
+        controls.target.copy(savedCamera.target);
+        camera.fov = savedCamera.fov;
+        camera.near = savedCamera.near;
+        camera.far = savedCamera.far;
+        camera.updateProjectionMatrix();
+        updateModelSelectUI();
+        updateVRAMEst();
+        isComparing = false;
+    }
+
+    if (!reports.A || !reports.B) return;
+
+    const comparison = compareReports(reports.A, reports.B, {
+        hdr: currentHDRName,
+        cameraPath: reports.A.metadata.cameraPath,
+        renderSettings: reports.A.metadata.renderSettings
+    });
+    log(`=== A/B: ${abVariants.A.name} vs ${abVariants.B.name} ===`);
+    comparison.rows.forEach(r => log(formatComparisonRow(r)));
+
+    const baseName = `ab_compare_${fileTimestamp()}`;
+    downloadFile(`${baseName}.csv`, comparisonToCSV(comparison), 'text/csv;charset=utf-8');
+    downloadJSON(`${baseName}.json`, comparison);
+}
+
+// === 图像对比 ===
+// 截图时的工作区描述 (可见三角形数 + 简化目标)
+function describeImageState() {
+    let triangles = 0;
+    mainGroup.traverseVisible(child => {
+        if (child.isMesh && child.userData.isModelMesh && child.geometry) triangles += getTriangleCount(child.geometry);
+    });
+    const simplification = lastSimplificationReport ? `, ${describeSimplificationTarget(lastSimplificationReport.target)}` : '';
+    return `${triangles.toLocaleString()} tris${simplification}`;
+}
+
+function captureImageFrames(views, width, height) {
+    return captureFrames(renderer, scene, camera, views, { width, height, hidden: [transformControl] });
+}
+
+// 记录基准：视点与分辨率固定下来，之后的对比都使用同一组
+function captureImageBaseline() {
+    if (loadedModels.length === 0) {
+        log("No models loaded.");
+        return;
+    }
+    const size = renderer.getSize(new THREE.Vector2());
+    const width = CAPTURE_WIDTH;
+    const height = Math.round(CAPTURE_WIDTH * size.y / size.x);
+    const views = createFixedViews(mainGroup, camera, controls.target);
+
+    const startTime = performance.now();
+    imageBaseline = {
+        label: describeImageState(),
+        timestamp: new Date().toISOString(),
+        views,
+        width,
+        height,
+        frames: captureImageFrames(views, width, height)
+    };
+    log(`Image Baseline Captured: ${views.length} views at ${width}x${height} (${imageBaseline.label}) in ${(performance.now() - startTime).toFixed(0)}ms.`);
+}
+
+function runImageComparison() {
+    if (!imageBaseline) {
+        log("Capture a baseline first.");
+        return;
+    }
+    const { views, width, height } = imageBaseline;
+    const startTime = performance.now();
+    const frames = captureImageFrames(views, width, height);
+
+    const results = frames.map((after, i) => ({ before: imageBaseline.frames[i], after, ...compareImages(imageBaseline.frames[i], after) }));
+    const psnrs = results.map(r => r.psnr);
+    const ssims = results.map(r => r.ssim);
+    const finite = psnrs.filter(Number.isFinite);
+
+    lastImageComparison = {
+        timestamp: new Date().toISOString(),
+        label: describeImageState(),
+        baseline: { label: imageBaseline.label, timestamp: imageBaseline.timestamp },
+        width,
+        height,
+        summary: {
+            minPsnr: Math.min(...psnrs),
+            meanPsnr: finite.length > 0 ? finite.reduce((a, b) => a + b, 0) / finite.length : Infinity,
+            minSsim: Math.min(...ssims),
+            meanSsim: ssims.reduce((a, b) => a + b, 0) / ssims.length
+        },
+        views: results.map((r, i) => ({
+            name: views[i].name,
+            position: views[i].position,
+            target: views[i].target,
+            mse: r.mse,
+            psnr: r.psnr,
+            ssim: r.ssim,
+            maxDiff: r.maxDiff,
+            changedRatio: r.changedRatio
+        })),
+        // 像素数据只用于显示与导出 PNG
+        frames: results.map(r => ({ before: r.before, after: r.after, heatmap: r.heatmap }))
+    };
+
+    const s = lastImageComparison.summary;
+    log(`Image Compare (${(performance.now() - startTime).toFixed(0)}ms): min PSNR ${formatPSNR(s.minPsnr)}, min SSIM ${s.minSsim.toFixed(4)}`);
+    lastImageComparison.views.forEach(v => {
+        log(`  ${v.name}: PSNR ${formatPSNR(v.psnr)}, SSIM ${v.ssim.toFixed(4)}, changed ${(v.changedRatio * 100).toFixed(2)}%`);
+    });
+
+    imageComparePanel.render(lastImageComparison);
+    imageComparePanel.show();
+}
+
+// JSON 中 PSNR 为 Infinity (图像完全相同) 时写 null
+const finiteOrNull = (v) => Number.isFinite(v) ? v : null;
+
+function getImageComparisonSummary() {
+    if (!lastImageComparison) return null;
+    const { timestamp, label, baseline, width, height, summary, views } = lastImageComparison;
+    return {
+        timestamp,
+        label,
+        baseline,
+        resolution: [width, height],
+        minPsnr: finiteOrNull(summary.minPsnr),
+        meanPsnr: finiteOrNull(summary.meanPsnr),
+        minSsim: summary.minSsim,
+        meanSsim: summary.meanSsim,
+        views: views.map(v => ({ ...v, psnr: finiteOrNull(v.psnr) }))
+    };
+}
+
+function imageComparisonToCSV(summary) {
+    const fmt = (v, digits) => v === null ? '' : v.toFixed(digits);
+    const lines = ["View,PSNR (dB),SSIM,MSE,Max Diff,Changed %"];
+    summary.views.forEach(v => {
+        lines.push([v.name, fmt(v.psnr, 3), fmt(v.ssim, 5), fmt(v.mse, 3), v.maxDiff, fmt(v.changedRatio * 100, 3)].join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+// 导出 JSON (指标 + 与 Benchmark 报告相同的 metadata) + CSV + 每个视点的热力图 PNG
+function exportImageComparison() {
+    const summary = getImageComparisonSummary();
+    if (!summary) {
+        log("No image comparison to export.");
+        return;
+    }
+    const baseName = `image_compare_${fileTimestamp()}`;
+    downloadJSON(`${baseName}.json`, { ...summary, metadata: collectBenchmarkMetadata({ imageComparison: undefined }) });
+    downloadFile(`${baseName}.csv`, imageComparisonToCSV(summary), 'text/csv;charset=utf-8');
+
+    lastImageComparison.frames.forEach((frames, i) => {
+        const overlay = composeHeatmapOverlay(frames.after, frames.heatmap);
+        const name = summary.views[i].name.replace(/[^\w-]+/g, '_');
+        imageToCanvas(overlay).toBlob(blob => downloadFile(`${baseName}_${name}.png`, blob));
+    });
+    log(`Image Comparison Exported (${summary.views.length} views).`);
 }
 
 // === 核心渲染循环 ===
@@ -1481,16 +3815,26 @@ function animate() {
 
     const now = performance.now();
     const delta = clock.getDelta();
+    const frameInterval = now - lastFrameTime;
+    lastFrameTime = now;
     frameCount++;
 
-    // 只有在 Orbit 模式下才更新轨道控制器
-    if (params.cameraMode === 'Orbit') {
+    if (pathPlayer) {
+        // === 路径回放：相机位姿完全由路径决定 ===
+        pathPlayer.apply((now - benchmarkStartTime) / 1000);
+    } else if (params.cameraMode === 'Orbit') {
+        // 只有在 Orbit 模式下才更新轨道控制器
         controls.update();
     } else {
         // === 在 Fly 模式下更新相机位置 ===
         updateFlyControls(delta);
     }
 
+    // 录制相机路径 (在控制器更新之后采样)
+    if (pathRecorder.isRecording) pathRecorder.sample(now);
+
+    updateNodeHighlight();
+
     // === Gizmo 大小动态调整 ===
     // 逻辑：(模型半径 / 相机距离) * 系数
     // 这样当相机拉远 (distance变大) 时，size 变小，从而看起来像是"附着"在模型上，而不是占据整个屏幕
@@ -1504,9 +3848,10 @@ function animate() {
         }
     }
 
-    // 1. 计时开始
+    // 1. 计时开始 (Benchmark 中以帧号标记 GPU 查询，结果返回后回填)
+    const frameIndex = isBenchmarking ? benchmarkSession.frameCount : null;
     const cpuStart = performance.now();
-    gpuTimer.start();
+    gpuTimer.start(frameIndex);
 
     // 2. 渲染
     renderer.render(scene, camera);
@@ -1516,12 +3861,35 @@ function animate() {
     const cpuEnd = performance.now();
     const cpuTime = cpuEnd - cpuStart;
 
+    // 每帧取回所有已完成的 GPU 查询，避免查询队列堆积
+    let gpuResult;
+    while ((gpuResult = gpuTimer.pollResult()) !== null) {
+        if (gpuResult.ms === null) continue;
+        lastGpuTime = gpuResult.ms;
+        if (benchmarkSession && gpuResult.tag !== null) benchmarkSession.setGpuTime(gpuResult.tag, gpuResult.ms);
+    }
+
+    if (frameSample) recordFrameSample(frameInterval, cpuTime);
+
+    // === Benchmark 逐帧记录 ===
+    if (isBenchmarking) {
+        const elapsedSeconds = (now - benchmarkStartTime) / 1000;
+        benchmarkSession.addFrame(
+            elapsedSeconds,
+            frameInterval,
+            cpuTime,
+            renderer.info.render.calls,
+            renderer.info.render.triangles
+        );
+        if (elapsedSeconds >= benchmarkDuration) endBenchmark();
+    }
+
     if (now - lastTime >= 500) {
         const timeDiff = now - lastTime;
         const fps = Math.round((frameCount * 1000) / timeDiff);
         const frameTime = (timeDiff / frameCount).toFixed(2);
 
-        const gpuTimeRaw = gpuTimer.poll();
+        const gpuTimeRaw = lastGpuTime;
         const gpuTimeStr = gpuTimeRaw !== null ? gpuTimeRaw.toFixed(3) : "N/A";
 
         const calls = renderer.info.render.calls;
@@ -1535,6 +3903,7 @@ function animate() {
             document.getElementById('val-gpu').innerText = gpuTimeStr + " ms";
             document.getElementById('val-drawcalls').innerText = calls;
             document.getElementById('val-tris').innerText = tris;
+            document.getElementById('val-lod').innerText = describeActiveLODs();
         }
 
         if (charts.fps) {
@@ -1544,31 +3913,15 @@ function animate() {
             if (gpuTimeRaw !== null) charts.gpu.update(gpuTimeRaw);
             charts.calls.update(calls);
             charts.tris.update(tris);
+            charts.vram.update(lastVRAMBytes / 1024 / 1024);
         }
 
-        // === Benchmark 记录逻辑 ===
+        // === Benchmark 倒计时 ===
         if (isBenchmarking) {
-            // 计算已经经过的秒数
             const elapsedSeconds = (now - benchmarkStartTime) / 1000;
-
-            // 记录当前时刻的数据
-            benchmarkData.push([
-                elapsedSeconds.toFixed(1), // 时间
-                fps,                       // FPS
-                frameTime,                 // 帧耗时
-                renderer.info.render.calls,     // Draw Calls
-                renderer.info.render.triangles  // 三角形数
-            ]);
-
-            // 在控制台显示倒计时
-            const remaining = Math.max(0, BENCHMARK_DURATION - elapsedSeconds).toFixed(0);
-            // 这里为了不刷屏，可以只在特定位置显示，或者复用 log 功能
-            log(`Benchmarking... ${remaining}s`); 
-
-            // 检查是否结束
-            if (elapsedSeconds >= BENCHMARK_DURATION) {
-                endBenchmark();
-            }
+            const remaining = Math.max(0, benchmarkDuration - elapsedSeconds).toFixed(0);
+            // 这里为了不刷屏，只在图表刷新时显示
+            log(`Benchmarking... ${remaining}s`);
         }
 
         frameCount = 0;
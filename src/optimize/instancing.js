@@ -0,0 +1,350 @@
+import * as THREE from 'three';
+
+// === 重复模型的实例化优化 ===
+// 与 duplicateSelectedModel() 的深拷贝 (最坏情况) 相反：找出 loadedModels 中内容相同的几何体与材质，
+// 在三种表示之间切换，用于量化建筑构件大量重复时实例化带来的 Draw Call 与显存收益：
+//   - Deep Copies      : 加载 / 复制后的原始状态，每个网格各自持有几何体与材质
+//   - Shared Resources : 相同内容的几何体 / 材质只保留一份 (Draw Call 不变，显存减少)
+//   - Instanced        : 在共享的基础上，同一 (几何体, 材质) 出现多次的网格合并为 InstancedMesh；
+//                        剩下只出现一次、材质相同且属性布局一致的网格合并为 BatchedMesh
+// 原网格不删除：共享时记录原引用，实例化时只隐藏并标记 userData.instancedBy，revert() 可完全还原。
+// 切换后不再被渲染的资源会 dispose() 释放 GPU 副本 (CPU 数据保留，还原后重新上传)，
+// 这样 renderer.info.memory 反映的也是当前表示的真实占用。
+
+export const REPRESENTATIONS = ['Deep Copies', 'Shared Resources', 'Instanced'];
+
+// 不参与材质比较的属性
+const MATERIAL_IGNORED_KEYS = new Set(['uuid', 'id', 'name', 'userData', 'version', '_listeners']);
+
+// FNV-1a，逐字节
+function hashBytes(hash, array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+function attributeArray(attr) {
+    return attr.isInterleavedBufferAttribute ? attr.data.array : attr.array;
+}
+
+function attributeLayout(attr) {
+    const array = attributeArray(attr);
+    const stride = attr.isInterleavedBufferAttribute ? `${attr.data.stride}+${attr.offset}` : '';
+    return `${array.constructor.name}x${attr.itemSize}${attr.normalized ? 'n' : ''}${stride}:${attr.count}`;
+}
+
+// 几何体内容签名：属性布局 + 缓冲区内容哈希 + 材质分组
+export function geometryKey(geometry) {
+    const names = Object.keys(geometry.attributes).sort();
+    let hash = 2166136261;
+    const parts = names.map(name => {
+        const attr = geometry.attributes[name];
+        hash = hashBytes(hash, attributeArray(attr));
+        return `${name}:${attributeLayout(attr)}`;
+    });
+    if (geometry.index) {
+        hash = hashBytes(hash, geometry.index.array);
+        parts.push(`index:${attributeLayout(geometry.index)}`);
+    }
+    const morph = Object.keys(geometry.morphAttributes).length;
+    const groups = geometry.groups.map(g => `${g.start}/${g.count}/${g.materialIndex}`).join(',');
+    return `${parts.join('|')}|m${morph}|g${groups}|${hash.toString(16)}`;
+}
+
+// 签名相同时再逐字节比较，排除哈希碰撞
+function sameBuffers(a, b) {
+    const arrays = (g) => Object.keys(g.attributes).sort().map(n => attributeArray(g.attributes[n])).concat(g.index ? [g.index.array] : []);
+    const la = arrays(a);
+    const lb = arrays(b);
+    if (la.length !== lb.length) return false;
+    return la.every((array, i) => {
+        const x = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        const y = new Uint8Array(lb[i].buffer, lb[i].byteOffset, lb[i].byteLength);
+        if (x.length !== y.length) return false;
+        for (let j = 0; j < x.length; j++) if (x[j] !== y[j]) return false;
+        return true;
+    });
+}
+
+// 贴图按图像源 + 采样参数比较 (复制模型时克隆出的贴图共享同一个 Source)
+function textureKey(texture) {
+    return [
+        texture.source.uuid, texture.mapping, texture.channel, texture.wrapS, texture.wrapT,
+        texture.magFilter, texture.minFilter, texture.anisotropy, texture.format, texture.type,
+        texture.colorSpace, texture.flipY, texture.generateMipmaps,
+        texture.offset.toArray(), texture.repeat.toArray(), texture.center.toArray(), texture.rotation
+    ].join(',');
+}
+
+// 材质签名：类型 + 所有可比较的属性值
+export function materialKey(material) {
+    const parts = [material.type];
+    Object.keys(material).sort().forEach(key => {
+        if (MATERIAL_IGNORED_KEYS.has(key)) return;
+        const value = material[key];
+        let text;
+        if (value === null || value === undefined) text = String(value);
+        else if (value.isTexture) text = `tex(${textureKey(value)})`;
+        else if (value.isColor) text = value.getHexString();
+        else if (value.isVector2 || value.isVector3 || value.isVector4 || value.isEuler || value.isMatrix3 || value.isMatrix4) text = value.toArray().join(',');
+        else if (typeof value === 'object') text = JSON.stringify(value);
+        else if (typeof value === 'function') return;
+        else text = String(value);
+        parts.push(`${key}=${text}`);
+    });
+    return parts.join(';');
+}
+
+const materialsOf = (mesh) => Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+
+function collectTextures(material, out) {
+    for (const key in material) {
+        const value = material[key];
+        if (value && value.isTexture) out.add(value);
+    }
+    return out;
+}
+
+// BatchedMesh 要求所有几何体的属性与索引一致，且不支持交错缓冲；不能合批时返回 null
+function batchLayoutKey(geometry) {
+    if (Object.values(geometry.attributes).some(attr => attr.isInterleavedBufferAttribute)) return null;
+    const attrs = Object.keys(geometry.attributes).sort().map(name => {
+        const attr = geometry.attributes[name];
+        return `${name}:${attr.itemSize}${attr.normalized ? 'n' : ''}:${attributeArray(attr).constructor.name}`;
+    });
+    return `${attrs.join('|')}|${geometry.index ? 'indexed' : 'flat'}`;
+}
+
+export class InstancingOptimizer {
+    // root: 模型所在的节点 (mainGroup)，实例化对象也加在这里
+    constructor(root) {
+        this.root = root;
+        this.mode = REPRESENTATIONS[0];
+        this.originals = new Map(); // mesh -> { geometry, material } 共享前的引用
+        this.proxies = [];          // InstancedMesh / BatchedMesh，userData.sourceMeshes 对应原网格
+        this._matrix = new THREE.Matrix4();
+        this._rootInverse = new THREE.Matrix4();
+    }
+
+    // 可参与优化的网格：模型网格，跳过蒙皮 / 变形目标 / LOD 中的网格
+    collectMeshes(models) {
+        const meshes = [];
+        models.forEach(({ object }) => {
+            object.traverse(child => {
+                if (!child.isMesh || !child.userData.isModelMesh || child.isSkinnedMesh) return;
+                if (Object.keys(child.geometry.morphAttributes).length > 0) return;
+                // 代理挂在 root 下，不受原节点的显示开关影响：隐藏的网格 (含隐藏的祖先) 不参与
+                let inLOD = false;
+                let hidden = !child.visible;
+                child.traverseAncestors(a => {
+                    if (a.isLOD) inLOD = true;
+                    if (!a.visible) hidden = true;
+                });
+                if (!inLOD && !hidden) meshes.push(child);
+            });
+        });
+        return meshes;
+    }
+
+    // 切换到 mode；models: [{ name, object }]。返回本次切换的统计
+    apply(mode, models, { frustumCulled = true } = {}) {
+        this.revert();
+        const stats = { mode, meshes: 0, uniqueGeometries: 0, uniqueMaterials: 0, instancedGroups: 0, instances: 0, batches: 0, batchedMeshes: 0, disposed: 0 };
+        if (mode === REPRESENTATIONS[0]) return stats;
+
+        const meshes = this.collectMeshes(models);
+        stats.meshes = meshes.length;
+        const before = this.collectResources(meshes);
+        this.share(meshes, stats);
+        if (mode === REPRESENTATIONS[2]) this.instance(meshes, stats, frustumCulled);
+        this.mode = mode;
+        stats.disposed = this.releaseUnused(before);
+        return stats;
+    }
+
+    // 相同内容的几何体与材质替换为第一次出现的那一份
+    share(meshes, stats) {
+        const geometries = new Map(); // key -> [几何体] (签名相同但内容不同的极少数情况并列保存)
+        const materials = new Map();  // key -> 材质
+        const geometryCache = new Map();
+        const materialCache = new Map();
+
+        const canonicalGeometry = (geometry) => {
+            if (geometryCache.has(geometry)) return geometryCache.get(geometry);
+            const key = geometryKey(geometry);
+            const list = geometries.get(key) || [];
+            let found = list.find(g => g === geometry || sameBuffers(g, geometry));
+            if (!found) {
+                list.push(geometry);
+                geometries.set(key, list);
+                found = geometry;
+            }
+            geometryCache.set(geometry, found);
+            return found;
+        };
+        const canonicalMaterial = (material) => {
+            if (materialCache.has(material)) return materialCache.get(material);
+            const key = materialKey(material);
+            if (!materials.has(key)) materials.set(key, material);
+            materialCache.set(material, materials.get(key));
+            return materials.get(key);
+        };
+
+        meshes.forEach(mesh => {
+            this.originals.set(mesh, { geometry: mesh.geometry, material: mesh.material });
+            mesh.geometry = canonicalGeometry(mesh.geometry);
+            mesh.material = Array.isArray(mesh.material) ? mesh.material.map(canonicalMaterial) : canonicalMaterial(mesh.material);
+            const wire = mesh.children.find(c => c.userData.isWireframeMesh);
+            if (wire) wire.geometry = mesh.geometry;
+        });
+
+        stats.uniqueGeometries = [...geometries.values()].reduce((sum, list) => sum + list.length, 0);
+        stats.uniqueMaterials = materials.size;
+    }
+
+    instance(meshes, stats, frustumCulled) {
+        this.root.updateMatrixWorld(true);
+        const groups = new Map(); // "几何体|材质" -> [mesh]
+        meshes.forEach(mesh => {
+            if (!mesh.visible) return; // 隐藏的网格保持原样
+            const key = `${mesh.geometry.uuid}|${materialsOf(mesh).map(m => m.uuid).join(',')}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(mesh);
+        });
+
+        const singles = [];
+        groups.forEach(list => {
+            if (list.length < 2) {
+                singles.push(list[0]);
+                return;
+            }
+            const first = list[0];
+            const instanced = new THREE.InstancedMesh(first.geometry, first.material, list.length);
+            instanced.name = `Instanced ${first.name || first.geometry.name || 'Mesh'} x${list.length}`;
+            this.addProxy(instanced, list, frustumCulled);
+            stats.instancedGroups++;
+            stats.instances += list.length;
+        });
+
+        // 只出现一次的网格：同一材质 + 同一属性布局的合并为 BatchedMesh (不支持多材质网格)
+        const batches = new Map();
+        singles.forEach(mesh => {
+            const layout = batchLayoutKey(mesh.geometry);
+            if (Array.isArray(mesh.material) || !layout) return;
+            const key = `${mesh.material.uuid}|${layout}`;
+            if (!batches.has(key)) batches.set(key, []);
+            batches.get(key).push(mesh);
+        });
+        batches.forEach(list => {
+            if (list.length < 2) return;
+            const vertexCount = list.reduce((sum, m) => sum + m.geometry.attributes.position.count, 0);
+            const indexCount = list.reduce((sum, m) => sum + (m.geometry.index ? m.geometry.index.count : 0), 0);
+            const batched = new THREE.BatchedMesh(list.length, vertexCount, Math.max(indexCount, 1), list[0].material);
+            list.forEach(mesh => batched.addGeometry(mesh.geometry));
+            batched.name = `Batched ${list[0].material.name || list[0].material.type} x${list.length}`;
+            this.addProxy(batched, list, frustumCulled);
+            stats.batches++;
+            stats.batchedMeshes += list.length;
+        });
+    }
+
+    addProxy(proxy, sourceMeshes, frustumCulled) {
+        proxy.userData.sourceMeshes = sourceMeshes;
+        proxy.castShadow = sourceMeshes[0].castShadow;
+        proxy.receiveShadow = sourceMeshes[0].receiveShadow;
+        proxy.frustumCulled = frustumCulled;
+        sourceMeshes.forEach(mesh => {
+            mesh.visible = false;
+            mesh.userData.instancedBy = proxy;
+        });
+        this.proxies.push(proxy);
+        this.root.add(proxy);
+        this.updateProxy(proxy);
+    }
+
+    // 实例矩阵 = 原网格相对 root 的变换
+    updateProxy(proxy) {
+        this._rootInverse.copy(this.root.matrixWorld).invert();
+        proxy.userData.sourceMeshes.forEach((mesh, i) => {
+            this._matrix.multiplyMatrices(this._rootInverse, mesh.matrixWorld);
+            proxy.setMatrixAt(i, this._matrix);
+        });
+        if (proxy.isInstancedMesh) proxy.instanceMatrix.needsUpdate = true;
+        proxy.boundingSphere = null; // 视锥剔除时按新的实例位置重新计算
+        proxy.boundingBox = null;
+    }
+
+    // 模型变换后调用
+    syncMatrices() {
+        if (this.proxies.length === 0) return;
+        this.root.updateMatrixWorld(true);
+        this.proxies.forEach(proxy => this.updateProxy(proxy));
+    }
+
+    // 还原为深拷贝表示
+    revert() {
+        this.proxies.forEach(proxy => {
+            proxy.userData.sourceMeshes.forEach(mesh => {
+                mesh.visible = true;
+                delete mesh.userData.instancedBy;
+            });
+            this.root.remove(proxy);
+            proxy.dispose(); // BatchedMesh 释放合并几何体与矩阵贴图，InstancedMesh 释放实例缓冲
+        });
+        this.proxies = [];
+
+        this.originals.forEach(({ geometry, material }, mesh) => {
+            mesh.geometry = geometry;
+            mesh.material = material;
+            const wire = mesh.children.find(c => c.userData.isWireframeMesh);
+            if (wire) wire.geometry = geometry;
+        });
+        this.originals.clear();
+        this.mode = REPRESENTATIONS[0];
+    }
+
+    collectResources(meshes) {
+        const resources = new Set();
+        meshes.forEach(mesh => {
+            resources.add(mesh.geometry);
+            materialsOf(mesh).forEach(material => {
+                resources.add(material);
+                collectTextures(material, resources);
+            });
+        });
+        return resources;
+    }
+
+    // 切换前用到、切换后不再渲染的资源释放 GPU 副本；返回释放数量
+    releaseUnused(before) {
+        const rendered = new Set();
+        this.root.traverse(obj => {
+            // 被实例化替代的网格 (及其线框子物体) 不再渲染
+            if (!obj.isMesh || obj.userData.instancedBy || (obj.parent && obj.parent.userData.instancedBy)) return;
+            rendered.add(obj.geometry);
+            materialsOf(obj).forEach(material => {
+                rendered.add(material);
+                collectTextures(material, rendered);
+            });
+        });
+        let count = 0;
+        before.forEach(resource => {
+            if (rendered.has(resource)) return;
+            resource.dispose();
+            count++;
+        });
+        return count;
+    }
+
+    // 射线命中实例化对象时换成对应的原网格 (用于选中模型)
+    resolveHit(intersection) {
+        const object = intersection.object;
+        const sources = object.userData.sourceMeshes;
+        if (!sources) return object;
+        const id = object.isBatchedMesh ? intersection.batchId : intersection.instanceId;
+        return sources[id] || object;
+    }
+}
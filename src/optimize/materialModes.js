@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+import { getMaterialTextures } from '../analysis/resourceTracker.js';
+
+// === 材质模式 ===
+// 在同一会话中对比 PBR 与烘焙后材质的着色开销：把模型材质整体替换为更便宜的材质，贴图原样复用。
+//   - Standard : MeshPhysicalMaterial 降级为 MeshStandardMaterial (其他材质不变)
+//   - Lambert  : MeshLambertMaterial (漫反射 + 法线贴图)
+//   - Unlit    : MeshBasicMaterial，只保留 baseColor 贴图与颜色
+//   - Baked    : Unlit + 外部提供的光照贴图 / AO 贴图 (有第二套 UV 的网格使用 uv1)
+// 原材质按网格记录在 MaterialOverrides 中，revert() 放回。
+
+export const MATERIAL_MODES = ['Original', 'Standard', 'Lambert', 'Unlit', 'Baked'];
+export const BAKED_CHANNELS = ['Lightmap', 'AO'];
+
+// 各材质类型共有、可以直接复制的属性 (目标材质没有的属性跳过)
+const SHARED_MATERIAL_PROPS = [
+    'name', 'color', 'map', 'lightMap', 'lightMapIntensity', 'aoMap', 'aoMapIntensity',
+    'emissive', 'emissiveMap', 'emissiveIntensity', 'bumpMap', 'bumpScale', 'normalMap', 'normalMapType', 'normalScale',
+    'displacementMap', 'displacementScale', 'displacementBias', 'alphaMap',
+    'roughness', 'roughnessMap', 'metalness', 'metalnessMap', 'envMap', 'envMapIntensity',
+    'opacity', 'transparent', 'alphaTest', 'alphaToCoverage', 'side', 'vertexColors', 'flatShading', 'wireframe',
+    'blending', 'depthWrite', 'depthTest', 'polygonOffset', 'polygonOffsetFactor', 'polygonOffsetUnits', 'fog', 'visible'
+];
+
+// 只有基础颜色与透明度相关的属性 (Unlit / Baked)
+const UNLIT_PROPS = [
+    'name', 'color', 'map', 'alphaMap', 'opacity', 'transparent', 'alphaTest', 'alphaToCoverage', 'side', 'vertexColors', 'wireframe',
+    'blending', 'depthWrite', 'depthTest', 'polygonOffset', 'polygonOffsetFactor', 'polygonOffsetUnits', 'fog', 'visible'
+];
+
+// 替换期间由场景开关修改、还原时需要同步回原材质的属性
+const SYNC_BACK_PROPS = ['side', 'wireframe'];
+
+export function copyProps(target, source, keys) {
+    keys.forEach(key => {
+        if (!(key in target) || source[key] === undefined) return;
+        const value = source[key];
+        if (value && typeof value.clone === 'function' && !value.isTexture) target[key] = value.clone();
+        else target[key] = value;
+    });
+    target.userData = { convertedFrom: source.type };
+    return target;
+}
+
+// 着色器材质、点 / 线材质等不替换
+export function isConvertible(material) {
+    return !!material && !material.isShaderMaterial && material.type.startsWith('Mesh') && 'map' in material && 'color' in material;
+}
+
+// 按网格替换材质并记录原材质 (材质模式与调试视图共用)；
+// revert() 放回原材质，同时把替换期间场景开关 (双面 / 线框) 的修改同步回原材质
+export class MaterialOverrides {
+    constructor() {
+        this.originals = new Map(); // mesh -> 原材质 (或材质数组)
+    }
+
+    replace(mesh, material) {
+        if (!this.originals.has(mesh)) this.originals.set(mesh, mesh.material);
+        mesh.material = material;
+    }
+
+    revert() {
+        this.originals.forEach((original, mesh) => {
+            const current = Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+            const originals = Array.isArray(original) ? original : [original];
+            originals.forEach((material, i) => {
+                if (!current[i] || current[i] === material) return;
+                SYNC_BACK_PROPS.forEach(key => { material[key] = current[i][key]; });
+                material.needsUpdate = true;
+            });
+            mesh.material = original;
+        });
+        this.originals.clear();
+    }
+
+    // 替换期间不在场景中的原材质及其贴图
+    getRetainedResources(retained = new Set()) {
+        this.originals.forEach(original => {
+            (Array.isArray(original) ? original : [original]).forEach(material => {
+                retained.add(material);
+                getMaterialTextures(material).forEach(t => retained.add(t));
+            });
+        });
+        return retained;
+    }
+}
+
+export class MaterialModeSwitcher {
+    constructor() {
+        this.mode = MATERIAL_MODES[0];
+        this.overrides = new MaterialOverrides();
+        this.converted = new Map();  // `${原材质 uuid}|${UV 通道}` -> 替换材质
+        this.bakedTexture = null;
+        this.bakedChannel = BAKED_CHANNELS[0];
+        this.bakedTextures = new Map(); // UV 通道 -> 烘焙贴图 (按通道克隆，共享图像源)
+    }
+
+    // 设置 Baked 模式使用的贴图；旧贴图释放
+    setBakedTexture(texture) {
+        this.clearBakedTexture();
+        this.bakedTexture = texture;
+    }
+
+    clearBakedTexture() {
+        this.bakedTextures.forEach(t => t.dispose());
+        this.bakedTextures.clear();
+        if (this.bakedTexture) this.bakedTexture.dispose();
+        this.bakedTexture = null;
+    }
+
+    // 8 位图像的光照贴图按 sRGB 颜色解码，HDR / EXR (半精度 / 浮点) 光照贴图本身就是线性数据，
+    // AO 按线性数据读取：切换用途时重新生成按通道克隆的贴图
+    setBakedChannel(channel) {
+        if (channel === this.bakedChannel) return;
+        this.bakedChannel = channel;
+        this.bakedTextures.forEach(t => t.dispose());
+        this.bakedTextures.clear();
+    }
+
+    getBakedTexture(channel) {
+        if (!this.bakedTextures.has(channel)) {
+            const texture = this.bakedTexture.clone();
+            texture.channel = channel;
+            if (this.bakedChannel !== 'Lightmap') texture.colorSpace = THREE.NoColorSpace;
+            else texture.colorSpace = texture.type === THREE.UnsignedByteType ? THREE.SRGBColorSpace : THREE.LinearSRGBColorSpace;
+            texture.needsUpdate = true;
+            this.bakedTextures.set(channel, texture);
+        }
+        return this.bakedTextures.get(channel);
+    }
+
+    // 按模式生成替换材质；返回 null 表示保留原材质
+    convert(material, mode, channel) {
+        if (!isConvertible(material)) return null;
+        switch (mode) {
+            case 'Standard': {
+                if (!material.isMeshPhysicalMaterial) return null;
+                return copyProps(new THREE.MeshStandardMaterial(), material, SHARED_MATERIAL_PROPS);
+            }
+            case 'Lambert':
+                return copyProps(new THREE.MeshLambertMaterial(), material, SHARED_MATERIAL_PROPS);
+            case 'Unlit':
+                return copyProps(new THREE.MeshBasicMaterial(), material, UNLIT_PROPS);
+            case 'Baked': {
+                const baked = copyProps(new THREE.MeshBasicMaterial(), material, UNLIT_PROPS);
+                if (this.bakedChannel === 'Lightmap') {
+                    baked.lightMap = this.getBakedTexture(channel);
+                    baked.lightMapIntensity = Math.PI; // MeshBasicMaterial 的光照贴图会乘以 1/π
+                } else {
+                    baked.aoMap = this.getBakedTexture(channel);
+                }
+                return baked;
+            }
+            default:
+                return null;
+        }
+    }
+
+    // models: [{ object }]；先还原再替换当前模型的全部网格材质，返回 { meshes, materials, kept }
+    apply(mode, models) {
+        this.revert();
+        this.mode = mode;
+        const stats = { meshes: 0, materials: 0, kept: 0 };
+        if (mode === MATERIAL_MODES[0]) return stats;
+
+        models.forEach(({ object }) => object.traverse(child => {
+            if (!child.isMesh || !child.userData.isModelMesh || !child.material) return;
+            // 烘焙贴图优先使用第二套 UV (光照贴图通常展开在 uv1)
+            const channel = child.geometry.attributes.uv1 ? 1 : 0;
+            let changed = false;
+            const swap = (material) => {
+                const key = `${material.uuid}|${channel}`;
+                if (!this.converted.has(key)) {
+                    const replacement = this.convert(material, mode, channel);
+                    if (replacement) this.converted.set(key, replacement);
+                    else {
+                        stats.kept++;
+                        return material;
+                    }
+                }
+                changed = true;
+                return this.converted.get(key);
+            };
+            const next = Array.isArray(child.material) ? child.material.map(swap) : swap(child.material);
+            if (!changed) return;
+            this.overrides.replace(child, next);
+            stats.meshes++;
+        }));
+        stats.materials = this.converted.size;
+        return stats;
+    }
+
+    // 放回原材质并释放替换材质；模式保持不变，便于之后重新应用
+    revert() {
+        this.overrides.revert();
+        this.converted.forEach(material => material.dispose());
+        this.converted.clear();
+    }
+
+    // 替换期间的原材质及其贴图、当前未使用的烘焙贴图 (泄漏报告中视为有意保留)
+    getRetainedResources() {
+        return this.overrides.getRetainedResources(new Set(this.bakedTextures.values()));
+    }
+}
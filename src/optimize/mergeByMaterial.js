@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+import { mergeGeometries, deinterleaveGeometry } from 'three/addons/utils/BufferGeometryUtils.js';
+
+// === 按材质合并网格 ===
+// CAD / BIM 导出的模型常常是成千上万个小网格共用少数几种材质，Draw Call 成为瓶颈。
+// 把同一模型中材质相同、属性布局一致的网格合并为一个网格，各网格的变换烘焙进顶点 (模型根节点坐标系)。
+// 原网格只是从父节点上摘下，记录在 records 中，unmergeByMaterial() 按原位置放回即可还原层级。
+//
+// 合并使用简化备份 (原始分辨率) 的几何体，合并结果作为新网格的简化备份，之后可以照常简化。
+// 跳过：蒙皮 / 变形目标 / 多材质网格、隐藏的网格、只出现一次的材质。
+
+const records = new WeakMap(); // root -> { merged: [mesh], detached: [{ mesh, parent, index, backup }] }
+
+export function isMerged(root) {
+    return records.has(root);
+}
+
+// 属性名、itemSize、归一化、数组类型与是否有索引都一致才能合并
+function layoutKey(geometry) {
+    const attrs = Object.keys(geometry.attributes).sort().map(name => {
+        const attr = geometry.attributes[name];
+        return `${name}:${attr.itemSize}${attr.normalized ? 'n' : ''}:${attr.array.constructor.name}`;
+    });
+    return `${attrs.join('|')}|${geometry.index ? 'indexed' : 'flat'}`;
+}
+
+// 镜像变换 (行列式为负) 会翻转三角形的朝向，交换每个三角形的后两个顶点恢复
+function flipWinding(geometry) {
+    if (geometry.index) {
+        const index = geometry.index.array;
+        for (let i = 0; i + 2 < index.length; i += 3) {
+            const t = index[i + 1];
+            index[i + 1] = index[i + 2];
+            index[i + 2] = t;
+        }
+        return;
+    }
+    Object.values(geometry.attributes).forEach(attr => {
+        const { array, itemSize } = attr;
+        const stride = itemSize * 3;
+        for (let i = 0; i + stride <= array.length; i += stride) {
+            for (let k = 0; k < itemSize; k++) {
+                const t = array[i + itemSize + k];
+                array[i + itemSize + k] = array[i + 2 * itemSize + k];
+                array[i + 2 * itemSize + k] = t;
+            }
+        }
+    });
+}
+
+function isVisibleInRoot(mesh, root) {
+    let visible = true;
+    let node = mesh;
+    while (node && node !== root) {
+        if (!node.visible) visible = false;
+        node = node.parent;
+    }
+    return visible;
+}
+
+// backups: Map(mesh -> 原始分辨率几何体)，没有备份的网格使用当前几何体
+// 返回 { merged: [{ mesh, backup }], detached: [mesh], groups, meshesBefore, meshesAfter, skipped }；没有可合并的网格时返回 null
+export function mergeByMaterial(root, backups = new Map()) {
+    if (records.has(root)) return null;
+    root.updateMatrixWorld(true);
+    const rootInverse = root.matrixWorld.clone().invert();
+
+    let meshesBefore = 0;
+    let skipped = 0;
+    const groups = new Map(); // 材质 + 布局 -> [{ mesh, geometry }]
+    root.traverse(child => {
+        if (!child.isMesh || !child.userData.isModelMesh) return;
+        meshesBefore++;
+        const source = backups.get(child) || child.geometry;
+        if (child.isSkinnedMesh || Array.isArray(child.material) || Object.keys(source.morphAttributes).length > 0 || !isVisibleInRoot(child, root)) {
+            skipped++;
+            return;
+        }
+        // 交错缓冲先展开，便于合并与变换
+        const geometry = source.clone();
+        if (Object.values(geometry.attributes).some(attr => attr.isInterleavedBufferAttribute)) deinterleaveGeometry(geometry);
+        const key = `${child.material.uuid}|${layoutKey(geometry)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ mesh: child, geometry });
+    });
+
+    const merged = [];
+    const detached = [];
+    const matrix = new THREE.Matrix4();
+    groups.forEach(items => {
+        if (items.length < 2) {
+            items.forEach(item => item.geometry.dispose());
+            return;
+        }
+        items.forEach(({ mesh, geometry }) => {
+            matrix.multiplyMatrices(rootInverse, mesh.matrixWorld);
+            geometry.applyMatrix4(matrix);
+            if (matrix.determinant() < 0) flipWinding(geometry);
+        });
+        const geometry = mergeGeometries(items.map(item => item.geometry), false);
+        items.forEach(item => item.geometry.dispose());
+        if (!geometry) {
+            skipped += items.length;
+            return;
+        }
+
+        const first = items[0].mesh;
+        const mesh = new THREE.Mesh(geometry, first.material);
+        mesh.name = `${first.material.name || first.material.type} (merged ${items.length})`;
+        mesh.castShadow = first.castShadow;
+        mesh.receiveShadow = first.receiveShadow;
+        mesh.frustumCulled = first.frustumCulled;
+        mesh.userData.isModelMesh = true;
+        mesh.userData.mergedCount = items.length;
+        merged.push({ mesh, backup: geometry.clone() });
+
+        items.forEach(({ mesh: source }) => detached.push({ mesh: source, parent: source.parent, index: source.parent.children.indexOf(source), backup: backups.get(source) || null }));
+    });
+
+    if (merged.length === 0) return null;
+
+    // 按原位置从后往前摘下，还原时按从前往后插回
+    detached.sort((a, b) => b.index - a.index).forEach(({ mesh }) => mesh.parent.remove(mesh));
+    merged.forEach(({ mesh }) => root.add(mesh));
+
+    // 摘下的网格不再渲染：释放它们 (及线框叠加) 的 GPU 副本，CPU 数据保留用于还原
+    detached.forEach(({ mesh, backup }) => {
+        mesh.geometry.dispose();
+        if (backup) backup.dispose();
+        mesh.children.forEach(c => {
+            if (c.userData.isWireframeMesh) c.material.dispose();
+        });
+    });
+
+    records.set(root, { merged: merged.map(m => m.mesh), detached });
+    return {
+        merged,
+        detached: detached.map(d => d.mesh),
+        groups: merged.length,
+        meshesBefore,
+        meshesAfter: meshesBefore - detached.length + merged.length,
+        skipped
+    };
+}
+
+// 还原原层级；返回 { restored: [{ mesh, backup }], removed: [合并网格] }，未合并时返回 null
+export function unmergeByMaterial(root) {
+    const record = records.get(root);
+    if (!record) return null;
+
+    record.merged.forEach(mesh => {
+        mesh.removeFromParent();
+        mesh.geometry.dispose();
+        mesh.children.forEach(c => {
+            if (c.userData.isWireframeMesh) c.material.dispose();
+        });
+    });
+    [...record.detached].sort((a, b) => a.index - b.index).forEach(({ mesh, parent, index }) => {
+        parent.add(mesh);
+        parent.children.splice(parent.children.indexOf(mesh), 1);
+        parent.children.splice(Math.min(index, parent.children.length), 0, mesh);
+    });
+
+    records.delete(root);
+    return {
+        restored: record.detached.map(({ mesh, backup }) => ({ mesh, backup })),
+        removed: record.merged
+    };
+}
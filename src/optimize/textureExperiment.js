@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+import { collectMaterialTextures } from '../analysis/vramAccounting.js';
+
+// === 贴图实验 ===
+// 回答 "如果所有贴图都是 1K 会怎样"：不重新导出资源，直接把已加载模型的材质贴图缩小到上限尺寸
+// (可选强制 2 的幂)，并可关闭 mipmap、覆盖各向异性过滤。
+//
+// 缩小作用在 Source 上 (同一图像源的多个 Texture 一起生效)，原图像与采样设置保存在 originals 中，
+// revert() 立即还原。缩放结果按 "图像源 + 尺寸" 缓存，切换设置或重新应用时不必重复绘制。
+// 只处理可绘制到 Canvas 的图像 (Image / ImageBitmap / Canvas)；压缩贴图与 DataTexture 不缩放，
+// 只应用 mipmap 与各向异性设置。Canvas 2D 使用预乘 alpha，低 alpha 像素的颜色可能略有损失。
+
+export const TEXTURE_SIZE_OPTIONS = { Original: 0, '4096': 4096, '2048': 2048, '1024': 1024, '512': 512, '256': 256, '128': 128 };
+export const ANISOTROPY_OPTIONS = { Original: 0, '1x': 1, '2x': 2, '4x': 4, '8x': 8, '16x': 16 };
+
+export const DEFAULT_TEXTURE_SETTINGS = { maxSize: 0, powerOfTwo: false, mipmaps: true, anisotropy: 0 };
+
+const MIPMAP_FILTERS = new Set([
+    THREE.NearestMipmapNearestFilter, THREE.NearestMipmapLinearFilter,
+    THREE.LinearMipmapNearestFilter, THREE.LinearMipmapLinearFilter
+]);
+const NEAREST_FILTERS = new Set([THREE.NearestMipmapNearestFilter, THREE.NearestMipmapLinearFilter]);
+
+export function isTextureExperimentActive(settings) {
+    return settings.maxSize > 0 || settings.powerOfTwo || !settings.mipmaps || settings.anisotropy > 0;
+}
+
+function isDrawable(image) {
+    if (!image || !(image.width > 0) || !(image.height > 0)) return false;
+    return (typeof HTMLImageElement !== 'undefined' && image instanceof HTMLImageElement) ||
+        (typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement) ||
+        (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap) ||
+        (typeof OffscreenCanvas !== 'undefined' && image instanceof OffscreenCanvas);
+}
+
+// 上限尺寸与 2 的幂约束下的目标尺寸；不需要缩放时返回 null
+export function getTargetSize(width, height, { maxSize, powerOfTwo }) {
+    const scale = maxSize > 0 ? Math.min(1, maxSize / Math.max(width, height)) : 1;
+    let w = Math.max(1, Math.round(width * scale));
+    let h = Math.max(1, Math.round(height * scale));
+    if (powerOfTwo) {
+        w = THREE.MathUtils.floorPowerOfTwo(w);
+        h = THREE.MathUtils.floorPowerOfTwo(h);
+    }
+    return w === width && h === height ? null : { width: w, height: h };
+}
+
+// 逐级减半缩小 (每步最多缩小一半)，比一次 drawImage 缩到目标尺寸的锯齿少
+function resizeImage(image, width, height) {
+    let source = image;
+    let w = image.width;
+    let h = image.height;
+    do {
+        w = Math.max(width, Math.floor(w / 2));
+        h = Math.max(height, Math.floor(h / 2));
+        const canvas = document.createElement('canvas');
+        canvas.width = w;
+        canvas.height = h;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, w, h);
+        source = canvas;
+    } while (w > width || h > height);
+    return source;
+}
+
+export class TextureExperiment {
+    constructor() {
+        this.settings = { ...DEFAULT_TEXTURE_SETTINGS };
+        this.textures = new Map(); // texture -> 原采样设置 { generateMipmaps, minFilter, anisotropy }
+        this.sources = new Map();  // source -> 原图像
+        this.cache = new Map();    // `${source.uuid}|${w}x${h}` -> Canvas
+    }
+
+    get active() {
+        return isTextureExperimentActive(this.settings);
+    }
+
+    // models: [{ object }]；先还原再按新设置处理当前模型的全部材质贴图
+    // 返回 { textures, resized, skipped }：skipped 为需要缩放但图像不可绘制 (压缩 / 数据贴图) 的数量
+    apply(models, settings, { maxAnisotropy = 16 } = {}) {
+        this.revert();
+        this.settings = { ...settings };
+        const stats = { textures: 0, resized: 0, skipped: 0 };
+        if (!this.active) {
+            this.cache.clear();
+            return stats;
+        }
+
+        const textures = new Set();
+        models.forEach(({ object }) => object.traverse(child => {
+            if (!child.material) return;
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(m => collectMaterialTextures(m, textures));
+        }));
+
+        const cache = new Map();
+        textures.forEach(texture => {
+            if (texture.isRenderTargetTexture || texture.isCubeTexture || texture.isVideoTexture) return;
+            stats.textures++;
+            this.textures.set(texture, {
+                generateMipmaps: texture.generateMipmaps,
+                minFilter: texture.minFilter,
+                anisotropy: texture.anisotropy
+            });
+
+            if (!this.settings.mipmaps && MIPMAP_FILTERS.has(texture.minFilter)) {
+                texture.generateMipmaps = false;
+                texture.minFilter = NEAREST_FILTERS.has(texture.minFilter) ? THREE.NearestFilter : THREE.LinearFilter;
+            }
+            if (this.settings.anisotropy > 0) texture.anisotropy = Math.min(this.settings.anisotropy, maxAnisotropy);
+
+            const source = texture.source;
+            const image = this.sources.has(source) ? this.sources.get(source) : source.data;
+            const target = image && image.width > 0 ? getTargetSize(image.width, image.height, this.settings) : null;
+            if (target && !isDrawable(image)) stats.skipped++;
+            if (target && isDrawable(image) && !this.sources.has(source)) {
+                const key = `${source.uuid}|${target.width}x${target.height}`;
+                const resized = this.cache.get(key) || resizeImage(image, target.width, target.height);
+                cache.set(key, resized);
+                this.sources.set(source, image);
+                source.data = resized;
+                source.needsUpdate = true;
+            }
+            if (this.sources.has(source)) stats.resized++;
+            texture.needsUpdate = true;
+        });
+        this.cache = cache; // 只保留当前设置用到的缩放结果
+        return stats;
+    }
+
+    // 还原原图像与采样设置 (设置本身保留，便于之后用同样的设置重新应用)
+    revert() {
+        this.sources.forEach((image, source) => {
+            source.data = image;
+            source.needsUpdate = true;
+        });
+        this.textures.forEach((original, texture) => {
+            Object.assign(texture, original);
+            texture.needsUpdate = true;
+        });
+        this.sources.clear();
+        this.textures.clear();
+    }
+}
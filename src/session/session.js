@@ -0,0 +1,58 @@
+// === 会话文件 ===
+// 保存 / 恢复工作区：模型来源文件 (相对路径)、变换、简化设置、params、HDR 与相机位姿。
+// 会话只记录文件路径，不包含文件内容；恢复时由用户重新提供同一批文件，再按路径匹配。
+
+export const SESSION_VERSION = 1;
+
+// 文件的相对路径：拖拽文件夹时为目录条目路径，选择文件夹时为 webkitRelativePath，否则为文件名
+export function getRelativePath(file) {
+    return file.relativePath || file.webkitRelativePath || file.name;
+}
+
+export function serializeTransform(object) {
+    return {
+        position: object.position.toArray(),
+        quaternion: object.quaternion.toArray(),
+        scale: object.scale.toArray()
+    };
+}
+
+export function applyTransform(object, transform) {
+    object.position.fromArray(transform.position);
+    object.quaternion.fromArray(transform.quaternion);
+    object.scale.fromArray(transform.scale);
+    object.updateMatrixWorld(true);
+}
+
+export function parseSession(text) {
+    const data = JSON.parse(text);
+    if (!data || data.type !== 'session' || !Array.isArray(data.models)) {
+        throw new Error('Not a session file');
+    }
+    if (data.version > SESSION_VERSION) {
+        throw new Error(`Unsupported session version ${data.version}`);
+    }
+    return data;
+}
+
+// 用户提供的文件 -> { byPath, byName }
+export function indexSuppliedFiles(files) {
+    const byPath = new Map();
+    const byName = new Map();
+    Array.from(files).forEach(file => {
+        byPath.set(getRelativePath(file), file);
+        if (!byName.has(file.name)) byName.set(file.name, file);
+    });
+    return { byPath, byName };
+}
+
+// 按记录的相对路径查找文件：完全匹配 -> 路径后缀匹配 (选择了上一级或改名的文件夹) -> 文件名
+export function findSuppliedFile(index, path) {
+    if (index.byPath.has(path)) return index.byPath.get(path);
+
+    for (const [candidate, file] of index.byPath) {
+        if (candidate.endsWith('/' + path) || path.endsWith('/' + candidate)) return file;
+    }
+    const name = path.split('/').pop();
+    return index.byName.get(name) || null;
+}
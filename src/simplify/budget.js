@@ -0,0 +1,35 @@
+// === 三角形预算分配 ===
+// 把一个总预算按权重分给多个网格 (water-filling)：
+// 按权重比例分配，份额超过网格自身三角形数的部分收回，再按剩余网格的权重重新分配，直到没有溢出。
+// 权重由调用方决定：按 "size" 通常取三角形数 (等比例缩减)，按 "importance" 取屏幕占比等视觉重要度。
+
+// items: [{ triangles, weight }]；返回每个网格的目标三角形数 (不超过其原始三角形数)
+export function distributeBudget(items, budget, { minTriangles = 1 } = {}) {
+    const targets = items.map(() => 0);
+    let remaining = Math.max(0, Math.floor(budget));
+    let active = items.map((_, i) => i).filter(i => items[i].triangles > 0);
+
+    while (active.length > 0) {
+        let totalWeight = active.reduce((sum, i) => sum + Math.max(0, items[i].weight), 0);
+        const weightOf = totalWeight > 0 ? (i) => Math.max(0, items[i].weight) : () => 1;
+        if (totalWeight <= 0) totalWeight = active.length;
+
+        // 份额足够保留全部三角形的网格先固定下来，多余部分留给其他网格
+        const saturated = active.filter(i => remaining * weightOf(i) / totalWeight >= items[i].triangles);
+        if (saturated.length === 0) {
+            active.forEach(i => {
+                const share = Math.floor(remaining * weightOf(i) / totalWeight);
+                targets[i] = Math.min(items[i].triangles, Math.max(minTriangles, share));
+            });
+            break;
+        }
+        saturated.forEach(i => {
+            targets[i] = items[i].triangles;
+            remaining -= items[i].triangles;
+        });
+        const fixed = new Set(saturated);
+        active = active.filter(i => !fixed.has(i));
+    }
+
+    return targets;
+}
@@ -0,0 +1,355 @@
+// === 几何误差度量 (Hausdorff / 平均 / RMS 表面距离) ===
+// 纯 JS 实现 (不依赖 three)，在简化 Worker 中直接使用。
+//
+// 做法与 Metro 工具类似：在表面 A 上采样点，求每个点到表面 B 的最近距离。
+//   forward  = 原始网格 -> 简化网格 (原始表面被 "削掉" 的程度)
+//   backward = 简化网格 -> 原始网格 (简化表面 "鼓出来" 的程度)
+// 单向 Hausdorff 取采样点距离的最大值，双向取两者最大值；平均 / RMS 按面积均匀采样计算。
+// 顶点也作为采样点参与最大值计算 (误差最大处常在被删除的顶点上)，但不参与平均值，以免偏向细分密集的区域。
+//
+// 简化结果的索引引用的是原始顶点 (半边折叠)，因此两个表面共用同一份 positions。
+
+export const DEFAULT_DEVIATION_SAMPLES = 20000;  // 每个方向的面积采样点数
+const MAX_VERTEX_SAMPLES = 100000;               // 顶点采样上限 (超出时按步长抽取)
+const BVH_LEAF_SIZE = 4;
+
+// 固定种子的伪随机数 (mulberry32)，保证同一输入的结果可复现
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function triangleArea(P, a, b, c) {
+    const abx = P[b * 3] - P[a * 3], aby = P[b * 3 + 1] - P[a * 3 + 1], abz = P[b * 3 + 2] - P[a * 3 + 2];
+    const acx = P[c * 3] - P[a * 3], acy = P[c * 3 + 1] - P[a * 3 + 1], acz = P[c * 3 + 2] - P[a * 3 + 2];
+    const cx = aby * acz - abz * acy;
+    const cy = abz * acx - abx * acz;
+    const cz = abx * acy - aby * acx;
+    return 0.5 * Math.sqrt(cx * cx + cy * cy + cz * cz);
+}
+
+function distanceSq(P, i, x, y, z) {
+    const dx = P[i * 3] - x, dy = P[i * 3 + 1] - y, dz = P[i * 3 + 2] - z;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+// 点到三角形的最近距离平方 (Ericson, Real-Time Collision Detection 5.1.5)
+function pointTriangleDistanceSq(px, py, pz, P, a, b, c) {
+    const ax = P[a * 3], ay = P[a * 3 + 1], az = P[a * 3 + 2];
+    const bx = P[b * 3], by = P[b * 3 + 1], bz = P[b * 3 + 2];
+    const cx = P[c * 3], cy = P[c * 3 + 1], cz = P[c * 3 + 2];
+    const abx = bx - ax, aby = by - ay, abz = bz - az;
+    const acx = cx - ax, acy = cy - ay, acz = cz - az;
+
+    const apx = px - ax, apy = py - ay, apz = pz - az;
+    const d1 = abx * apx + aby * apy + abz * apz;
+    const d2 = acx * apx + acy * apy + acz * apz;
+    if (d1 <= 0 && d2 <= 0) return distanceSq(P, a, px, py, pz);
+
+    const bpx = px - bx, bpy = py - by, bpz = pz - bz;
+    const d3 = abx * bpx + aby * bpy + abz * bpz;
+    const d4 = acx * bpx + acy * bpy + acz * bpz;
+    if (d3 >= 0 && d4 <= d3) return distanceSq(P, b, px, py, pz);
+
+    let qx, qy, qz;
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        const v = d1 / (d1 - d3);
+        qx = ax + v * abx; qy = ay + v * aby; qz = az + v * abz;
+    } else {
+        const cpx = px - cx, cpy = py - cy, cpz = pz - cz;
+        const d5 = abx * cpx + aby * cpy + abz * cpz;
+        const d6 = acx * cpx + acy * cpy + acz * cpz;
+        if (d6 >= 0 && d5 <= d6) return distanceSq(P, c, px, py, pz);
+
+        const vb = d5 * d2 - d1 * d6;
+        const va = d3 * d6 - d5 * d4;
+        if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+            const w = d2 / (d2 - d6);
+            qx = ax + w * acx; qy = ay + w * acy; qz = az + w * acz;
+        } else if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+            const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+            qx = bx + w * (cx - bx); qy = by + w * (cy - by); qz = bz + w * (cz - bz);
+        } else {
+            const sum = va + vb + vc;
+            // 退化三角形：退回到最近的角点
+            if (!(sum > 0)) {
+                return Math.min(distanceSq(P, a, px, py, pz), distanceSq(P, b, px, py, pz), distanceSq(P, c, px, py, pz));
+            }
+            const v = vb / sum;
+            const w = vc / sum;
+            qx = ax + abx * v + acx * w; qy = ay + aby * v + acy * w; qz = az + abz * v + acz * w;
+        }
+    }
+    const dx = px - qx, dy = py - qy, dz = pz - qz;
+    return dx * dx + dy * dy + dz * dz;
+}
+
+// 三角形包围盒层次 (BVH)：节点按质心中点二分，叶子最多 BVH_LEAF_SIZE 个三角形
+class TriangleBVH {
+    constructor(positions, index, triangleCount) {
+        this.P = positions;
+        this.index = index;
+
+        const n = triangleCount;
+        const maxNodes = Math.max(1, 2 * n);
+        this.bounds = new Float64Array(maxNodes * 6);
+        this.left = new Uint32Array(maxNodes);   // 内部节点：左子节点 (右子节点 = left + 1)
+        this.start = new Uint32Array(maxNodes);  // 叶子：tris 中的起始位置
+        this.count = new Uint32Array(maxNodes);  // 叶子：三角形数；内部节点为 0
+        this.tris = new Uint32Array(n);
+
+        // 每个三角形的质心
+        const centroids = new Float64Array(n * 3);
+        for (let t = 0; t < n; t++) {
+            this.tris[t] = t;
+            for (let k = 0; k < 3; k++) {
+                const a = index[t * 3], b = index[t * 3 + 1], c = index[t * 3 + 2];
+                centroids[t * 3 + k] = (positions[a * 3 + k] + positions[b * 3 + k] + positions[c * 3 + k]) / 3;
+            }
+        }
+
+        let nodeCount = 1;
+        const stack = [[0, 0, n]];
+        while (stack.length > 0) {
+            const [node, begin, end] = stack.pop();
+            this.computeBounds(node, begin, end);
+
+            const count = end - begin;
+            if (count <= BVH_LEAF_SIZE) {
+                this.start[node] = begin;
+                this.count[node] = count;
+                continue;
+            }
+
+            // 质心包围盒最长轴的中点
+            let min = [Infinity, Infinity, Infinity];
+            let max = [-Infinity, -Infinity, -Infinity];
+            for (let i = begin; i < end; i++) {
+                const t = this.tris[i];
+                for (let k = 0; k < 3; k++) {
+                    const v = centroids[t * 3 + k];
+                    if (v < min[k]) min[k] = v;
+                    if (v > max[k]) max[k] = v;
+                }
+            }
+            let axis = 0;
+            if (max[1] - min[1] > max[axis] - min[axis]) axis = 1;
+            if (max[2] - min[2] > max[axis] - min[axis]) axis = 2;
+            const split = (min[axis] + max[axis]) / 2;
+
+            let mid = begin;
+            for (let i = begin; i < end; i++) {
+                const t = this.tris[i];
+                if (centroids[t * 3 + axis] < split) {
+                    this.tris[i] = this.tris[mid];
+                    this.tris[mid] = t;
+                    mid++;
+                }
+            }
+            // 质心重合时无法按位置划分，直接对半分
+            if (mid === begin || mid === end) mid = begin + (count >> 1);
+
+            const left = nodeCount;
+            nodeCount += 2;
+            this.left[node] = left;
+            this.count[node] = 0;
+            stack.push([left, begin, mid], [left + 1, mid, end]);
+        }
+    }
+
+    computeBounds(node, begin, end) {
+        const { P, index, bounds } = this;
+        const o = node * 6;
+        bounds[o] = bounds[o + 1] = bounds[o + 2] = Infinity;
+        bounds[o + 3] = bounds[o + 4] = bounds[o + 5] = -Infinity;
+        for (let i = begin; i < end; i++) {
+            const t = this.tris[i];
+            for (let c = 0; c < 3; c++) {
+                const v = index[t * 3 + c];
+                for (let k = 0; k < 3; k++) {
+                    const x = P[v * 3 + k];
+                    if (x < bounds[o + k]) bounds[o + k] = x;
+                    if (x > bounds[o + 3 + k]) bounds[o + 3 + k] = x;
+                }
+            }
+        }
+    }
+
+    boxDistanceSq(node, x, y, z) {
+        const b = this.bounds;
+        const o = node * 6;
+        const dx = Math.max(b[o] - x, 0, x - b[o + 3]);
+        const dy = Math.max(b[o + 1] - y, 0, y - b[o + 4]);
+        const dz = Math.max(b[o + 2] - z, 0, z - b[o + 5]);
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    // 点到整个表面的最近距离平方
+    closestDistanceSq(x, y, z) {
+        const { P, index, tris } = this;
+        let best = Infinity;
+        const stack = [0];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (this.boxDistanceSq(node, x, y, z) >= best) continue;
+
+            const count = this.count[node];
+            if (count > 0) {
+                const start = this.start[node];
+                for (let i = start; i < start + count; i++) {
+                    const t = tris[i];
+                    const d = pointTriangleDistanceSq(x, y, z, P, index[t * 3], index[t * 3 + 1], index[t * 3 + 2]);
+                    if (d < best) best = d;
+                }
+                continue;
+            }
+            // 先访问较近的子节点 (后入栈先出)
+            const left = this.left[node];
+            const dl = this.boxDistanceSq(left, x, y, z);
+            const dr = this.boxDistanceSq(left + 1, x, y, z);
+            if (dl < dr) stack.push(left + 1, left);
+            else stack.push(left, left + 1);
+        }
+        return best;
+    }
+}
+
+// 从表面 source 到表面 target 的单向距离 { max, mean, rms, area }
+function measureOneSided(P, source, sourceTris, bvh, samples, random) {
+    const areas = new Float64Array(sourceTris);
+    let area = 0;
+    for (let t = 0; t < sourceTris; t++) {
+        areas[t] = triangleArea(P, source[t * 3], source[t * 3 + 1], source[t * 3 + 2]);
+        area += areas[t];
+    }
+    if (sourceTris === 0 || bvh.tris.length === 0) return { max: 0, mean: 0, rms: 0, area };
+
+    let max = 0;
+
+    // 顶点：只参与最大值
+    const used = new Uint8Array(P.length / 3);
+    let usedCount = 0;
+    for (let i = 0; i < sourceTris * 3; i++) {
+        if (!used[source[i]]) { used[source[i]] = 1; usedCount++; }
+    }
+    const stride = Math.max(1, Math.ceil(usedCount / MAX_VERTEX_SAMPLES));
+    let seen = 0;
+    for (let v = 0; v < used.length; v++) {
+        if (!used[v] || (seen++ % stride) !== 0) continue;
+        const d = bvh.closestDistanceSq(P[v * 3], P[v * 3 + 1], P[v * 3 + 2]);
+        if (d > max) max = d;
+    }
+
+    // 面积均匀采样：每个三角形的采样数 = 期望值随机取整 (分层抽样，方差比全局随机小)
+    let sum = 0;
+    let sumSq = 0;
+    let n = 0;
+    const density = area > 0 ? samples / area : 0;
+    for (let t = 0; t < sourceTris; t++) {
+        const k = Math.floor(areas[t] * density + random());
+        if (k === 0) continue;
+        const a = source[t * 3], b = source[t * 3 + 1], c = source[t * 3 + 2];
+        for (let s = 0; s < k; s++) {
+            // 三角形内均匀分布的重心坐标
+            const r1 = Math.sqrt(random());
+            const r2 = random();
+            const wa = 1 - r1, wb = r1 * (1 - r2), wc = r1 * r2;
+            const x = wa * P[a * 3] + wb * P[b * 3] + wc * P[c * 3];
+            const y = wa * P[a * 3 + 1] + wb * P[b * 3 + 1] + wc * P[c * 3 + 1];
+            const z = wa * P[a * 3 + 2] + wb * P[b * 3 + 2] + wc * P[c * 3 + 2];
+            const d = bvh.closestDistanceSq(x, y, z);
+            if (d > max) max = d;
+            const dist = Math.sqrt(d);
+            sum += dist;
+            sumSq += d;
+            n++;
+        }
+    }
+
+    return {
+        max: Math.sqrt(max),
+        mean: n > 0 ? sum / n : 0,
+        rms: n > 0 ? Math.sqrt(sumSq / n) : 0,
+        area
+    };
+}
+
+function sequentialIndex(count) {
+    const index = new Uint32Array(count);
+    for (let i = 0; i < count; i++) index[i] = i;
+    return index;
+}
+
+// positions: 两个表面共用的顶点坐标；original / simplified: 三角形索引 (original 为 null 时按顶点顺序)
+// 返回 { forward, backward }，距离与面积都是网格局部坐标单位
+export function measureDeviation({ positions, original, simplified, samples = DEFAULT_DEVIATION_SAMPLES }) {
+    const A = original || sequentialIndex(positions.length / 3);
+    const B = simplified;
+    const trisA = Math.floor(A.length / 3);
+    const trisB = Math.floor(B.length / 3);
+
+    const random = createRandom(0x5EED);
+    const bvhA = new TriangleBVH(positions, A, trisA);
+    const bvhB = new TriangleBVH(positions, B, trisB);
+
+    return {
+        forward: measureOneSided(positions, A, trisA, bvhB, samples, random),
+        backward: measureOneSided(positions, B, trisB, bvhA, samples, random)
+    };
+}
+
+// 未简化的网格：距离为 0，只贡献面积
+export function zeroDeviation(area) {
+    const side = { max: 0, mean: 0, rms: 0, area };
+    return { forward: { ...side }, backward: { ...side } };
+}
+
+// 局部坐标 -> 世界坐标 (距离乘 scale，面积乘 scale²)
+export function scaleDeviation(deviation, scale) {
+    const scaleSide = (s) => ({ max: s.max * scale, mean: s.mean * scale, rms: s.rms * scale, area: s.area * scale * scale });
+    return { forward: scaleSide(deviation.forward), backward: scaleSide(deviation.backward) };
+}
+
+// 把多个网格 (同一坐标系) 的结果合并：最大值取最大，平均 / RMS 按面积加权
+function mergeSides(sides) {
+    let max = 0, sum = 0, sumSq = 0, area = 0;
+    sides.forEach(s => {
+        max = Math.max(max, s.max);
+        sum += s.mean * s.area;
+        sumSq += s.rms * s.rms * s.area;
+        area += s.area;
+    });
+    return {
+        max,
+        mean: area > 0 ? sum / area : 0,
+        rms: area > 0 ? Math.sqrt(sumSq / area) : 0,
+        area
+    };
+}
+
+export function mergeDeviation(list) {
+    return {
+        forward: mergeSides(list.map(d => d.forward)),
+        backward: mergeSides(list.map(d => d.backward))
+    };
+}
+
+// 按模型包围盒对角线归一化 (百分比)；双向平均 / RMS 合并两个方向的采样
+export function summarizeDeviation(deviation, diagonal) {
+    const pct = (v) => diagonal > 0 ? v / diagonal * 100 : 0;
+    const both = mergeSides([deviation.forward, deviation.backward]);
+    return {
+        hausdorffForwardPct: pct(deviation.forward.max),
+        hausdorffBackwardPct: pct(deviation.backward.max),
+        hausdorffPct: pct(both.max),
+        meanPct: pct(both.mean),
+        rmsPct: pct(both.rms)
+    };
+}
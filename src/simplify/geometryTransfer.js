@@ -0,0 +1,93 @@
+import * as THREE from 'three';
+
+// === BufferGeometry <-> Worker 消息 ===
+// 发给 Worker 的数组都是拷贝 (备份几何体保持完整)，可以放心转移所有权。
+// 交错属性 (InterleavedBufferAttribute) 在这里拆成独立数组；变形目标以 "morph:<name>:<i>" 命名随顶点一起收集。
+
+const MORPH_PREFIX = 'morph:';
+
+// 按原始类型拷贝属性数据 (不做反归一化)
+function copyAttributeArray(attribute) {
+    if (!attribute.isInterleavedBufferAttribute) return attribute.array.slice(0, attribute.count * attribute.itemSize);
+
+    const { data, offset, itemSize, count } = attribute;
+    const out = new data.array.constructor(count * itemSize);
+    for (let i = 0; i < count; i++) {
+        for (let k = 0; k < itemSize; k++) {
+            out[i * itemSize + k] = data.array[i * data.stride + offset + k];
+        }
+    }
+    return out;
+}
+
+// QEM 需要真实坐标：量化 / 归一化的位置在这里转成 Float32
+function readPositions(attribute) {
+    const out = new Float32Array(attribute.count * 3);
+    for (let i = 0; i < attribute.count; i++) {
+        out[i * 3] = attribute.getX(i);
+        out[i * 3 + 1] = attribute.getY(i);
+        out[i * 3 + 2] = attribute.getZ(i);
+    }
+    return out;
+}
+
+// 返回 { message, transfer }，交给 SimplifyWorkerPool.run()
+export function packGeometry(geometry, options) {
+    const attributes = [];
+    for (const name in geometry.attributes) {
+        const attr = geometry.attributes[name];
+        attributes.push({ name, array: copyAttributeArray(attr), itemSize: attr.itemSize, normalized: attr.normalized });
+    }
+    for (const name in geometry.morphAttributes) {
+        geometry.morphAttributes[name].forEach((attr, i) => {
+            attributes.push({ name: `${MORPH_PREFIX}${name}:${i}`, array: copyAttributeArray(attr), itemSize: attr.itemSize, normalized: attr.normalized });
+        });
+    }
+
+    const positions = readPositions(geometry.attributes.position);
+    const index = geometry.index ? copyAttributeArray(geometry.index) : null;
+
+    const transfer = [positions.buffer, ...attributes.map(a => a.array.buffer)];
+    if (index) transfer.push(index.buffer);
+
+    return {
+        message: {
+            type: 'simplify',
+            positions,
+            index,
+            groups: geometry.groups.map(g => ({ start: g.start, count: g.count, materialIndex: g.materialIndex })),
+            attributes,
+            options
+        },
+        transfer
+    };
+}
+
+// Worker 结果 -> 新的 BufferGeometry (保留源几何体的名称、userData 与变形目标设置)
+export function unpackGeometry(result, source) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.name = source.name;
+    geometry.userData = { ...source.userData };
+    geometry.morphTargetsRelative = source.morphTargetsRelative;
+
+    geometry.setIndex(new THREE.BufferAttribute(result.index, 1));
+    result.attributes.forEach(attr => {
+        const bufferAttribute = new THREE.BufferAttribute(attr.array, attr.itemSize, attr.normalized);
+        if (attr.name.startsWith(MORPH_PREFIX)) {
+            const [name, i] = attr.name.slice(MORPH_PREFIX.length).split(':');
+            if (!geometry.morphAttributes[name]) geometry.morphAttributes[name] = [];
+            geometry.morphAttributes[name][parseInt(i)] = bufferAttribute;
+        } else {
+            geometry.setAttribute(attr.name, bufferAttribute);
+        }
+    });
+
+    // 只有源几何体带分组时才恢复 (单材质网格不需要)
+    if (source.groups.length > 0) {
+        result.groups.forEach(g => geometry.addGroup(g.start, g.count, g.materialIndex));
+    }
+
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    return geometry;
+}
@@ -0,0 +1,108 @@
+import * as THREE from 'three';
+
+// === LOD 链 ===
+// 把模型根节点下的内容包进 THREE.LOD：第 0 级是原始子物体，其余级别是复制出的层级结构 + 简化后的几何体。
+// LOD 节点放在模型包围盒中心 (距离按模型中心计算)，切换距离 = 包围球半径 × 系数。
+//
+// 结构：root -> LOD -> [LOD0 (原子物体), LOD1, LOD2, ...]
+
+export const DEFAULT_LOD_RATIOS = [100, 50, 25, 10];       // 各级别保留的三角形百分比
+export const DEFAULT_LOD_DISTANCES = [0, 3, 6, 12];        // 各级别切换距离 (× 包围球半径)
+
+// "100/50/25/10" -> [100, 50, 25, 10]
+export function parseLODList(text) {
+    return String(text).split(/[\/,\s]+/).filter(Boolean).map(Number);
+}
+
+export function getModelLOD(root) {
+    return root.children.find(c => c.isLOD) || null;
+}
+
+// 同步遍历两棵结构相同的树
+function traverseParallel(a, b, callback) {
+    callback(a, b);
+    if (a.children.length !== b.children.length) return;
+    for (let i = 0; i < a.children.length; i++) traverseParallel(a.children[i], b.children[i], callback);
+}
+
+// 把 root 的子物体移入 LOD 第 0 级；局部空间包围球半径记录在 lod.userData.localRadius
+export function wrapInLOD(root) {
+    const box = new THREE.Box3();
+    root.updateMatrixWorld(true);
+    const inverse = root.matrixWorld.clone().invert();
+    root.traverse(child => {
+        if (!child.isMesh || !child.userData.isModelMesh) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        const local = child.geometry.boundingBox.clone().applyMatrix4(inverse.clone().multiply(child.matrixWorld));
+        box.union(local);
+    });
+    const center = box.isEmpty() ? new THREE.Vector3() : box.getCenter(new THREE.Vector3());
+
+    const lod = new THREE.LOD();
+    lod.name = 'LOD';
+    lod.position.copy(center);
+
+    const level0 = new THREE.Group();
+    level0.name = 'LOD0';
+    level0.position.copy(center).negate();
+    level0.userData.lodRatio = 1;
+    [...root.children].forEach(child => level0.add(child));
+
+    lod.addLevel(level0, 0);
+    root.add(lod);
+
+    lod.userData.localRadius = box.isEmpty() ? 1 : box.getBoundingSphere(new THREE.Sphere()).radius;
+    return lod;
+}
+
+// 复制第 0 级作为新级别；geometries: 第 0 级网格 -> 该级别的几何体
+// 线框叠加子物体不复制 (由线框模式重新创建)
+export function cloneLevel(level0, geometries, ratio, name) {
+    const level = level0.clone();
+    level.name = name;
+    level.userData.lodRatio = ratio;
+
+    const overlays = [];
+    traverseParallel(level0, level, (src, dst) => {
+        if (dst.userData.isWireframeMesh) overlays.push(dst);
+        else if (dst.isMesh && geometries.has(src)) dst.geometry = geometries.get(src);
+    });
+    overlays.forEach(o => o.removeFromParent());
+    return level;
+}
+
+// 切换距离按 root 当前的世界缩放换算
+export function setLODDistances(lod, factors) {
+    const scale = lod.getWorldScale(new THREE.Vector3());
+    const radius = lod.userData.localRadius * Math.max(scale.x, scale.y, scale.z);
+    lod.levels.forEach((level, i) => {
+        const factor = factors[Math.min(i, factors.length - 1)];
+        level.distance = i === 0 ? 0 : factor * radius;
+    });
+    return radius;
+}
+
+// 拆掉 LOD：第 0 级子物体移回 root，释放其他级别的几何体 (材质与第 0 级共享，不释放)
+export function unwrapLOD(root) {
+    const lod = getModelLOD(root);
+    if (!lod) return false;
+
+    const level0 = lod.levels[0].object;
+    lod.levels.slice(1).forEach(level => {
+        level.object.traverse(child => {
+            if (child.isMesh && child.userData.isModelMesh) child.geometry.dispose();
+        });
+    });
+
+    root.remove(lod);
+    // 第 0 级的偏移与 LOD 的偏移互相抵消，直接移回即可
+    [...level0.children].forEach(child => root.add(child));
+    return true;
+}
+
+// 当前激活级别 (LOD 在渲染时自动更新)
+export function getActiveLevel(lod) {
+    const index = lod.getCurrentLevel();
+    const level = lod.levels[index];
+    return { index, ratio: level ? level.object.userData.lodRatio : 1 };
+}
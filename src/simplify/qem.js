@@ -0,0 +1,580 @@
+// === QEM (Quadric Error Metrics) 网格简化 ===
+// 纯 JS 实现，不依赖 three.js / DOM，可直接在 Web Worker 中运行。
+//
+// 采用半边折叠 (half-edge collapse)：把顶点 v 折叠到相邻顶点 u，u 保持原位置。
+// 因此输出只引用输入中已有的顶点，uv / 法线 / 切线 / 蒙皮等属性无需插值，按索引收集即可。
+//
+// 流程：
+//   1. 按位置焊接顶点 (glTF 在 UV / 法线接缝处会拆分顶点)，在焊接后的拓扑上简化
+//   2. 每个顶点累积相邻面的平面二次误差 (按面积加权并归一化，误差值即平均平方距离)
+//   3. 所有边按折叠误差放入小顶堆，依次折叠，拒绝会翻转法线或破坏流形的折叠
+//   4. 达到目标三角形数后输出新的索引 (引用原始顶点)
+//
+// 可选的保真约束：
+//   - 锁定开放边界、UV / 法线接缝、不同材质分组交界处的顶点 (锁定的顶点不会被折叠掉，只能作为折叠目标)
+//   - 在误差中加入 UV / 法线的变化量，两者都换算成长度，与几何误差同单位
+
+const EPSILON = 1e-12;
+const FLIP_THRESHOLD = 0.05; // 折叠后面法线与原法线夹角余弦的下限
+const UV_SEAM_EPSILON = 1e-5;
+const NORMAL_SEAM_DOT = 0.999;
+
+// --- 最小堆 (惰性删除，条目失效由顶点版本号判断) ---
+class EdgeHeap {
+    constructor(capacity) {
+        this.capacity = Math.max(16, capacity);
+        this.cost = new Float64Array(this.capacity);
+        this.from = new Int32Array(this.capacity);
+        this.to = new Int32Array(this.capacity);
+        this.stampFrom = new Uint32Array(this.capacity);
+        this.stampTo = new Uint32Array(this.capacity);
+        this.size = 0;
+    }
+
+    grow() {
+        this.capacity *= 2;
+        const grow = (src, Type) => {
+            const dst = new Type(this.capacity);
+            dst.set(src);
+            return dst;
+        };
+        this.cost = grow(this.cost, Float64Array);
+        this.from = grow(this.from, Int32Array);
+        this.to = grow(this.to, Int32Array);
+        this.stampFrom = grow(this.stampFrom, Uint32Array);
+        this.stampTo = grow(this.stampTo, Uint32Array);
+    }
+
+    swap(i, j) {
+        const c = this.cost[i]; this.cost[i] = this.cost[j]; this.cost[j] = c;
+        const f = this.from[i]; this.from[i] = this.from[j]; this.from[j] = f;
+        const t = this.to[i]; this.to[i] = this.to[j]; this.to[j] = t;
+        const sf = this.stampFrom[i]; this.stampFrom[i] = this.stampFrom[j]; this.stampFrom[j] = sf;
+        const st = this.stampTo[i]; this.stampTo[i] = this.stampTo[j]; this.stampTo[j] = st;
+    }
+
+    push(cost, from, to, stampFrom, stampTo) {
+        if (this.size === this.capacity) this.grow();
+        let i = this.size++;
+        this.cost[i] = cost;
+        this.from[i] = from;
+        this.to[i] = to;
+        this.stampFrom[i] = stampFrom;
+        this.stampTo[i] = stampTo;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.cost[parent] <= this.cost[i]) break;
+            this.swap(i, parent);
+            i = parent;
+        }
+    }
+
+    // 弹出堆顶，结果写入 this.top*
+    pop() {
+        this.topCost = this.cost[0];
+        this.topFrom = this.from[0];
+        this.topTo = this.to[0];
+        this.topStampFrom = this.stampFrom[0];
+        this.topStampTo = this.stampTo[0];
+
+        const last = --this.size;
+        if (last > 0) {
+            this.swap(0, last);
+            let i = 0;
+            while (true) {
+                const l = i * 2 + 1;
+                const r = l + 1;
+                let m = i;
+                if (l < last && this.cost[l] < this.cost[m]) m = l;
+                if (r < last && this.cost[r] < this.cost[m]) m = r;
+                if (m === i) break;
+                this.swap(i, m);
+                i = m;
+            }
+        }
+    }
+}
+
+// --- 顶点焊接 ---
+// 返回 { remap: 原始顶点 -> 焊接顶点, positions: 焊接后坐标, representative: 焊接顶点 -> 一个原始顶点, count }
+export function weldVertices(positions, vertexCount) {
+    const bits = new Uint32Array(positions.buffer, positions.byteOffset, vertexCount * 3);
+    let size = 1;
+    while (size < vertexCount * 2) size <<= 1;
+    const table = new Int32Array(size).fill(-1);
+    const remap = new Int32Array(vertexCount);
+    const representative = new Int32Array(vertexCount);
+    const welded = new Float64Array(vertexCount * 3);
+    let count = 0;
+
+    // +0 与 -0 视为同一位置
+    const key = (i) => positions[i] === 0 ? 0 : bits[i];
+
+    for (let v = 0; v < vertexCount; v++) {
+        const x = key(v * 3), y = key(v * 3 + 1), z = key(v * 3 + 2);
+        let h = (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) & (size - 1);
+        while (true) {
+            const slot = table[h];
+            if (slot === -1) {
+                table[h] = v;
+                remap[v] = count;
+                representative[count] = v;
+                welded[count * 3] = positions[v * 3];
+                welded[count * 3 + 1] = positions[v * 3 + 1];
+                welded[count * 3 + 2] = positions[v * 3 + 2];
+                count++;
+                break;
+            }
+            if (positions[slot * 3] === positions[v * 3] &&
+                positions[slot * 3 + 1] === positions[v * 3 + 1] &&
+                positions[slot * 3 + 2] === positions[v * 3 + 2]) {
+                remap[v] = remap[slot];
+                break;
+            }
+            h = (h + 1) & (size - 1);
+        }
+    }
+
+    return { remap, positions: welded, representative, count };
+}
+
+// --- 二次误差矩阵 (对称 4x4，存 10 个系数) ---
+function addPlane(Q, offset, a, b, c, d, w) {
+    Q[offset] += w * a * a;
+    Q[offset + 1] += w * a * b;
+    Q[offset + 2] += w * a * c;
+    Q[offset + 3] += w * a * d;
+    Q[offset + 4] += w * b * b;
+    Q[offset + 5] += w * b * c;
+    Q[offset + 6] += w * b * d;
+    Q[offset + 7] += w * c * c;
+    Q[offset + 8] += w * c * d;
+    Q[offset + 9] += w * d * d;
+}
+
+function evalQuadric(Q, o1, o2, x, y, z) {
+    const q = (k) => Q[o1 + k] + Q[o2 + k];
+    return q(0) * x * x + 2 * q(1) * x * y + 2 * q(2) * x * z + 2 * q(3) * x
+        + q(4) * y * y + 2 * q(5) * y * z + 2 * q(6) * y
+        + q(7) * z * z + 2 * q(8) * z
+        + q(9);
+}
+
+// --- 顶点锁定 ---
+
+// 开放边界 / 非流形边上的顶点：某条相邻边只被 1 个或超过 2 个面共享
+function markBoundaryVertices(nv, vertexFaces, faceW, faceRemoved, locked) {
+    const count = new Int32Array(nv);
+    const stamp = new Int32Array(nv).fill(-1);
+    for (let a = 0; a < nv; a++) {
+        for (const f of vertexFaces[a]) {
+            if (faceRemoved[f]) continue;
+            for (let k = 0; k < 3; k++) {
+                const b = faceW[f * 3 + k];
+                if (b === a) continue;
+                count[b] = stamp[b] === a ? count[b] + 1 : 1;
+                stamp[b] = a;
+            }
+        }
+        for (const f of vertexFaces[a]) {
+            if (faceRemoved[f]) continue;
+            for (let k = 0; k < 3; k++) {
+                const b = faceW[f * 3 + k];
+                if (b !== a && count[b] !== 2) locked[a] = 1;
+            }
+        }
+    }
+}
+
+// UV / 法线接缝：同一位置上的原始顶点属性不一致
+function markSeamVertices(vertexCount, weld, uvs, normals, locked) {
+    for (let o = 0; o < vertexCount; o++) {
+        const w = weld.remap[o];
+        const r = weld.representative[w];
+        if (r === o || locked[w]) continue;
+        if (uvs && (Math.abs(uvs[o * 2] - uvs[r * 2]) > UV_SEAM_EPSILON ||
+            Math.abs(uvs[o * 2 + 1] - uvs[r * 2 + 1]) > UV_SEAM_EPSILON)) {
+            locked[w] = 1;
+            continue;
+        }
+        if (normals) {
+            const dot = normals[o * 3] * normals[r * 3] + normals[o * 3 + 1] * normals[r * 3 + 1] + normals[o * 3 + 2] * normals[r * 3 + 2];
+            if (dot < NORMAL_SEAM_DOT) locked[w] = 1;
+        }
+    }
+}
+
+// 材质分组交界：相邻面属于不同分组
+function markMaterialBorderVertices(nv, vertexFaces, faceGroup, faceRemoved, locked) {
+    for (let v = 0; v < nv; v++) {
+        let group = -1;
+        for (const f of vertexFaces[v]) {
+            if (faceRemoved[f]) continue;
+            if (group === -1) group = faceGroup[f];
+            else if (faceGroup[f] !== group) {
+                locked[v] = 1;
+                break;
+            }
+        }
+    }
+}
+
+// UV 空间到模型空间的平均缩放 (sqrt(三维面积 / UV 面积))，用于把 UV 偏移换算成长度
+function computeUVScale(faceCount, faceO, faceRemoved, positions, uvs) {
+    let area3D = 0;
+    let areaUV = 0;
+    for (let f = 0; f < faceCount; f++) {
+        if (faceRemoved[f]) continue;
+        const a = faceO[f * 3], b = faceO[f * 3 + 1], c = faceO[f * 3 + 2];
+        const e1x = positions[b * 3] - positions[a * 3], e1y = positions[b * 3 + 1] - positions[a * 3 + 1], e1z = positions[b * 3 + 2] - positions[a * 3 + 2];
+        const e2x = positions[c * 3] - positions[a * 3], e2y = positions[c * 3 + 1] - positions[a * 3 + 1], e2z = positions[c * 3 + 2] - positions[a * 3 + 2];
+        const nx = e1y * e2z - e1z * e2y, ny = e1z * e2x - e1x * e2z, nz = e1x * e2y - e1y * e2x;
+        area3D += Math.sqrt(nx * nx + ny * ny + nz * nz) * 0.5;
+        const u1 = uvs[b * 2] - uvs[a * 2], v1 = uvs[b * 2 + 1] - uvs[a * 2 + 1];
+        const u2 = uvs[c * 2] - uvs[a * 2], v2 = uvs[c * 2 + 1] - uvs[a * 2 + 1];
+        areaUV += Math.abs(u1 * v2 - u2 * v1) * 0.5;
+    }
+    return areaUV > EPSILON ? Math.sqrt(area3D / areaUV) : 0;
+}
+
+// 简化带索引的三角网格
+// positions: Float32Array (顶点数 * 3)；index: Uint32Array / Uint16Array / null (非索引网格)
+// groups: [{ start, count, materialIndex }] 多材质分组 (可选)
+// targetTriangles: 目标三角形数；maxError: 允许的最大误差 (与坐标同单位的距离，可选)，两者先到为止
+// uvs (Float32Array, 顶点数 * 2) / normals (顶点数 * 3)：接缝检测与属性误差使用，可为 null
+// lockBoundary / lockSeams / lockMaterialBorders：锁定对应顶点
+// uvWeight / normalWeight：属性误差权重 (0 表示只看几何误差)
+// onProgress(fraction) 进度回调
+// 返回 { index: Uint32Array (引用原始顶点), groups, trianglesBefore, trianglesAfter, maxError }
+export function simplifyIndexed({
+    positions, index, groups = null, targetTriangles = 0, maxError = Infinity,
+    uvs = null, normals = null, lockBoundary = false, lockSeams = false, lockMaterialBorders = false,
+    uvWeight = 0, normalWeight = 0, onProgress = null
+}) {
+    const vertexCount = positions.length / 3;
+    const indexCount = index ? index.length : vertexCount;
+    const faceCount = Math.floor(indexCount / 3);
+
+    const weld = weldVertices(positions, vertexCount);
+    const P = weld.positions;
+    const nv = weld.count;
+
+    // 面：焊接后的角点 / 原始角点 / 所属分组
+    const faceW = new Int32Array(faceCount * 3);
+    const faceO = new Uint32Array(faceCount * 3);
+    const faceGroup = new Int32Array(faceCount);
+    const faceRemoved = new Uint8Array(faceCount);
+
+    const groupList = (groups && groups.length > 0) ? groups : [{ start: 0, count: indexCount, materialIndex: 0 }];
+    groupList.forEach((g, gi) => {
+        const end = Math.min(indexCount, g.start + g.count);
+        for (let i = Math.floor(g.start / 3); i < Math.floor(end / 3); i++) faceGroup[i] = gi;
+    });
+
+    let liveTriangles = 0;
+    const vertexFaces = new Array(nv);
+    for (let i = 0; i < nv; i++) vertexFaces[i] = [];
+
+    for (let f = 0; f < faceCount; f++) {
+        for (let k = 0; k < 3; k++) {
+            const o = index ? index[f * 3 + k] : f * 3 + k;
+            faceO[f * 3 + k] = o;
+            faceW[f * 3 + k] = weld.remap[o];
+        }
+        const a = faceW[f * 3], b = faceW[f * 3 + 1], c = faceW[f * 3 + 2];
+        if (a === b || b === c || a === c) {
+            faceRemoved[f] = 1; // 焊接后退化的面直接丢弃
+            continue;
+        }
+        vertexFaces[a].push(f);
+        vertexFaces[b].push(f);
+        vertexFaces[c].push(f);
+        liveTriangles++;
+    }
+    const trianglesBefore = liveTriangles;
+
+    const result = (maxError) => {
+        const out = new Uint32Array(liveTriangles * 3);
+        const outGroups = [];
+        let cursor = 0;
+        // 按分组顺序输出，保证多材质分组仍然连续
+        groupList.forEach((g, gi) => {
+            const start = cursor;
+            for (let f = 0; f < faceCount; f++) {
+                if (faceRemoved[f] || faceGroup[f] !== gi) continue;
+                out[cursor++] = faceO[f * 3];
+                out[cursor++] = faceO[f * 3 + 1];
+                out[cursor++] = faceO[f * 3 + 2];
+            }
+            if (cursor > start) outGroups.push({ start, count: cursor - start, materialIndex: g.materialIndex || 0 });
+        });
+        return { index: out, groups: outGroups, trianglesBefore, trianglesAfter: liveTriangles, maxError };
+    };
+
+    if (targetTriangles >= liveTriangles) return result(0);
+
+    // --- 二次误差 ---
+    const Q = new Float64Array(nv * 10);
+    const area = new Float64Array(nv);
+    for (let f = 0; f < faceCount; f++) {
+        if (faceRemoved[f]) continue;
+        const a = faceW[f * 3] * 3, b = faceW[f * 3 + 1] * 3, c = faceW[f * 3 + 2] * 3;
+        const e1x = P[b] - P[a], e1y = P[b + 1] - P[a + 1], e1z = P[b + 2] - P[a + 2];
+        const e2x = P[c] - P[a], e2y = P[c + 1] - P[a + 1], e2z = P[c + 2] - P[a + 2];
+        let nx = e1y * e2z - e1z * e2y;
+        let ny = e1z * e2x - e1x * e2z;
+        let nz = e1x * e2y - e1y * e2x;
+        const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        if (len < EPSILON) continue;
+        nx /= len; ny /= len; nz /= len;
+        const d = -(nx * P[a] + ny * P[a + 1] + nz * P[a + 2]);
+        const w = len * 0.5;
+        for (let k = 0; k < 3; k++) {
+            const v = faceW[f * 3 + k];
+            addPlane(Q, v * 10, nx, ny, nz, d, w);
+            area[v] += w;
+        }
+    }
+
+    // --- 锁定顶点 ---
+    const locked = new Uint8Array(nv);
+    if (lockBoundary) markBoundaryVertices(nv, vertexFaces, faceW, faceRemoved, locked);
+    if (lockSeams && (uvs || normals)) markSeamVertices(vertexCount, weld, uvs, normals, locked);
+    if (lockMaterialBorders && groupList.length > 1) markMaterialBorderVertices(nv, vertexFaces, faceGroup, faceRemoved, locked);
+
+    // --- 属性误差 ---
+    // UV：偏移量乘以 UV -> 模型空间缩放；法线：弦长乘以边长 (着色变化影响的范围)
+    const uvScale = (uvs && uvWeight > 0) ? computeUVScale(faceCount, faceO, faceRemoved, positions, uvs) : 0;
+    const useNormals = normals && normalWeight > 0;
+    const rep = weld.representative;
+
+    const attributeCost = (v, u) => {
+        const rv = rep[v], ru = rep[u];
+        let e = 0;
+        if (uvScale > 0) {
+            const du = uvs[rv * 2] - uvs[ru * 2];
+            const dv = uvs[rv * 2 + 1] - uvs[ru * 2 + 1];
+            e += uvWeight * (du * du + dv * dv) * uvScale * uvScale;
+        }
+        if (useNormals) {
+            const dx = normals[rv * 3] - normals[ru * 3];
+            const dy = normals[rv * 3 + 1] - normals[ru * 3 + 1];
+            const dz = normals[rv * 3 + 2] - normals[ru * 3 + 2];
+            const ex = P[v * 3] - P[u * 3], ey = P[v * 3 + 1] - P[u * 3 + 1], ez = P[v * 3 + 2] - P[u * 3 + 2];
+            e += normalWeight * (dx * dx + dy * dy + dz * dz) * (ex * ex + ey * ey + ez * ez);
+        }
+        return e;
+    };
+    const useAttributes = uvScale > 0 || useNormals;
+
+    // 折叠 v -> u 的误差：合并后的平均平方距离 (+ 属性误差)；v 被锁定时不允许
+    const collapseCost = (v, u) => {
+        if (locked[v]) return Infinity;
+        const A = area[v] + area[u];
+        const e = evalQuadric(Q, v * 10, u * 10, P[u * 3], P[u * 3 + 1], P[u * 3 + 2]);
+        const geometric = A > EPSILON ? Math.max(0, e) / A : 0;
+        return useAttributes ? geometric + attributeCost(v, u) : geometric;
+    };
+
+    const version = new Uint32Array(nv);
+    const removed = new Uint8Array(nv);
+    const heap = new EdgeHeap(liveTriangles * 2);
+
+    const pushEdge = (a, b) => {
+        const ab = collapseCost(a, b);
+        const ba = collapseCost(b, a);
+        if (ab === Infinity && ba === Infinity) return;
+        if (ab <= ba) heap.push(ab, a, b, version[a], version[b]);
+        else heap.push(ba, b, a, version[b], version[a]);
+    };
+
+    // 初始边 (每条无向边只入堆一次)
+    for (let f = 0; f < faceCount; f++) {
+        if (faceRemoved[f]) continue;
+        for (let k = 0; k < 3; k++) {
+            const a = faceW[f * 3 + k];
+            const b = faceW[f * 3 + (k + 1) % 3];
+            if (a < b) pushEdge(a, b);
+            else {
+                // 反向边只在没有相邻面包含 (b, a) 方向时补上 (边界边)
+                let shared = false;
+                for (const g of vertexFaces[a]) {
+                    if (g === f || faceRemoved[g]) continue;
+                    const gw = faceW.subarray(g * 3, g * 3 + 3);
+                    if ((gw[0] === b || gw[1] === b || gw[2] === b)) { shared = true; break; }
+                }
+                if (!shared) pushEdge(b, a);
+            }
+        }
+    }
+
+    // 邻接标记 (用递增的 mark 值代替每次清空)
+    const mark = new Int32Array(nv);
+    let markId = 0;
+
+    const faceHas = (f, w) => faceW[f * 3] === w || faceW[f * 3 + 1] === w || faceW[f * 3 + 2] === w;
+
+    // 折叠合法性：link condition (保持流形) + 法线翻转 / 退化检测
+    const canCollapse = (v, u) => {
+        markId++;
+        let shared = 0;
+        for (const f of vertexFaces[v]) {
+            if (faceRemoved[f]) continue;
+            if (faceHas(f, u)) shared++;
+            for (let k = 0; k < 3; k++) mark[faceW[f * 3 + k]] = markId;
+        }
+        if (shared === 0) return false;
+
+        const commonMark = ++markId;
+        let common = 0;
+        for (const f of vertexFaces[u]) {
+            if (faceRemoved[f]) continue;
+            for (let k = 0; k < 3; k++) {
+                const w = faceW[f * 3 + k];
+                if (w === u || w === v) continue;
+                if (mark[w] === commonMark - 1) {
+                    mark[w] = commonMark;
+                    common++;
+                }
+            }
+        }
+        if (common > shared) return false;
+
+        const ux = P[u * 3], uy = P[u * 3 + 1], uz = P[u * 3 + 2];
+        for (const f of vertexFaces[v]) {
+            if (faceRemoved[f] || faceHas(f, u)) continue;
+            let k = 0;
+            while (faceW[f * 3 + k] !== v) k++;
+            const b = faceW[f * 3 + (k + 1) % 3] * 3;
+            const c = faceW[f * 3 + (k + 2) % 3] * 3;
+            const a = v * 3;
+            // 原法线
+            const n0x = (P[b + 1] - P[a + 1]) * (P[c + 2] - P[a + 2]) - (P[b + 2] - P[a + 2]) * (P[c + 1] - P[a + 1]);
+            const n0y = (P[b + 2] - P[a + 2]) * (P[c] - P[a]) - (P[b] - P[a]) * (P[c + 2] - P[a + 2]);
+            const n0z = (P[b] - P[a]) * (P[c + 1] - P[a + 1]) - (P[b + 1] - P[a + 1]) * (P[c] - P[a]);
+            // v 移动到 u 之后的法线
+            const n1x = (P[b + 1] - uy) * (P[c + 2] - uz) - (P[b + 2] - uz) * (P[c + 1] - uy);
+            const n1y = (P[b + 2] - uz) * (P[c] - ux) - (P[b] - ux) * (P[c + 2] - uz);
+            const n1z = (P[b] - ux) * (P[c + 1] - uy) - (P[b + 1] - uy) * (P[c] - ux);
+            const l0 = Math.sqrt(n0x * n0x + n0y * n0y + n0z * n0z);
+            const l1 = Math.sqrt(n1x * n1x + n1y * n1y + n1z * n1z);
+            if (l1 < EPSILON) return false;
+            if (l0 < EPSILON) continue;
+            if ((n0x * n1x + n0y * n1y + n0z * n1z) / (l0 * l1) < FLIP_THRESHOLD) return false;
+        }
+        return true;
+    };
+
+    const mapFrom = [];
+    const mapTo = [];
+
+    const collapse = (v, u) => {
+        // 1. 删除同时包含 u、v 的面，并记录 v 的原始顶点 -> u 的原始顶点
+        mapFrom.length = 0;
+        mapTo.length = 0;
+        for (const f of vertexFaces[v]) {
+            if (faceRemoved[f] || !faceHas(f, u)) continue;
+            let ov = -1, ou = -1;
+            for (let k = 0; k < 3; k++) {
+                if (faceW[f * 3 + k] === v) ov = faceO[f * 3 + k];
+                else if (faceW[f * 3 + k] === u) ou = faceO[f * 3 + k];
+            }
+            if (mapFrom.indexOf(ov) === -1) {
+                mapFrom.push(ov);
+                mapTo.push(ou);
+            }
+            faceRemoved[f] = 1;
+            liveTriangles--;
+        }
+
+        // 2. 其余面把 v 替换为 u
+        const facesU = vertexFaces[u];
+        for (const f of vertexFaces[v]) {
+            if (faceRemoved[f]) continue;
+            for (let k = 0; k < 3; k++) {
+                if (faceW[f * 3 + k] !== v) continue;
+                faceW[f * 3 + k] = u;
+                const m = mapFrom.indexOf(faceO[f * 3 + k]);
+                faceO[f * 3 + k] = m !== -1 ? mapTo[m] : (mapTo.length > 0 ? mapTo[0] : weld.representative[u]);
+            }
+            facesU.push(f);
+        }
+        vertexFaces[v] = [];
+
+        // 3. 清理 u 的面列表并合并误差
+        vertexFaces[u] = facesU.filter(f => !faceRemoved[f]);
+        for (let k = 0; k < 10; k++) Q[u * 10 + k] += Q[v * 10 + k];
+        area[u] += area[v];
+        removed[v] = 1;
+        version[u]++;
+
+        // 4. 重新计算 u 周围的边
+        markId++;
+        for (const f of vertexFaces[u]) {
+            for (let k = 0; k < 3; k++) {
+                const w = faceW[f * 3 + k];
+                if (w === u || mark[w] === markId) continue;
+                mark[w] = markId;
+                pushEdge(u, w);
+            }
+        }
+    };
+
+    // --- 主循环 ---
+    const toRemove = liveTriangles - targetTriangles;
+    const errorLimit = maxError * maxError; // 堆中存的是平方距离
+    let reachedError = 0;
+    let steps = 0;
+
+    while (liveTriangles > targetTriangles && heap.size > 0) {
+        // 堆顶 (无论是否失效) 已超过误差上限时，剩余的边都不可能更小
+        if (heap.cost[0] > errorLimit) break;
+        heap.pop();
+        const v = heap.topFrom;
+        const u = heap.topTo;
+        if (removed[v] || removed[u]) continue;
+        if (version[v] !== heap.topStampFrom || version[u] !== heap.topStampTo) continue;
+        if (!canCollapse(v, u)) continue;
+
+        collapse(v, u);
+        reachedError = Math.max(reachedError, heap.topCost);
+
+        if (onProgress && (++steps & 1023) === 0) {
+            onProgress(1 - (liveTriangles - targetTriangles) / toRemove);
+        }
+    }
+
+    if (onProgress) onProgress(1);
+    // 误差以距离表示 (平均平方距离开方；启用属性误差时包含 UV / 法线项)
+    return result(Math.sqrt(reachedError));
+}
+
+// --- 顶点压缩 ---
+// 只保留被索引引用的顶点；返回 { index (新索引), order (新顶点 -> 原顶点) }
+// 顶点数不超过 65535 时输出 Uint16Array 索引
+export function compactVertices(index, vertexCount) {
+    const remap = new Int32Array(vertexCount).fill(-1);
+    const order = [];
+    for (let i = 0; i < index.length; i++) {
+        const v = index[i];
+        if (remap[v] === -1) {
+            remap[v] = order.length;
+            order.push(v);
+        }
+    }
+    const IndexType = order.length <= 65535 ? Uint16Array : Uint32Array;
+    const newIndex = new IndexType(index.length);
+    for (let i = 0; i < index.length; i++) newIndex[i] = remap[index[i]];
+    return { index: newIndex, order: Uint32Array.from(order) };
+}
+
+// 按 order 收集顶点属性，保持原数组类型
+export function gatherAttribute(array, itemSize, order) {
+    const out = new array.constructor(order.length * itemSize);
+    for (let i = 0; i < order.length; i++) {
+        const src = order[i] * itemSize;
+        const dst = i * itemSize;
+        for (let k = 0; k < itemSize; k++) out[dst + k] = array[src + k];
+    }
+    return out;
+}
@@ -0,0 +1,97 @@
+import { simplifyIndexed, compactVertices, gatherAttribute } from './qem.js';
+import { measureDeviation } from './deviation.js';
+
+// === 网格简化 Worker ===
+// 模块 Worker 不继承页面的 importmap，因此这里只依赖纯 JS 的 qem.js。
+//
+// 输入 (见 geometryTransfer.js packGeometry)：
+//   { type: 'simplify', id, positions, index, groups, attributes: [{ name, array, itemSize, normalized }], options }
+//   options.measureDeviation 为 true 时额外计算原始 / 简化表面之间的距离 (见 deviation.js)
+// 输出：
+//   { type: 'progress', id, progress }
+//   { type: 'done', id, index, groups, attributes, stats }
+//   { type: 'error', id, message }
+
+const PROGRESS_INTERVAL_MS = 100;
+
+// 归一化整数 (KHR_mesh_quantization) 的最大值
+const NORMALIZED_MAX = new Map([
+    [Int8Array, 127], [Uint8Array, 255], [Int16Array, 32767], [Uint16Array, 65535]
+]);
+
+// 取出指定属性的浮点数据，供接缝检测与属性误差使用；不存在或分量数不符时返回 null
+function readFloatAttribute(attributes, name, itemSize) {
+    const attr = attributes.find(a => a.name === name);
+    if (!attr || attr.itemSize !== itemSize) return null;
+    if (attr.array instanceof Float32Array) return attr.array;
+
+    const out = Float32Array.from(attr.array);
+    const max = attr.normalized ? NORMALIZED_MAX.get(attr.array.constructor) : null;
+    if (max) {
+        for (let i = 0; i < out.length; i++) out[i] = Math.max(out[i] / max, -1);
+    }
+    return out;
+}
+
+self.onmessage = (e) => {
+    const job = e.data;
+    if (job.type !== 'simplify') return;
+
+    const startTime = performance.now();
+    let lastProgress = 0;
+    const { measureDeviation: measure = false, ...options } = job.options;
+
+    try {
+        const result = simplifyIndexed({
+            positions: job.positions,
+            index: job.index,
+            groups: job.groups,
+            uvs: readFloatAttribute(job.attributes, 'uv', 2),
+            normals: readFloatAttribute(job.attributes, 'normal', 3),
+            ...options,
+            onProgress: (progress) => {
+                const now = performance.now();
+                if (now - lastProgress < PROGRESS_INTERVAL_MS) return;
+                lastProgress = now;
+                self.postMessage({ type: 'progress', id: job.id, progress });
+            }
+        });
+
+        // 必须在压缩顶点之前计算：此时简化结果的索引仍引用原始顶点
+        const deviationStart = performance.now();
+        const deviation = measure
+            ? measureDeviation({ positions: job.positions, original: job.index, simplified: result.index })
+            : null;
+        const deviationMs = performance.now() - deviationStart;
+
+        const vertexCount = job.positions.length / 3;
+        const compact = compactVertices(result.index, vertexCount);
+        const attributes = job.attributes.map(attr => ({
+            name: attr.name,
+            array: gatherAttribute(attr.array, attr.itemSize, compact.order),
+            itemSize: attr.itemSize,
+            normalized: attr.normalized
+        }));
+
+        const transfer = [compact.index.buffer, ...attributes.map(a => a.array.buffer)];
+        self.postMessage({
+            type: 'done',
+            id: job.id,
+            index: compact.index,
+            groups: result.groups,
+            attributes,
+            stats: {
+                trianglesBefore: result.trianglesBefore,
+                trianglesAfter: result.trianglesAfter,
+                verticesBefore: vertexCount,
+                verticesAfter: compact.order.length,
+                maxError: result.maxError,
+                deviation,
+                deviationMs,
+                timeMs: performance.now() - startTime
+            }
+        }, transfer);
+    } catch (err) {
+        self.postMessage({ type: 'error', id: job.id, message: err.message || String(err) });
+    }
+};
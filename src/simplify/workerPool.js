@@ -0,0 +1,118 @@
+// === 简化 Worker 池 ===
+// 任务排队分配给空闲 Worker；每个任务可单独取消。
+// QEM 主循环是同步的，正在执行的任务无法中途打断，取消时直接 terminate 该 Worker 并补一个新的。
+
+export class JobCancelledError extends Error {
+    constructor() {
+        super('Simplification job cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+const DEFAULT_POOL_SIZE = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+export class SimplifyWorkerPool {
+    constructor(size = DEFAULT_POOL_SIZE) {
+        this.size = size;
+        this.workers = [];   // { worker, job }
+        this.queue = [];
+        this.nextId = 1;
+        for (let i = 0; i < size; i++) this.workers.push(this.createSlot());
+    }
+
+    createSlot() {
+        const slot = {
+            worker: new Worker(new URL('./simplify.worker.js', import.meta.url), { type: 'module' }),
+            job: null
+        };
+        slot.worker.onmessage = (e) => this.handleMessage(slot, e.data);
+        slot.worker.onerror = (e) => {
+            e.preventDefault();
+            this.finish(slot, (job) => job.reject(new Error(e.message || 'Worker error')));
+        };
+        return slot;
+    }
+
+    // message: packGeometry() 的结果；transfer: 需要转移所有权的 ArrayBuffer
+    // 返回任务句柄 { id, promise, cancel() }
+    run(message, transfer = [], onProgress = null) {
+        const job = { id: this.nextId++, message, transfer, onProgress, cancelled: false };
+        job.promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        job.cancel = () => this.cancel(job);
+
+        this.queue.push(job);
+        this.dispatch();
+        return job;
+    }
+
+    dispatch() {
+        for (const slot of this.workers) {
+            if (this.queue.length === 0) return;
+            if (slot.job) continue;
+            const job = this.queue.shift();
+            slot.job = job;
+            slot.worker.postMessage({ ...job.message, id: job.id }, job.transfer);
+            // 数据已转移到 Worker，释放引用
+            job.message = null;
+            job.transfer = null;
+        }
+    }
+
+    handleMessage(slot, data) {
+        const job = slot.job;
+        if (!job || data.id !== job.id) return;
+
+        if (data.type === 'progress') {
+            if (job.onProgress) job.onProgress(data.progress);
+        } else if (data.type === 'done') {
+            this.finish(slot, (j) => j.resolve(data));
+        } else if (data.type === 'error') {
+            this.finish(slot, (j) => j.reject(new Error(data.message)));
+        }
+    }
+
+    finish(slot, settle) {
+        const job = slot.job;
+        slot.job = null;
+        if (job) settle(job);
+        this.dispatch();
+    }
+
+    cancel(job) {
+        if (job.cancelled) return;
+        job.cancelled = true;
+
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            job.reject(new JobCancelledError());
+            return;
+        }
+
+        const index = this.workers.findIndex(slot => slot.job === job);
+        if (index !== -1) {
+            this.workers[index].worker.terminate();
+            this.workers[index] = this.createSlot();
+            job.reject(new JobCancelledError());
+            this.dispatch();
+        }
+    }
+
+    cancelAll() {
+        [...this.queue].forEach(job => this.cancel(job));
+        this.workers.filter(slot => slot.job).forEach(slot => this.cancel(slot.job));
+    }
+
+    get busy() {
+        return this.queue.length > 0 || this.workers.some(slot => slot.job);
+    }
+
+    dispose() {
+        this.cancelAll();
+        this.workers.forEach(slot => slot.worker.terminate());
+        this.workers = [];
+    }
+}
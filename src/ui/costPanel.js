@@ -0,0 +1,150 @@
+import { formatBytes } from '../analysis/vramAccounting.js';
+
+// === 开销拆分面板 ===
+// 可排序表格：按模型分组 (模型行 + 其材质行) 或按材质平铺。
+// getData() 返回 computeCostBreakdown() 的结果；点击模型行回调 onSelectModel(index)。
+
+const COLUMNS = [
+    { key: 'name', label: 'Name', format: v => v },
+    { key: 'type', label: 'Type', format: v => v },
+    { key: 'meshes', label: 'Meshes', format: v => v },
+    { key: 'drawCalls', label: 'Calls', format: v => v },
+    { key: 'triangles', label: 'Tris', format: v => Math.round(v).toLocaleString() },
+    { key: 'textures', label: 'Tex', format: v => v },
+    { key: 'maxResolution', label: 'Max Res', format: (v, row) => row.resolutionLabel },
+    { key: 'memoryBytes', label: 'Memory', format: v => formatBytes(Math.round(v)) }
+];
+
+export class CostBreakdownPanel {
+    constructor({ getData, onSelectModel }) {
+        this.getData = getData;
+        this.onSelectModel = onSelectModel;
+        this.sortKey = 'triangles';
+        this.sortDesc = true;
+        this.flat = false;  // true: 所有材质平铺排序
+        this.visible = false;
+        this.models = [];
+
+        this.dom = document.createElement('div');
+        this.dom.id = 'cost-panel';
+        this.dom.style.display = 'none';
+        this.dom.innerHTML = `
+            <div class="panel-header cost-header">
+                <span>Cost Breakdown</span>
+                <span class="cost-actions">
+                    <label><input type="checkbox" class="cost-flat"> By Material</label>
+                    <button class="btn-secondary cost-refresh">Refresh</button>
+                    <button class="btn-secondary cost-close">X</button>
+                </span>
+            </div>
+            <div class="cost-table-wrapper">
+                <table class="cost-table">
+                    <thead><tr></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+        document.body.appendChild(this.dom);
+
+        this.headRow = this.dom.querySelector('thead tr');
+        this.body = this.dom.querySelector('tbody');
+
+        COLUMNS.forEach(col => {
+            const th = document.createElement('th');
+            th.dataset.key = col.key;
+            th.addEventListener('click', () => this.sortBy(col.key));
+            this.headRow.appendChild(th);
+        });
+
+        this.dom.querySelector('.cost-flat').addEventListener('change', (e) => {
+            this.flat = e.target.checked;
+            this.render();
+        });
+        this.dom.querySelector('.cost-refresh').addEventListener('click', () => this.refresh());
+        this.dom.querySelector('.cost-close').addEventListener('click', () => this.hide());
+    }
+
+    show() {
+        this.visible = true;
+        this.dom.style.display = 'block';
+        this.refresh();
+    }
+
+    hide() {
+        this.visible = false;
+        this.dom.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) this.hide();
+        else this.show();
+    }
+
+    // 场景变化后调用；面板隐藏时不做计算
+    refresh() {
+        if (!this.visible) return;
+        this.models = this.getData();
+        this.render();
+    }
+
+    // 再次点击同一列时切换升/降序
+    sortBy(key) {
+        if (this.sortKey === key) this.sortDesc = !this.sortDesc;
+        else {
+            this.sortKey = key;
+            this.sortDesc = key !== 'name' && key !== 'type';
+        }
+        this.render();
+    }
+
+    compare(a, b) {
+        const va = a[this.sortKey];
+        const vb = b[this.sortKey];
+        const result = (typeof va === 'string') ? va.localeCompare(vb) : va - vb;
+        return this.sortDesc ? -result : result;
+    }
+
+    render() {
+        Array.from(this.headRow.children).forEach(th => {
+            const col = COLUMNS.find(c => c.key === th.dataset.key);
+            const arrow = th.dataset.key === this.sortKey ? (this.sortDesc ? ' ▼' : ' ▲') : '';
+            th.textContent = col.label + arrow;
+        });
+
+        this.body.innerHTML = '';
+        const sorted = (rows) => [...rows].sort((a, b) => this.compare(a, b));
+
+        if (this.flat) {
+            const all = [];
+            this.models.forEach(m => m.materials.forEach(mat => all.push({ ...mat, name: `${m.name} / ${mat.name}` })));
+            sorted(all).forEach(row => this.appendRow(row, 'cost-material'));
+        } else {
+            sorted(this.models).forEach(model => {
+                const tr = this.appendRow(model, 'cost-model');
+                tr.addEventListener('click', () => this.onSelectModel && this.onSelectModel(model.index));
+                sorted(model.materials).forEach(row => this.appendRow(row, 'cost-material cost-indent'));
+            });
+        }
+
+        if (this.body.children.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = COLUMNS.length;
+            td.textContent = 'No models loaded.';
+            tr.appendChild(td);
+            this.body.appendChild(tr);
+        }
+    }
+
+    appendRow(row, className) {
+        const tr = document.createElement('tr');
+        tr.className = className;
+        COLUMNS.forEach(col => {
+            const td = document.createElement('td');
+            td.textContent = col.format(row[col.key], row);
+            tr.appendChild(td);
+        });
+        this.body.appendChild(tr);
+        return tr;
+    }
+}
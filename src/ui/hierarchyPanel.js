@@ -0,0 +1,217 @@
+// === 场景层级树面板 ===
+// 每个已加载模型的节点树：展开 / 折叠、逐节点显示开关与选中，显示子树的三角形数与 Draw Call 数。
+// Isolate 只保留选中节点 (及其祖先) 可见，Show All 恢复全部可见，用于关掉建筑的某些部分观察 FPS 变化。
+// getRoots() 返回 [{ name, object }]；统计在 refresh() 时按子树汇总一次，只渲染已展开的节点。
+// 线框叠加子物体不显示；被实例化代理替代显示的网格 (userData.instancedBy) 按可见处理。
+// 修改显示前调用 onBeforeVisibilityChange (例如先还原实例化表示)，修改后调用 onVisibilityChange。
+
+const INDENT = 14;
+
+// 单个对象自身的 Draw Call 与三角形 (不含子节点)
+function ownCost(object) {
+    if (!object.geometry || !object.material || !(object.isMesh || object.isPoints || object.isLine)) return { calls: 0, tris: 0 };
+    const geometry = object.geometry;
+    const calls = Array.isArray(object.material) ? Math.max(1, geometry.groups.length) : 1;
+    let tris = 0;
+    if (object.isMesh) {
+        const count = geometry.index ? geometry.index.count : (geometry.attributes.position ? geometry.attributes.position.count : 0);
+        tris = Math.floor(count / 3) * (object.isInstancedMesh ? object.count : 1);
+    }
+    return { calls, tris };
+}
+
+function isTreeNode(object) {
+    return !object.userData.isWireframeMesh;
+}
+
+export class HierarchyPanel {
+    constructor({ getRoots, onSelectNode, onBeforeVisibilityChange, onVisibilityChange }) {
+        this.getRoots = getRoots;
+        this.onSelectNode = onSelectNode;
+        this.onBeforeVisibilityChange = onBeforeVisibilityChange;
+        this.onVisibilityChange = onVisibilityChange;
+        this.visible = false;
+        this.expanded = new WeakSet();
+        this.stats = new Map();     // object -> { calls, tris } (子树合计)
+        this.selected = null;
+
+        this.dom = document.createElement('div');
+        this.dom.id = 'hierarchy-panel';
+        this.dom.style.display = 'none';
+        this.dom.innerHTML = `
+            <div class="panel-header cost-header">
+                <span>Scene Tree</span>
+                <span class="cost-actions">
+                    <button class="btn-secondary tree-isolate">Isolate</button>
+                    <button class="btn-secondary tree-show-all">Show All</button>
+                    <button class="btn-secondary tree-collapse">Collapse</button>
+                    <button class="btn-secondary tree-close">X</button>
+                </span>
+            </div>
+            <div class="tree-body"></div>
+        `;
+        document.body.appendChild(this.dom);
+        this.body = this.dom.querySelector('.tree-body');
+
+        this.dom.querySelector('.tree-isolate').addEventListener('click', () => {
+            if (this.selected) this.changeVisibility(() => this.isolate());
+        });
+        this.dom.querySelector('.tree-show-all').addEventListener('click', () => this.changeVisibility(() => this.showAll()));
+        this.dom.querySelector('.tree-collapse').addEventListener('click', () => {
+            this.expanded = new WeakSet();
+            this.render();
+        });
+        this.dom.querySelector('.tree-close').addEventListener('click', () => this.hide());
+    }
+
+    show() {
+        this.visible = true;
+        this.dom.style.display = 'flex';
+        this.refresh();
+    }
+
+    hide() {
+        this.visible = false;
+        this.dom.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) this.hide();
+        else this.show();
+    }
+
+    // 场景变化后调用；面板隐藏时不做计算
+    refresh() {
+        if (!this.visible) return;
+        this.stats.clear();
+        this.getRoots().forEach(({ object }) => this.computeStats(object));
+        this.render();
+    }
+
+    computeStats(object) {
+        const total = ownCost(object);
+        object.children.forEach(child => {
+            if (!isTreeNode(child)) return;
+            const sub = this.computeStats(child);
+            total.calls += sub.calls;
+            total.tris += sub.tris;
+        });
+        this.stats.set(object, total);
+        return total;
+    }
+
+    // 场景中点击选中时调用：展开祖先并滚动到该节点
+    reveal(object) {
+        this.selected = object;
+        if (!this.visible) return;
+        const roots = new Set(this.getRoots().map(r => r.object));
+        let node = object.parent;
+        while (node && !roots.has(node)) {
+            this.expanded.add(node);
+            node = node.parent;
+        }
+        if (node) this.expanded.add(node);
+        this.render();
+        const row = this.body.querySelector('.tree-row.selected');
+        if (row) row.scrollIntoView({ block: 'nearest' });
+    }
+
+    setSelected(object) {
+        this.selected = object;
+        if (this.visible) this.render();
+    }
+
+    // 只保留选中节点的子树与其祖先链可见
+    isolate() {
+        const keep = new Set();
+        let node = this.selected;
+        while (node) {
+            keep.add(node);
+            node = node.parent;
+        }
+        this.getRoots().forEach(({ object }) => object.traverse(child => {
+            if (!isTreeNode(child)) return;
+            if (keep.has(child)) child.visible = true;
+            else if (!this.isInSelection(child)) child.visible = false;
+        }));
+        this.selected.traverse(child => { child.visible = true; });
+    }
+
+    isInSelection(object) {
+        let node = object;
+        while (node) {
+            if (node === this.selected) return true;
+            node = node.parent;
+        }
+        return false;
+    }
+
+    showAll() {
+        this.getRoots().forEach(({ object }) => object.traverse(child => {
+            if (isTreeNode(child)) child.visible = true;
+        }));
+    }
+
+    changeVisibility(apply) {
+        if (this.onBeforeVisibilityChange) this.onBeforeVisibilityChange();
+        apply();
+        if (this.onVisibilityChange) this.onVisibilityChange();
+        this.render();
+    }
+
+    render() {
+        if (!this.visible) return;
+        const scrollTop = this.body.scrollTop;
+        this.body.innerHTML = '';
+        this.getRoots().forEach(({ name, object }) => this.appendNode(object, 0, name));
+        if (this.body.children.length === 0) this.body.textContent = 'No models loaded.';
+        this.body.scrollTop = scrollTop;
+    }
+
+    appendNode(object, depth, label) {
+        const children = object.children.filter(isTreeNode);
+        const open = this.expanded.has(object);
+
+        const row = document.createElement('div');
+        row.className = 'tree-row';
+        if (object === this.selected) row.classList.add('selected');
+        const shown = object.visible || !!object.userData.instancedBy;
+        if (!shown) row.classList.add('hidden-node');
+        row.style.paddingLeft = `${depth * INDENT}px`;
+
+        const toggle = document.createElement('span');
+        toggle.className = 'tree-toggle';
+        toggle.textContent = children.length > 0 ? (open ? '▾' : '▸') : '';
+        toggle.addEventListener('click', () => {
+            if (open) this.expanded.delete(object);
+            else this.expanded.add(object);
+            this.render();
+        });
+
+        const visibility = document.createElement('input');
+        visibility.type = 'checkbox';
+        visibility.checked = shown;
+        visibility.title = 'Visible';
+        visibility.addEventListener('change', () => this.changeVisibility(() => { object.visible = visibility.checked; }));
+
+        const name = document.createElement('span');
+        name.className = 'tree-name';
+        name.textContent = label || object.name || object.type;
+        name.title = `${object.type}${object.name ? ': ' + object.name : ''}`;
+        name.addEventListener('click', () => {
+            this.selected = object;
+            if (this.onSelectNode) this.onSelectNode(object);
+            this.render();
+        });
+
+        const stats = this.stats.get(object) || { calls: 0, tris: 0 };
+        const info = document.createElement('span');
+        info.className = 'tree-stats';
+        info.textContent = `${stats.tris.toLocaleString()} tris · ${stats.calls} calls`;
+
+        row.append(toggle, visibility, name, info);
+        this.body.appendChild(row);
+
+        if (open) children.forEach(child => this.appendNode(child, depth + 1));
+    }
+}
@@ -0,0 +1,62 @@
+// === 历史记录列表 ===
+// 侧边栏中的撤销 / 重做按钮与命令列表：第一行为初始状态，之后按时间顺序排列，
+// 当前状态高亮，已撤销 (可重做) 的命令变暗；点击某一行撤销 / 重做到该行之后的状态。
+// getEntries() 返回 CommandHistory.getEntries() 的结果；onJump(count) 中 count 为保留的已执行命令数。
+// 过期的命令 (数据已释放) 以斜体显示，它之前的状态无法回到，对应的行变暗且不可点击。
+
+const MAX_ROWS = 100;
+
+export class HistoryPanel {
+    constructor(container, { getEntries, onUndo, onRedo, onJump }) {
+        this.getEntries = getEntries;
+        this.onJump = onJump;
+
+        this.dom = container;
+        this.dom.innerHTML = `
+            <div class="button-row">
+                <button class="btn-secondary history-undo" title="Ctrl+Z">Undo</button>
+                <button class="btn-secondary history-redo" title="Ctrl+Shift+Z">Redo</button>
+            </div>
+            <div class="history-list"></div>
+        `;
+        this.undoBtn = this.dom.querySelector('.history-undo');
+        this.redoBtn = this.dom.querySelector('.history-redo');
+        this.list = this.dom.querySelector('.history-list');
+
+        this.undoBtn.addEventListener('click', () => onUndo());
+        this.redoBtn.addEventListener('click', () => onRedo());
+        this.render();
+    }
+
+    render() {
+        const entries = this.getEntries();
+        const doneCount = entries.filter(entry => entry.done).length;
+        const floor = entries.map(entry => entry.expired).lastIndexOf(true) + 1; // 可回到的最早状态
+        this.undoBtn.disabled = doneCount <= floor;
+        this.redoBtn.disabled = doneCount === entries.length;
+
+        this.list.innerHTML = '';
+        const rows = [{ label: 'Initial State', done: true }, ...entries];
+        const start = Math.max(0, rows.length - MAX_ROWS);
+        rows.slice(start).forEach((entry, i) => {
+            const count = start + i; // 点击后保留的已执行命令数
+            const row = document.createElement('div');
+            row.className = 'history-row';
+            if (!entry.done) row.classList.add('undone');
+            if (count === doneCount) row.classList.add('current');
+            if (entry.expired) row.classList.add('expired');
+            row.textContent = entry.label;
+            row.title = entry.expired ? `${entry.label} (released to save memory, can no longer be undone)` : entry.label;
+            if (count < floor) row.classList.add('unreachable');
+            else row.addEventListener('click', () => this.onJump(count));
+            this.list.appendChild(row);
+        });
+        // 只滚动列表自身 (scrollIntoView 会连带滚动侧边栏)；.history-list 为定位容器，offsetTop 相对列表
+        const current = this.list.querySelector('.history-row.current');
+        if (!current) return;
+        const top = current.offsetTop;
+        const bottom = top + current.offsetHeight;
+        if (top < this.list.scrollTop) this.list.scrollTop = top;
+        else if (bottom > this.list.scrollTop + this.list.clientHeight) this.list.scrollTop = bottom - this.list.clientHeight;
+    }
+}
@@ -0,0 +1,102 @@
+import { composeHeatmapOverlay } from '../analysis/imageMetrics.js';
+import { imageToCanvas } from '../benchmark/imageCapture.js';
+
+// === 图像对比面板 ===
+// 每个视点一行：基准帧 / 当前帧 / 差异热力图叠加 + PSNR、SSIM、变化像素比例。
+// 点击任意缩略图在面板顶部放大显示。
+
+export const formatPSNR = (psnr) => Number.isFinite(psnr) ? `${psnr.toFixed(2)} dB` : '∞ (identical)';
+
+export class ImageComparePanel {
+    constructor({ onExport }) {
+        this.onExport = onExport;
+        this.visible = false;
+
+        this.dom = document.createElement('div');
+        this.dom.id = 'image-compare-panel';
+        this.dom.style.display = 'none';
+        this.dom.innerHTML = `
+            <div class="panel-header cost-header">
+                <span>Image Comparison</span>
+                <span class="cost-actions">
+                    <button class="btn-secondary compare-export">Export</button>
+                    <button class="btn-secondary compare-close">X</button>
+                </span>
+            </div>
+            <div class="compare-summary"></div>
+            <div class="compare-preview"></div>
+            <div class="compare-rows"></div>
+        `;
+        document.body.appendChild(this.dom);
+
+        this.summary = this.dom.querySelector('.compare-summary');
+        this.preview = this.dom.querySelector('.compare-preview');
+        this.rows = this.dom.querySelector('.compare-rows');
+
+        this.dom.querySelector('.compare-export').addEventListener('click', () => this.onExport && this.onExport());
+        this.dom.querySelector('.compare-close').addEventListener('click', () => this.hide());
+    }
+
+    show() {
+        this.visible = true;
+        this.dom.style.display = 'flex';
+    }
+
+    hide() {
+        this.visible = false;
+        this.dom.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) this.hide();
+        else this.show();
+    }
+
+    // comparison: 见 main.js runImageComparison()
+    render(comparison) {
+        this.preview.innerHTML = '';
+        this.rows.innerHTML = '';
+        if (!comparison) {
+            this.summary.textContent = 'No comparison yet: capture a baseline, make a change, then compare.';
+            return;
+        }
+
+        const s = comparison.summary;
+        this.summary.textContent = `Baseline "${comparison.baseline.label}" vs "${comparison.label}" · ` +
+            `min PSNR ${formatPSNR(s.minPsnr)} · min SSIM ${s.minSsim.toFixed(4)} · ${comparison.width}x${comparison.height}`;
+
+        comparison.views.forEach((view, i) => {
+            const frames = comparison.frames[i];
+            const row = document.createElement('div');
+            row.className = 'compare-row';
+
+            const info = document.createElement('div');
+            info.className = 'compare-info';
+            info.innerHTML = `<div class="compare-name"></div>
+                <div>PSNR ${formatPSNR(view.psnr)}</div>
+                <div>SSIM ${view.ssim.toFixed(4)}</div>
+                <div>Changed ${(view.changedRatio * 100).toFixed(2)}%</div>`;
+            info.querySelector('.compare-name').textContent = view.name;
+            row.appendChild(info);
+
+            const overlay = composeHeatmapOverlay(frames.after, frames.heatmap);
+            [['Before', frames.before], ['After', frames.after], ['Diff', overlay]].forEach(([label, image]) => {
+                const canvas = imageToCanvas(image);
+                canvas.className = 'compare-thumb';
+                canvas.title = `${view.name} · ${label}`;
+                canvas.addEventListener('click', () => this.showPreview(image, canvas.title));
+                row.appendChild(canvas);
+            });
+            this.rows.appendChild(row);
+
+            if (i === 0) this.showPreview(overlay, `${view.name} · Diff`);
+        });
+    }
+
+    showPreview(image, title) {
+        this.preview.innerHTML = '';
+        const canvas = imageToCanvas(image);
+        canvas.title = title;
+        this.preview.appendChild(canvas);
+    }
+}
@@ -0,0 +1,124 @@
+// === 资源泄漏报告面板 ===
+// renderer.info.memory 与 ResourceTracker 的对照表 + 各状态的资源数量 + 泄漏资源列表。
+// getData() 返回 ResourceTracker.getLeakReport() 的结果；untracked 与基线 (Set Baseline 时记录) 比较，
+// 反复加载 / 删除模型后持续增长说明有资源绕过了跟踪表。无法判断上传状态时 (见 analysis/gpuResidency.js) 显示 n/a。
+
+const MAX_LEAK_ROWS = 100;
+const STATUS_LABELS = { inUse: 'In Use', retained: 'Retained', stale: 'Stale (leak)', orphan: 'Orphan (leak)' };
+
+export class LeakReportPanel {
+    constructor({ getData, onDisposeLeaks }) {
+        this.getData = getData;
+        this.onDisposeLeaks = onDisposeLeaks;
+        this.visible = false;
+        this.baseline = null; // { geometries, textures } 记录基线时的 untracked 数量
+
+        this.dom = document.createElement('div');
+        this.dom.id = 'leak-panel';
+        this.dom.style.display = 'none';
+        this.dom.innerHTML = `
+            <div class="panel-header cost-header">
+                <span>Resource Leak Report</span>
+                <span class="cost-actions">
+                    <button class="btn-secondary leak-baseline">Set Baseline</button>
+                    <button class="btn-secondary leak-dispose">Dispose Leaks</button>
+                    <button class="btn-secondary leak-refresh">Refresh</button>
+                    <button class="btn-secondary leak-close">X</button>
+                </span>
+            </div>
+            <div class="leak-summary"></div>
+            <div class="cost-table-wrapper">
+                <table class="cost-table leak-memory"></table>
+                <table class="cost-table leak-status"></table>
+                <table class="cost-table leak-list"></table>
+            </div>
+        `;
+        document.body.appendChild(this.dom);
+
+        this.summary = this.dom.querySelector('.leak-summary');
+        this.memoryTable = this.dom.querySelector('.leak-memory');
+        this.statusTable = this.dom.querySelector('.leak-status');
+        this.listTable = this.dom.querySelector('.leak-list');
+
+        this.dom.querySelector('.leak-baseline').addEventListener('click', () => {
+            this.baseline = { ...this.getData().untracked };
+            this.refresh();
+        });
+        this.dom.querySelector('.leak-dispose').addEventListener('click', () => {
+            if (this.onDisposeLeaks) this.onDisposeLeaks();
+            this.refresh();
+        });
+        this.dom.querySelector('.leak-refresh').addEventListener('click', () => this.refresh());
+        this.dom.querySelector('.leak-close').addEventListener('click', () => this.hide());
+    }
+
+    show() {
+        this.visible = true;
+        this.dom.style.display = 'flex';
+        this.refresh();
+    }
+
+    hide() {
+        this.visible = false;
+        this.dom.style.display = 'none';
+    }
+
+    toggle() {
+        if (this.visible) this.hide();
+        else this.show();
+    }
+
+    // 场景变化后调用；面板隐藏时不做计算
+    refresh() {
+        if (!this.visible) return;
+        const report = this.getData();
+        if (!this.baseline) this.baseline = { ...report.untracked };
+        this.render(report);
+    }
+
+    render(report) {
+        const leakCount = report.leaks.length;
+        const growth = {
+            geometries: difference(report.untracked.geometries, this.baseline.geometries),
+            textures: difference(report.untracked.textures, this.baseline.textures)
+        };
+        const grew = growth.geometries > 0 || growth.textures > 0;
+        this.summary.textContent = leakCount === 0 && !grew
+            ? 'No leaks detected.'
+            : `${leakCount} leaked resource(s) in the tracker` +
+              (grew ? ` · untracked GPU objects grew by ${display(growth.geometries)} geometries / ${display(growth.textures)} textures since baseline` : '');
+        this.summary.classList.toggle('leak-warning', leakCount > 0 || grew);
+
+        fillTable(this.memoryTable, ['GPU Objects', 'renderer.info', 'Tracked', 'Untracked', 'Baseline', 'Δ'], [
+            ['Geometries', report.renderer.geometries, report.tracked.geometries, report.untracked.geometries, this.baseline.geometries, signed(growth.geometries)],
+            ['Textures', report.renderer.textures, report.tracked.textures, report.untracked.textures, this.baseline.textures, signed(growth.textures)]
+        ]);
+
+        fillTable(this.statusTable, ['Status', 'Geometries', 'Materials', 'Textures'],
+            Object.entries(report.counts).map(([status, c]) => [STATUS_LABELS[status], c.geometry, c.material, c.texture]));
+
+        const rows = report.leaks.slice(0, MAX_LEAK_ROWS).map(leak => [leak.name, leak.kind, STATUS_LABELS[leak.status], leak.owner]);
+        if (leakCount > MAX_LEAK_ROWS) rows.push([`... ${leakCount - MAX_LEAK_ROWS} more`, '', '', '']);
+        fillTable(this.listTable, ['Leaked Resource', 'Kind', 'Status', 'Model'], rows);
+        this.listTable.style.display = leakCount > 0 ? '' : 'none';
+    }
+}
+
+const display = (v) => (v === null ? 'n/a' : v);
+const difference = (a, b) => (a === null || b === null ? null : a - b);
+const signed = (v) => (v === null ? null : v > 0 ? `+${v}` : `${v}`);
+
+function fillTable(table, headers, rows) {
+    table.innerHTML = '';
+    const head = table.createTHead().insertRow();
+    headers.forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach(row => {
+        const tr = body.insertRow();
+        row.forEach(value => { tr.insertCell().textContent = display(value); });
+    });
+}
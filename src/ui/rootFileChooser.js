@@ -0,0 +1,85 @@
+import { formatBytes } from '../analysis/vramAccounting.js';
+
+// === 根文件选择对话框 ===
+// 一次拖入 / 选择的文件中有多个模型文件时弹出：列出候选根文件 (相对路径 + 大小)，默认全选。
+// 返回 Promise<{ files, keepPlacement } | null>，取消时为 null。
+// keepPlacement: 按整批模型的共同中心居中 (构件保持相对位置)，否则每个模型各自居中。
+
+export function chooseRootFiles(candidates, { getPath = (file) => file.name } = {}) {
+    return new Promise((resolve) => {
+        const sorted = [...candidates].sort((a, b) => getPath(a).localeCompare(getPath(b)));
+
+        const dom = document.createElement('div');
+        dom.className = 'chooser-backdrop';
+        dom.innerHTML = `
+            <div class="chooser-dialog">
+                <div class="panel-header cost-header">
+                    <span>Select Models (${sorted.length} found)</span>
+                    <span class="cost-actions">
+                        <button class="btn-secondary chooser-all">All</button>
+                        <button class="btn-secondary chooser-none">None</button>
+                    </span>
+                </div>
+                <div class="chooser-list"></div>
+                <label class="chooser-option"><input type="checkbox" class="chooser-placement" checked> Keep relative placement (center the batch as a whole)</label>
+                <div class="chooser-footer">
+                    <span class="chooser-total"></span>
+                    <span class="cost-actions">
+                        <button class="btn-primary chooser-load">Load Selected</button>
+                        <button class="btn-secondary chooser-cancel">Cancel</button>
+                    </span>
+                </div>
+            </div>
+        `;
+
+        const list = dom.querySelector('.chooser-list');
+        const total = dom.querySelector('.chooser-total');
+        const loadButton = dom.querySelector('.chooser-load');
+        const inputs = sorted.map(file => {
+            const row = document.createElement('label');
+            row.className = 'chooser-row';
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = true;
+            const path = document.createElement('span');
+            path.className = 'chooser-path';
+            path.textContent = getPath(file);
+            path.title = getPath(file);
+            const size = document.createElement('span');
+            size.className = 'chooser-size';
+            size.textContent = formatBytes(file.size);
+            row.append(input, path, size);
+            list.appendChild(row);
+            input.addEventListener('change', updateTotal);
+            return input;
+        });
+
+        function updateTotal() {
+            const selected = sorted.filter((_, i) => inputs[i].checked);
+            const bytes = selected.reduce((sum, f) => sum + f.size, 0);
+            total.textContent = `${selected.length} selected · ${formatBytes(bytes)}`;
+            loadButton.disabled = selected.length === 0;
+        }
+
+        const close = (result) => {
+            document.removeEventListener('keydown', onKey);
+            dom.remove();
+            resolve(result);
+        };
+        const onKey = (e) => {
+            if (e.key === 'Escape') close(null);
+        };
+
+        dom.querySelector('.chooser-all').addEventListener('click', () => { inputs.forEach(i => { i.checked = true; }); updateTotal(); });
+        dom.querySelector('.chooser-none').addEventListener('click', () => { inputs.forEach(i => { i.checked = false; }); updateTotal(); });
+        dom.querySelector('.chooser-cancel').addEventListener('click', () => close(null));
+        loadButton.addEventListener('click', () => close({
+            files: sorted.filter((_, i) => inputs[i].checked),
+            keepPlacement: dom.querySelector('.chooser-placement').checked
+        }));
+        document.addEventListener('keydown', onKey);
+
+        updateTotal();
+        document.body.appendChild(dom);
+    });
+}
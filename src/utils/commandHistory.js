@@ -0,0 +1,148 @@
+// === 命令历史 (撤销 / 重做) ===
+// 每条命令 { label, undo(), redo() }，push() 记录已经执行完成的操作，undo() / redo() 在两个栈之间移动命令。
+// 命令可以提供 merge(next)：上一条命令在合并窗口内遇到下一条时调用，返回 true 表示已并入
+// (例如拖动简化滑块时连续完成的多轮简化只保留一条)。
+// 执行 undo / redo 期间的 push() 被忽略，命令内部调用的场景函数不会重复记录。
+// retainsResources 为 true 的命令 (删除 / 替换的模型、简化前后的几何体) 持有 CPU 端的几何体与图像，
+// 这类命令最多保留 retainedLimit 条，超出时最早的一条只保留标签 (expired)，释放其持有的数据，避免反复加载模型时内存持续增长。
+// 过期的命令不能再撤销，它之前的记录仍在列表中显示，但无法回到 (见 floor)。
+
+export const HISTORY_LIMIT = 50;
+export const RETAINED_LIMIT = 5;
+const MERGE_WINDOW_MS = 1500;
+
+export class CommandHistory {
+    constructor({ limit = HISTORY_LIMIT, retainedLimit = RETAINED_LIMIT, onChange = null } = {}) {
+        this.limit = limit;
+        this.retainedLimit = retainedLimit;
+        this.onChange = onChange;
+        this.done = [];   // 已执行 (可撤销)，最新的在末尾
+        this.undone = []; // 已撤销 (可重做)，最近撤销的在末尾
+        this.busy = false;
+        this.collecting = null; // group() 期间收集的命令
+    }
+
+    get canUndo() {
+        return this.done.length > this.floor;
+    }
+
+    // 可撤销到的最少已执行命令数：最近一条过期命令之后的状态
+    get floor() {
+        for (let i = this.done.length - 1; i >= 0; i--) {
+            if (this.done[i].expired) return i + 1;
+        }
+        return 0;
+    }
+
+    get canRedo() {
+        return this.undone.length > 0;
+    }
+
+    // 新操作会清空重做栈；超过 limit 时丢弃最早的记录
+    push(command) {
+        if (this.busy) return;
+        if (this.collecting) {
+            this.collecting.push(command);
+            return;
+        }
+        const now = performance.now();
+        const last = this.done[this.done.length - 1];
+        if (last && this.undone.length === 0 && last.merge && now - last.time < MERGE_WINDOW_MS && last.merge(command)) {
+            last.time = now;
+            this.changed();
+            return;
+        }
+        command.time = now;
+        this.done.push(command);
+        this.undone = [];
+        this.trim();
+        this.changed();
+    }
+
+    // action 执行期间 push 的命令合并为一条 (例如批量导入的多个模型)：撤销时倒序执行，重做时顺序执行
+    group(label, action) {
+        if (this.busy || this.collecting) return action();
+        const commands = [];
+        this.collecting = commands;
+        let result;
+        try {
+            result = action();
+        } finally {
+            this.collecting = null;
+        }
+        if (commands.length === 1) this.push(commands[0]);
+        else if (commands.length > 1) {
+            this.push({
+                label,
+                retainsResources: commands.some(command => command.retainsResources),
+                undo: () => [...commands].reverse().forEach(command => command.undo()),
+                redo: () => commands.forEach(command => command.redo())
+            });
+        }
+        return result;
+    }
+
+    // 总数超过 limit 时丢弃最早的记录；持有资源的命令超过 retainedLimit 时从最早的开始替换为只有标签的过期记录
+    trim() {
+        while (this.done.length > this.limit) this.done.shift();
+        const retained = this.done.filter(command => command.retainsResources);
+        retained.slice(0, Math.max(0, retained.length - this.retainedLimit)).forEach(command => {
+            this.done[this.done.indexOf(command)] = { label: command.label, time: command.time, expired: true };
+        });
+    }
+
+    // 返回被撤销的命令，没有可撤销的命令时返回 null；命令抛出异常时该命令被丢弃
+    undo() {
+        if (this.busy || !this.canUndo) return null;
+        const command = this.done.pop();
+        this.run(() => command.undo());
+        this.undone.push(command);
+        this.changed();
+        return command;
+    }
+
+    redo() {
+        if (this.busy || this.undone.length === 0) return null;
+        const command = this.undone.pop();
+        this.run(() => command.redo());
+        this.done.push(command);
+        this.changed();
+        return command;
+    }
+
+    // 撤销 / 重做到已执行 count 条命令的状态 (历史列表中点击某一条)
+    jumpTo(count) {
+        while (this.done.length > count && this.undo());
+        while (this.done.length < count && this.redo());
+    }
+
+    clear() {
+        this.done = [];
+        this.undone = [];
+        this.changed();
+    }
+
+    // 按时间顺序：[{ label, done, expired }]，done 为 false 的是可重做的命令
+    getEntries() {
+        return [
+            ...this.done.map(command => ({ label: command.label, done: true, expired: !!command.expired })),
+            ...[...this.undone].reverse().map(command => ({ label: command.label, done: false, expired: false }))
+        ];
+    }
+
+    run(action) {
+        this.busy = true;
+        try {
+            action();
+        } catch (err) {
+            this.changed();
+            throw err;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    changed() {
+        if (this.onChange) this.onChange();
+    }
+}
@@ -0,0 +1,75 @@
+// === 浏览器端文件下载 / 读取辅助 ===
+
+// 触发下载：content 可以是字符串、ArrayBuffer 或 Blob
+export function downloadFile(fileName, content, mimeType = 'text/plain') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', fileName);
+    document.body.appendChild(link); // Required for FF
+    link.click();
+    document.body.removeChild(link);
+    // 延迟释放，保证下载已经开始
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function downloadJSON(fileName, data) {
+    downloadFile(fileName, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// 文件名用的时间戳，例如 2025-01-01T12-00-00
+export function fileTimestamp(date = new Date()) {
+    return date.toISOString().slice(0, 19).replace(/:/g, '-');
+}
+
+// 弹出文件选择框，返回用户选中的 File；取消时返回 null
+export function pickFile(accept) {
+    return openFilePicker({ accept }).then(files => (files ? files[0] : null));
+}
+
+// 弹出文件夹选择框，返回文件夹内的全部 File (FileList)；取消时返回 null
+export function pickFolder() {
+    return openFilePicker({ webkitdirectory: true, multiple: true });
+}
+
+// 取消对话框时 input 触发 cancel 事件，收到过一次之后只依赖 cancel。在此之前 (或浏览器不支持 cancel) 只能靠窗口重新获得焦点判断：
+// 焦点回来后 CANCEL_FALLBACK_MS 内既没有 change 也没有再次失焦才视为取消。
+// 选择大文件夹时 change 可能晚到 (例如 Chrome 先弹出 "Upload N files?" 确认框)，确认框使窗口再次失焦，
+// 计时随之作废，等焦点再次回来后重新计时，不会把迟到的选择当成取消。
+const CANCEL_FALLBACK_MS = 3000;
+let cancelEventSeen = false;
+
+function openFilePicker(attributes) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        Object.assign(input, attributes);
+
+        let settled = false;
+        let timer = null;
+        const onFocus = () => {
+            clearTimeout(timer);
+            if (cancelEventSeen) return;
+            timer = setTimeout(() => settle(null), CANCEL_FALLBACK_MS);
+        };
+        const onBlur = () => clearTimeout(timer);
+        const settle = (files) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            window.removeEventListener('focus', onFocus);
+            window.removeEventListener('blur', onBlur);
+            resolve(files && files.length > 0 ? files : null);
+        };
+
+        input.addEventListener('change', () => settle(input.files));
+        input.addEventListener('cancel', () => {
+            cancelEventSeen = true;
+            settle(null);
+        });
+        window.addEventListener('focus', onFocus);
+        window.addEventListener('blur', onBlur);
+        input.click();
+    });
+}
@@ -0,0 +1,40 @@
+import { defineConfig } from 'vite';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+// === glTF 解码器文件 ===
+// Draco / Basis (KTX2) 解码器按目录加载 (Worker 中按文件名请求)，不能作为模块打包：
+// 开发时直接从 node_modules/three 提供，构建时复制到 dist/decoders/，版本始终与安装的 three 一致。
+// Meshopt 解码器是 ES 模块，由 src/loaders/gltfDecoders.js 直接 import。
+const THREE_LIBS = fileURLToPath(new URL('./node_modules/three/examples/jsm/libs/', import.meta.url));
+const DECODER_FILES = {
+    'decoders/draco/draco_wasm_wrapper.js': 'draco/gltf/draco_wasm_wrapper.js',
+    'decoders/draco/draco_decoder.wasm': 'draco/gltf/draco_decoder.wasm',
+    'decoders/basis/basis_transcoder.js': 'basis/basis_transcoder.js',
+    'decoders/basis/basis_transcoder.wasm': 'basis/basis_transcoder.wasm'
+};
+const CONTENT_TYPES = { js: 'text/javascript', wasm: 'application/wasm' };
+
+function threeDecoders() {
+    return {
+        name: 'three-decoders',
+        configureServer(server) {
+            server.middlewares.use((req, res, next) => {
+                const path = decodeURIComponent(req.url.split('?')[0]).replace(/^\//, '');
+                const source = DECODER_FILES[path];
+                if (!source) return next();
+                res.setHeader('Content-Type', CONTENT_TYPES[path.split('.').pop()]);
+                res.end(readFileSync(THREE_LIBS + source));
+            });
+        },
+        generateBundle() {
+            Object.entries(DECODER_FILES).forEach(([fileName, source]) => {
+                this.emitFile({ type: 'asset', fileName, source: readFileSync(THREE_LIBS + source) });
+            });
+        }
+    };
+}
+
+export default defineConfig({
+    plugins: [threeDecoders()]
+});